@@ -143,14 +143,16 @@ const uploadFromBuffer = (buffer, options = {}) => {
 /**
  * Delete photo from Cloudinary with error handling
  * @param {string} publicId - Cloudinary public ID
+ * @param {Object} options - Delivery type ('authenticated' for private assets)
  * @returns {Promise<Object>} Deletion result
  */
-const deletePhoto = async (publicId) => {
+const deletePhoto = async (publicId, { type = 'upload' } = {}) => {
   try {
     console.log(`🗑️ Deleting Cloudinary asset: ${publicId}`);
     const result = await cloudinary.uploader.destroy(publicId, {
       invalidate: true,
-      resource_type: 'image'
+      resource_type: 'image',
+      type
     });
     
     if (result.result !== 'ok') {
@@ -192,6 +194,19 @@ const generateSecureUrl = (publicId, options = {}) => {
   });
 };
 
+/**
+ * Signed URL for a private ('authenticated') asset, e.g. verification selfies
+ * @param {string} publicId - Cloudinary public ID
+ * @returns {string} Signed URL
+ */
+const generatePrivateUrl = (publicId) => {
+  return cloudinary.url(publicId, {
+    type: 'authenticated',
+    secure: true,
+    sign_url: true
+  });
+};
+
 /**
  * Check moderation status of an image
  * @param {string} publicId - Cloudinary public ID
@@ -284,6 +299,7 @@ module.exports = {
   uploadFromBuffer, // Recommended for server-side uploads
   deletePhoto,
   generateSecureUrl,
+  generatePrivateUrl,
   checkModeration,
   testConnection,
   testDirectUpload
@@ -0,0 +1,19 @@
+// ======================
+// GENDERS
+// ======================
+// Genders a user can pick for themselves and in genderPreference. Photos copy
+// their owner's gender so the feed can filter without a lookup.
+// Matching is two-way: each side's gender must be in the other's genderPreference.
+
+const GENDERS = Object.freeze(['male', 'female', 'non-binary']);
+
+// Older clients send a single value, or 'both' for male + female
+const normalizeGenderPreference = (value) => {
+  if (value === 'both') return ['male', 'female'];
+  return [].concat(value);
+};
+
+module.exports = {
+  GENDERS,
+  normalizeGenderPreference
+};
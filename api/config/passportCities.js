@@ -0,0 +1,31 @@
+// ======================
+// PASSPORT CITIES
+// ======================
+// Cities a subscriber can browse from in passport mode. While the passport is
+// active, discovery treats the city centre as the user's location. Users store
+// the city ID, so only add cities or adjust coordinates here; never reuse an ID.
+// Coordinates are [longitude, latitude], like User.location.
+
+const PASSPORT_CITIES = Object.freeze([
+  { id: 'nairobi', name: 'Nairobi', coordinates: [36.8172, -1.2864] },
+  { id: 'mombasa', name: 'Mombasa', coordinates: [39.6682, -4.0435] },
+  { id: 'kisumu', name: 'Kisumu', coordinates: [34.7617, -0.0917] }
+]);
+
+const PASSPORT_CITY_IDS = Object.freeze(PASSPORT_CITIES.map(city => city.id));
+
+// Longest a passport can be set for in one go
+const MAX_PASSPORT_DAYS = 30;
+
+// A user's real location within this distance of a city counts as "from" that city
+const HOME_CITY_RADIUS_KM = 50;
+
+const getPassportCity = (cityId) => PASSPORT_CITIES.find(city => city.id === cityId) || null;
+
+module.exports = {
+  PASSPORT_CITIES,
+  PASSPORT_CITY_IDS,
+  MAX_PASSPORT_DAYS,
+  HOME_CITY_RADIUS_KM,
+  getPassportCity
+};
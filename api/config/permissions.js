@@ -0,0 +1,48 @@
+// ======================
+// ROLES & PERMISSIONS
+// ======================
+// Permissions are `resource:action` strings. Roles grant a fixed set; a user
+// can additionally be granted individual permissions on their account.
+
+const PERMISSIONS = Object.freeze({
+  PHOTOS_MODERATE: 'photos:moderate',
+  USERS_VIEW: 'users:view',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_EDIT: 'users:edit',
+  PAYMENTS_VIEW: 'payments:view',
+  PAYMENTS_REFUND: 'payments:refund',
+  ROLES_MANAGE: 'roles:manage'
+});
+
+const ROLES = Object.freeze({
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.USER]: [],
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.PHOTOS_MODERATE,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_SUSPEND
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+});
+
+/** Role permissions plus any extra grants on the account */
+const getPermissions = (user) => {
+  if (!user) return [];
+  const fromRole = ROLE_PERMISSIONS[user.role] || [];
+  return [...new Set([...fromRole, ...(user.permissions || [])])];
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,220 @@
+// ======================
+// PROFILE OPTIONS
+// ======================
+// Server-defined option lists for the rich profile attributes. The schema,
+// request validation and the app's pickers (via GET /api/users/meta/profile-options)
+// all read from here, so adding an option is a one-line change.
+
+// Interests are stored on the user as tag IDs; labels can change freely
+const INTEREST_CATEGORIES = Object.freeze([
+  {
+    id: 'music',
+    label: 'Music',
+    tags: [
+      { id: 'afrobeats', label: 'Afrobeats' },
+      { id: 'bongo', label: 'Bongo Flava' },
+      { id: 'gengetone', label: 'Gengetone' },
+      { id: 'gospel', label: 'Gospel' },
+      { id: 'hiphop', label: 'Hip hop' },
+      { id: 'reggae', label: 'Reggae' },
+      { id: 'rnb', label: 'R&B' },
+      { id: 'live_music', label: 'Live music' }
+    ]
+  },
+  {
+    id: 'sports',
+    label: 'Sports & fitness',
+    tags: [
+      { id: 'football', label: 'Football' },
+      { id: 'rugby', label: 'Rugby' },
+      { id: 'athletics', label: 'Running' },
+      { id: 'gym', label: 'Gym' },
+      { id: 'swimming', label: 'Swimming' },
+      { id: 'cycling', label: 'Cycling' },
+      { id: 'yoga', label: 'Yoga' },
+      { id: 'dance', label: 'Dancing' }
+    ]
+  },
+  {
+    id: 'outdoors',
+    label: 'Outdoors & travel',
+    tags: [
+      { id: 'hiking', label: 'Hiking' },
+      { id: 'safari', label: 'Safari' },
+      { id: 'beach', label: 'Beach' },
+      { id: 'camping', label: 'Camping' },
+      { id: 'road_trips', label: 'Road trips' },
+      { id: 'travel', label: 'Travel' }
+    ]
+  },
+  {
+    id: 'food',
+    label: 'Food & drink',
+    tags: [
+      { id: 'cooking', label: 'Cooking' },
+      { id: 'nyama_choma', label: 'Nyama choma' },
+      { id: 'coffee', label: 'Coffee' },
+      { id: 'vegan', label: 'Plant-based' },
+      { id: 'trying_restaurants', label: 'Trying new restaurants' }
+    ]
+  },
+  {
+    id: 'culture',
+    label: 'Arts & culture',
+    tags: [
+      { id: 'movies', label: 'Movies' },
+      { id: 'series', label: 'Series' },
+      { id: 'reading', label: 'Reading' },
+      { id: 'poetry', label: 'Poetry' },
+      { id: 'photography', label: 'Photography' },
+      { id: 'art', label: 'Art' },
+      { id: 'fashion', label: 'Fashion' },
+      { id: 'theatre', label: 'Theatre' }
+    ]
+  },
+  {
+    id: 'lifestyle',
+    label: 'Lifestyle',
+    tags: [
+      { id: 'gaming', label: 'Gaming' },
+      { id: 'tech', label: 'Tech' },
+      { id: 'entrepreneurship', label: 'Entrepreneurship' },
+      { id: 'volunteering', label: 'Volunteering' },
+      { id: 'faith', label: 'Faith' },
+      { id: 'pets', label: 'Pets' },
+      { id: 'farming', label: 'Farming' }
+    ]
+  }
+]);
+
+const INTEREST_IDS = Object.freeze(
+  INTEREST_CATEGORIES.flatMap(category => category.tags.map(tag => tag.id))
+);
+
+const EDUCATION_LEVELS = Object.freeze([
+  { id: 'secondary', label: 'Secondary school' },
+  { id: 'certificate', label: 'Certificate' },
+  { id: 'diploma', label: 'Diploma' },
+  { id: 'bachelors', label: "Bachelor's degree" },
+  { id: 'masters', label: "Master's degree" },
+  { id: 'doctorate', label: 'Doctorate' }
+]);
+
+const LANGUAGES = Object.freeze([
+  { id: 'en', label: 'English' },
+  { id: 'sw', label: 'Swahili' },
+  { id: 'sheng', label: 'Sheng' },
+  { id: 'kik', label: 'Kikuyu' },
+  { id: 'luo', label: 'Dholuo' },
+  { id: 'luy', label: 'Luhya' },
+  { id: 'kam', label: 'Kamba' },
+  { id: 'kln', label: 'Kalenjin' },
+  { id: 'guz', label: 'Kisii' },
+  { id: 'mer', label: 'Meru' },
+  { id: 'so', label: 'Somali' },
+  { id: 'fr', label: 'French' },
+  { id: 'ar', label: 'Arabic' },
+  { id: 'hi', label: 'Hindi' },
+  { id: 'other', label: 'Other' }
+]);
+
+const RELIGIONS = Object.freeze([
+  { id: 'christian', label: 'Christian' },
+  { id: 'muslim', label: 'Muslim' },
+  { id: 'hindu', label: 'Hindu' },
+  { id: 'traditional', label: 'Traditional' },
+  { id: 'spiritual', label: 'Spiritual' },
+  { id: 'none', label: 'Not religious' },
+  { id: 'other', label: 'Other' }
+]);
+
+const RELATIONSHIP_GOALS = Object.freeze([
+  { id: 'long_term', label: 'Long-term relationship' },
+  { id: 'marriage', label: 'Marriage' },
+  { id: 'short_term', label: 'Something casual' },
+  { id: 'friendship', label: 'New friends' },
+  { id: 'not_sure', label: 'Still figuring it out' }
+]);
+
+const HABIT_FREQUENCIES = Object.freeze([
+  { id: 'never', label: 'Never' },
+  { id: 'socially', label: 'Socially' },
+  { id: 'regularly', label: 'Regularly' }
+]);
+
+const CHILDREN_PREFERENCES = Object.freeze([
+  { id: 'have_want_more', label: 'Have kids, want more' },
+  { id: 'have_dont_want_more', label: "Have kids, don't want more" },
+  { id: 'want', label: 'Want kids' },
+  { id: 'dont_want', label: "Don't want kids" },
+  { id: 'open', label: 'Open to kids' }
+]);
+
+const HEIGHT_CM = Object.freeze({ min: 120, max: 230 });
+const MAX_INTERESTS = 10;
+const MAX_LANGUAGES = 5;
+const MAX_OCCUPATION_LENGTH = 60;
+
+// Who can see a profile attribute
+const FIELD_VISIBILITY = Object.freeze({
+  EVERYONE: 'everyone',
+  MATCHES: 'matches',
+  ONLY_ME: 'only_me'
+});
+
+// Attributes that carry a per-field visibility setting
+const PROFILE_ATTRIBUTES = Object.freeze([
+  'interests',
+  'occupation',
+  'education',
+  'height',
+  'languages',
+  'religion',
+  'relationshipGoal',
+  'drinking',
+  'smoking',
+  'children'
+]);
+
+const optionIds = (options) => options.map(option => option.id);
+
+/** Payload for the app's profile pickers */
+const getProfileOptions = () => ({
+  interests: {
+    categories: INTEREST_CATEGORIES,
+    max: MAX_INTERESTS
+  },
+  education: EDUCATION_LEVELS,
+  languages: {
+    options: LANGUAGES,
+    max: MAX_LANGUAGES
+  },
+  religion: RELIGIONS,
+  relationshipGoal: RELATIONSHIP_GOALS,
+  drinking: HABIT_FREQUENCIES,
+  smoking: HABIT_FREQUENCIES,
+  children: CHILDREN_PREFERENCES,
+  height: { ...HEIGHT_CM, unit: 'cm' },
+  occupation: { maxLength: MAX_OCCUPATION_LENGTH },
+  visibility: Object.values(FIELD_VISIBILITY),
+  attributes: PROFILE_ATTRIBUTES
+});
+
+module.exports = {
+  INTEREST_CATEGORIES,
+  INTEREST_IDS,
+  EDUCATION_LEVELS,
+  LANGUAGES,
+  RELIGIONS,
+  RELATIONSHIP_GOALS,
+  HABIT_FREQUENCIES,
+  CHILDREN_PREFERENCES,
+  HEIGHT_CM,
+  MAX_INTERESTS,
+  MAX_LANGUAGES,
+  MAX_OCCUPATION_LENGTH,
+  FIELD_VISIBILITY,
+  PROFILE_ATTRIBUTES,
+  optionIds,
+  getProfileOptions
+};
@@ -0,0 +1,48 @@
+// ======================
+// PROFILE PROMPTS
+// ======================
+// The prompt library users answer on their profile. Answers store the prompt
+// ID, so wording can be tweaked here without touching existing profiles.
+// Retiring a prompt: set `active: false` (existing answers keep showing).
+
+const PROMPTS = Object.freeze([
+  { id: 'ideal_sunday_nairobi', text: 'My ideal Sunday in Nairobi is…', category: 'lifestyle', active: true },
+  { id: 'best_nyama_choma', text: 'The best nyama choma spot is…', category: 'food', active: true },
+  { id: 'go_to_karaoke', text: 'My go-to karaoke song is…', category: 'fun', active: true },
+  { id: 'green_flag', text: 'A green flag I look for is…', category: 'dating', active: true },
+  { id: 'dealbreaker', text: 'My biggest dealbreaker is…', category: 'dating', active: true },
+  { id: 'first_date', text: 'The perfect first date is…', category: 'dating', active: true },
+  { id: 'weekend_getaway', text: 'My dream weekend getaway is…', category: 'travel', active: true },
+  { id: 'matatu_playlist', text: 'The song that always gets me on the matatu is…', category: 'fun', active: true },
+  { id: 'simple_pleasure', text: 'My simplest pleasure is…', category: 'lifestyle', active: true },
+  { id: 'unpopular_opinion', text: 'My unpopular opinion is…', category: 'fun', active: true },
+  { id: 'geek_out', text: 'I geek out on…', category: 'lifestyle', active: true },
+  { id: 'together_we_could', text: 'Together we could…', category: 'dating', active: true },
+  { id: 'life_goal', text: 'This year I really want to…', category: 'goals', active: true },
+  { id: 'love_language', text: 'My love language is…', category: 'dating', active: true },
+  { id: 'know_me_because', text: "You'll know we vibe if…", category: 'dating', active: true }
+]);
+
+const PROMPT_IDS = Object.freeze(PROMPTS.map(prompt => prompt.id));
+const MAX_PROMPTS = 3;
+const MAX_PROMPT_ANSWER_LENGTH = 150;
+
+const getPromptText = (promptId) => PROMPTS.find(prompt => prompt.id === promptId)?.text || null;
+
+/** Prompts users can still pick */
+const getPromptLibrary = () => ({
+  prompts: PROMPTS
+    .filter(prompt => prompt.active)
+    .map(({ id, text, category }) => ({ id, text, category })),
+  maxPrompts: MAX_PROMPTS,
+  maxAnswerLength: MAX_PROMPT_ANSWER_LENGTH
+});
+
+module.exports = {
+  PROMPTS,
+  PROMPT_IDS,
+  MAX_PROMPTS,
+  MAX_PROMPT_ANSWER_LENGTH,
+  getPromptText,
+  getPromptLibrary
+};
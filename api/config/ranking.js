@@ -0,0 +1,45 @@
+// ======================
+// RANKING WEIGHTS
+// ======================
+// How much each scorer in utils/ranking counts towards a candidate's rank. Every
+// scorer returns 0..1, so only the ratios between weights matter; 0 turns one off.
+// RANKING_WEIGHTS in the environment overrides single weights, e.g.
+//   RANKING_WEIGHTS='{"distance":3,"freshness":0}'
+
+const DEFAULT_RANKING_WEIGHTS = Object.freeze({
+  interests: 2,
+  distance: 2,
+  activity: 1.5,
+  completeness: 1,
+  replyRate: 1,
+  freshness: 1
+});
+
+// Keeps only finite, non-negative numbers
+const cleanWeights = (weights = {}) => Object.fromEntries(
+  Object.entries(weights).filter(([, weight]) => Number.isFinite(weight) && weight >= 0)
+);
+
+const parseEnvWeights = () => {
+  if (!process.env.RANKING_WEIGHTS) return {};
+  try {
+    return cleanWeights(JSON.parse(process.env.RANKING_WEIGHTS));
+  } catch (error) {
+    console.warn('⚠️ RANKING_WEIGHTS is not valid JSON, using default ranking weights');
+    return {};
+  }
+};
+
+const ENV_RANKING_WEIGHTS = Object.freeze(parseEnvWeights());
+
+/** Defaults, then the environment, then any per-call overrides (e.g. from the evaluation script) */
+const getRankingWeights = (overrides = {}) => ({
+  ...DEFAULT_RANKING_WEIGHTS,
+  ...ENV_RANKING_WEIGHTS,
+  ...cleanWeights(overrides)
+});
+
+module.exports = {
+  DEFAULT_RANKING_WEIGHTS,
+  getRankingWeights
+};
@@ -0,0 +1,26 @@
+// ======================
+// SWIPES
+// ======================
+// Decisions people make on profiles in the discovery deck. Liked profiles never
+// come back; passed ones come back after the cooldown, which SWIPE_PASS_COOLDOWN_DAYS
+// in the environment can change.
+
+const SWIPE_DECISIONS = Object.freeze(['like', 'pass', 'superlike']);
+const LIKE_DECISIONS = Object.freeze(['like', 'superlike']);
+
+const DEFAULT_PASS_COOLDOWN_DAYS = 30;
+
+// Free accounts can undo this many passes a day; subscribers have no limit
+const FREE_REWINDS_PER_DAY = 1;
+
+const getPassCooldownDays = () => {
+  const days = Number(process.env.SWIPE_PASS_COOLDOWN_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_PASS_COOLDOWN_DAYS;
+};
+
+module.exports = {
+  SWIPE_DECISIONS,
+  LIKE_DECISIONS,
+  FREE_REWINDS_PER_DAY,
+  getPassCooldownDays
+};
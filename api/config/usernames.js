@@ -0,0 +1,48 @@
+// ======================
+// USERNAMES
+// ======================
+// Public handles used in shareable profile links (ruda://u/<username>).
+// Stored lowercase, so "Wanjiku_K" and "wanjiku_k" are the same handle.
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 30;
+
+// Letters, numbers, underscores and single dots; no dot at either end
+const USERNAME_PATTERN = /^(?!\.)(?!.*\.\.)[a-z0-9._]+(?<!\.)$/;
+
+// How long a user must wait between username changes
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;
+
+// Handles that would look official or clash with app routes
+const RESERVED_USERNAMES = Object.freeze([
+  'admin', 'administrator', 'api', 'app', 'help', 'me', 'meta', 'moderator',
+  'official', 'root', 'ruda', 'rudadating', 'security', 'settings', 'staff',
+  'support', 'system', 'u', 'user', 'users'
+]);
+
+const normalizeUsername = (value) => String(value || '').trim().replace(/^@/, '').toLowerCase();
+
+/**
+ * Error message for an invalid (already normalized) username, or null when it's fine
+ */
+const getUsernameError = (username) => {
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return `Username must be ${USERNAME_MIN_LENGTH}-${USERNAME_MAX_LENGTH} characters`;
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username can only use letters, numbers, underscores and single dots (not at the start or end)';
+  }
+  if (RESERVED_USERNAMES.includes(username.replace(/[._]/g, ''))) {
+    return 'That username is reserved';
+  }
+  return null;
+};
+
+module.exports = {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  RESERVED_USERNAMES,
+  normalizeUsername,
+  getUsernameError
+};
@@ -0,0 +1,48 @@
+// ======================
+// SELFIE VERIFICATION
+// ======================
+// Users are asked to copy a randomly picked pose in a selfie, which a
+// moderator compares against their profile photos. A random pose makes it
+// hard to pass with a stolen picture. Pose IDs are stored on requests, so
+// only add new poses or change wording here; never reuse an ID.
+
+const POSES = Object.freeze([
+  { id: 'thumbs_up', instruction: 'Give a thumbs up next to your face' },
+  { id: 'peace_sign', instruction: 'Make a peace sign next to your face' },
+  { id: 'hand_on_head', instruction: 'Put one hand on top of your head' },
+  { id: 'touch_nose', instruction: 'Touch your nose with one finger' },
+  { id: 'three_fingers', instruction: 'Hold up three fingers next to your face' },
+  { id: 'hand_on_chin', instruction: 'Rest your chin on your hand' },
+  { id: 'wave', instruction: 'Wave at the camera with an open hand' },
+  { id: 'point_up', instruction: 'Point up at the ceiling with one finger' }
+]);
+
+const POSE_IDS = Object.freeze(POSES.map(pose => pose.id));
+
+// How long a requested pose stays valid for upload
+const POSE_TTL_MINUTES = 10;
+
+// Reasons a moderator can pick when rejecting, with the message the user sees
+const REJECTION_REASONS = Object.freeze({
+  pose_mismatch: "Your selfie didn't match the requested pose.",
+  face_not_visible: "We couldn't see your face clearly.",
+  photos_mismatch: "Your selfie didn't match the people in your profile photos.",
+  low_quality: 'Your selfie was too dark or blurry.'
+});
+
+const getPose = (poseId) => POSES.find(pose => pose.id === poseId) || null;
+
+/** Random pose, avoiding the last one so retries aren't predictable */
+const pickRandomPose = (previousPoseId) => {
+  const candidates = POSES.filter(pose => pose.id !== previousPoseId);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+};
+
+module.exports = {
+  POSES,
+  POSE_IDS,
+  POSE_TTL_MINUTES,
+  REJECTION_REASONS,
+  getPose,
+  pickRandomPose
+};
@@ -2,9 +2,31 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const User = require('../models/user');
+const Session = require('../models/Session');
+const PhoneOtp = require('../models/PhoneOtp');
 const { initiateSTKPush } = require('../utils/mpesaUtils');
 const { logError } = require('../utils/errorLogger');
 const { sendNotification } = require('../utils/notifications');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../utils/mailer');
+const { sendSms, phoneNumberVariants, formatKenyanNumber } = require('../utils/sms');
+const { calculateAge, MINIMUM_AGE, MAXIMUM_AGE } = require('../utils/age');
+const { recordSecurityEvent, recordLogin } = require('../utils/securityEvents');
+const SecurityEvent = require('../models/SecurityEvent');
+const Photo = require('../models/photo');
+const { queueCompletenessRefresh } = require('../utils/profileCompleteness');
+const { DEFAULT_COORDINATES } = require('../utils/geo');
+const {
+  encryptSecret,
+  decryptSecret,
+  createEnrolment,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode
+} = require('../utils/twoFactor');
 
 // ==========================
 // Configuration & Constants
@@ -18,11 +40,22 @@ if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
   throw new Error('JWT secrets must be configured in production environment');
 }
 
+// Separate key so a 2FA challenge can never be used as an access token
+const TWO_FACTOR_CHALLENGE_SECRET = `${JWT_SECRET}.2fa-challenge`;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+
 const TOKEN_EXPIRY = process.env.TOKEN_EXPIRY || '1h';
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
 const CHAT_SUBSCRIPTION_AMOUNT = 10; // KES 10 for 24-hour chat access
 const ACCOUNT_LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
 const MAX_FAILED_ATTEMPTS = 5;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const PHONE_RESET_CODE_TTL_MINUTES = 10;
+const MAX_RESET_CODE_ATTEMPTS = 5;
+const PHONE_OTP_TTL_MINUTES = 10;
+const PHONE_OTP_RESEND_COOLDOWN_SECONDS = 60;
+const MAX_PHONE_OTP_ATTEMPTS = 5;
 
 // ==========================
 // Utility Functions
@@ -36,6 +69,7 @@ const sanitizeUser = (user) => {
     '__v',
     'resetToken',
     'resetTokenExpires',
+    'resetTokenAttempts',
     'refreshToken',
     'failedLoginAttempts',
     'accountLocked',
@@ -46,6 +80,13 @@ const sanitizeUser = (user) => {
     'verificationTokenExpires'
   ].forEach(field => delete userObj[field]);
 
+  if (userObj.twoFactor) {
+    userObj.twoFactor = {
+      enabled: !!userObj.twoFactor.enabled,
+      enabledAt: userObj.twoFactor.enabledAt
+    };
+  }
+
   return userObj;
 };
 
@@ -62,7 +103,10 @@ const errorResponse = (res, status, code, message, error = null) => {
   });
 };
 
-const generateTokens = (user) => {
+// Only the SHA-256 digest of emailed/refresh tokens is ever stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateTokens = (user, sessionId = null) => {
   if (!user || !user._id) throw new Error('Invalid user for token generation');
 
   const isSubscribed = user.isSubscribed && 
@@ -73,17 +117,77 @@ const generateTokens = (user) => {
     userId: user._id,
     isSubscribed,
     profileComplete: user.profileComplete,
+    ...(sessionId && { sid: sessionId }),
     ...(isSubscribed && { expiresAt: user.subscription.expiresAt })
   };
 
   return {
     token: jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: TOKEN_EXPIRY }),
-    refreshToken: jwt.sign({ userId: user._id }, JWT_REFRESH_SECRET, {
-      expiresIn: REFRESH_TOKEN_EXPIRY
+    refreshToken: jwt.sign({ userId: user._id, sid: sessionId }, JWT_REFRESH_SECRET, {
+      expiresIn: REFRESH_TOKEN_EXPIRY,
+      jwtid: crypto.randomBytes(16).toString('hex')
     })
   };
 };
 
+// OTPs are only 6 digits, so bind the hash to the user to stop table lookups
+const hashOtp = (userId, code) => crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+const generateOtpCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Counts a failed password/2FA attempt and locks the account at the limit
+const registerFailedAttempt = async (user, req, reason) => {
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  const locked = user.failedLoginAttempts >= MAX_FAILED_ATTEMPTS;
+  if (locked) {
+    user.accountLocked = true;
+    user.lockUntil = new Date(Date.now() + ACCOUNT_LOCK_DURATION);
+  }
+  await user.save();
+
+  await recordSecurityEvent(user._id, 'login_failed', req, {
+    reason,
+    attempt: user.failedLoginAttempts
+  });
+  if (locked) {
+    await recordSecurityEvent(user._id, 'account_locked', req, { lockUntil: user.lockUntil });
+  }
+};
+
+const describeDevice = (req) => ({
+  deviceName: req.headers['x-device-name'],
+  platform: req.headers['x-platform'],
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+// Starts a new device session and returns its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({ user: user._id, ...describeDevice(req) });
+  const tokens = generateTokens(user, session._id);
+  session.tokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+  await session.save();
+  return { ...tokens, session };
+};
+
+const issueEmailVerification = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.verificationToken = hashToken(token);
+  user.verificationTokenExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+  } catch (error) {
+    // Delivery failures must not block signup; the user can request a resend
+    logError('Verification email not sent', error, { userId: user._id });
+  }
+};
+
 const verifyAuthToken = async (req) => {
   const authHeader = req.headers.authorization || '';
   if (!authHeader.startsWith('Bearer ')) {
@@ -124,6 +228,15 @@ const register = async (req, res) => {
       return validationError(res, 'genderPreference', 'At least one gender preference is required');
     }
 
+    // Age gate
+    const age = calculateAge(birthDate);
+    if (Number.isNaN(age) || age < 0 || age > MAXIMUM_AGE) {
+      return validationError(res, 'birthDate', 'Valid birth date required (YYYY-MM-DD)');
+    }
+    if (age < MINIMUM_AGE) {
+      return errorResponse(res, 403, 'UNDERAGE', `You must be at least ${MINIMUM_AGE} years old to use Ruda`);
+    }
+
     // Phone number validation
     if (!/^(\+?254|0)[17]\d{8}$/.test(phoneNumber)) {
       return validationError(res, 'phoneNumber', 'Valid Kenyan phone number required (format: 07... or 2547...)');
@@ -148,19 +261,21 @@ const register = async (req, res) => {
       profileComplete: true, // Set to true since we have gender and preferences
       location: {
         type: 'Point',
-        coordinates: [36.8219, -1.2921], // Default Nairobi coordinates
+        coordinates: DEFAULT_COORDINATES, // Nairobi until the app shares a real location
         lastUpdated: new Date()
       }
     });
 
     // Generate tokens
-    const { token, refreshToken } = generateTokens(user);
-    user.refreshToken = refreshToken;
-    await user.save();
+    const { token, refreshToken } = await createSession(user, req);
+    await issueEmailVerification(user);
+
+    // The sign-up device counts as known, so the next login from it doesn't alert
+    await recordLogin(user, req, { method: 'registration' });
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
+      message: 'Registration successful. Check your email to verify your address',
       token,
       refreshToken,
       user: sanitizeUser(user)
@@ -170,12 +285,40 @@ const register = async (req, res) => {
   }
 };
 
+// Shared tail of password-only and 2FA logins
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Reset security fields on successful login
+  user.failedLoginAttempts = 0;
+  user.accountLocked = false;
+  user.lockUntil = null;
+  user.lastLogin = new Date();
+  user.isOnline = true;
+
+  await user.save();
+
+  // Each login is a new device session
+  const { token, refreshToken, session } = await createSession(user, req);
+  await recordLogin(user, req, {
+    method: user.twoFactor?.enabled ? 'two_factor' : 'password',
+    sessionId: session._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: sanitizeUser(user),
+    ...extra
+  });
+};
+
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
     const user = await User.findOne({ email }).select(
-      '+password +refreshToken +failedLoginAttempts +accountLocked +lockUntil +activeSessions'
+      '+password +failedLoginAttempts +accountLocked +lockUntil +activeSessions'
     );
 
     if (!user) return errorResponse(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
@@ -189,33 +332,81 @@ const login = async (req, res) => {
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
-      if (user.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
-        user.accountLocked = true;
-        user.lockUntil = new Date(Date.now() + ACCOUNT_LOCK_DURATION);
-      }
-      await user.save();
+      await registerFailedAttempt(user, req, 'invalid_password');
       return errorResponse(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
     }
 
-    // Reset security fields on successful login
-    user.failedLoginAttempts = 0;
-    user.accountLocked = false;
-    user.lockUntil = null;
-    user.lastLogin = new Date();
-    user.isOnline = true;
+    // Second step: no tokens until the authenticator code is checked
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { sub: user._id.toString(), purpose: '2fa_login' },
+        TWO_FACTOR_CHALLENGE_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+      );
 
-    // Generate new tokens
-    const { token, refreshToken } = generateTokens(user);
-    user.refreshToken = refreshToken;
-    await user.save();
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app',
+        challengeToken
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      refreshToken,
-      user: sanitizeUser(user)
+    await completeLogin(user, req, res);
+  } catch (error) {
+    errorResponse(res, 500, 'LOGIN_FAILED', 'Login failed', error);
+  }
+};
+
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, TWO_FACTOR_CHALLENGE_SECRET);
+    } catch (err) {
+      return errorResponse(res, 401, 'CHALLENGE_EXPIRED', 'Login challenge expired. Please log in again', err);
+    }
+    if (decoded.purpose !== '2fa_login') {
+      return errorResponse(res, 401, 'INVALID_CHALLENGE', 'Invalid login challenge');
+    }
+
+    const user = await User.findById(decoded.sub).select(
+      '+failedLoginAttempts +accountLocked +lockUntil +activeSessions ' +
+      '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep'
+    );
+    if (!user || !user.twoFactor?.enabled) {
+      return errorResponse(res, 401, 'INVALID_CHALLENGE', 'Invalid login challenge');
+    }
+
+    if (user.accountLocked && user.lockUntil > new Date()) {
+      const timeLeft = Math.ceil((user.lockUntil - new Date()) / 60000);
+      return errorResponse(res, 403, 'ACCOUNT_LOCKED', `Account locked. Try again in ${timeLeft} minute(s)`);
+    }
+
+    let verified = false;
+    if (code) {
+      const step = verifyTotp(code, decryptSecret(user.twoFactor.secret), user.twoFactor.lastUsedStep ?? null);
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (backupCode) {
+      const remaining = consumeBackupCode(backupCode, user.twoFactor.backupCodes);
+      if (remaining) {
+        user.twoFactor.backupCodes = remaining;
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      await registerFailedAttempt(user, req, 'invalid_two_factor_code');
+      return errorResponse(res, 401, 'INVALID_TWO_FACTOR_CODE', 'Invalid authentication code');
+    }
+
+    await completeLogin(user, req, res, {
+      backupCodesRemaining: user.twoFactor.backupCodes.length
     });
   } catch (error) {
     errorResponse(res, 500, 'LOGIN_FAILED', 'Login failed', error);
@@ -234,16 +425,56 @@ const refreshToken = async (req, res) => {
       return errorResponse(res, 403, 'INVALID_TOKEN', 'Refresh token is invalid or expired', err);
     }
 
+    // Tokens issued before server-side sessions carry no sid and must re-login
+    if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+      return errorResponse(res, 403, 'TOKEN_MISMATCH', 'Token mismatch or user not found');
+    }
+
+    const session = await Session.findById(decoded.sid).select('+tokenHash');
+    if (!session || session.user.toString() !== decoded.userId) {
+      return errorResponse(res, 403, 'TOKEN_MISMATCH', 'Token mismatch or user not found');
+    }
+
+    if (!session.isActive) {
+      return errorResponse(res, 403, 'SESSION_REVOKED', 'This session has been signed out');
+    }
+
+    // An older token from this session was replayed: assume theft and kill the session
+    if (session.tokenHash !== hashToken(token)) {
+      await session.revoke('reuse_detected');
+      logError('Refresh token reuse detected', null, { userId: decoded.userId, sessionId: session._id });
+      await recordSecurityEvent(session.user, 'session_revoked', req, {
+        sessionId: session._id,
+        reason: 'reuse_detected'
+      });
+      return errorResponse(res, 403, 'TOKEN_REUSE_DETECTED', 'This session has been signed out for your security');
+    }
+
     const user = await User.findById(decoded.userId);
-    if (!user || user.refreshToken !== token) {
+    if (!user) {
       return errorResponse(res, 403, 'TOKEN_MISMATCH', 'Token mismatch or user not found');
     }
 
-    const { token: newToken, refreshToken: newRefreshToken } = generateTokens(user);
-    
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    const { token: newToken, refreshToken: newRefreshToken } = generateTokens(user, session._id);
+
+    // Rotate atomically so two concurrent refreshes cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(newRefreshToken),
+          expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        },
+        $inc: { rotationCount: 1 }
+      }
+    );
+
+    if (!rotated) {
+      return errorResponse(res, 403, 'TOKEN_REUSE_DETECTED', 'This session has been signed out for your security');
+    }
 
     res.status(200).json({
       success: true,
@@ -259,9 +490,16 @@ const refreshToken = async (req, res) => {
 const logout = async (req, res) => {
   try {
     const user = await verifyAuthToken(req);
-    
+
+    // Sign out only the device making the request
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' }, $unset: { tokenHash: 1 } }
+      );
+    }
+
     // Update user status
-    user.refreshToken = null;
     user.isOnline = false;
     await user.save();
     
@@ -271,6 +509,465 @@ const logout = async (req, res) => {
   }
 };
 
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return validationError(res, 'token', 'Verification token is required');
+
+    const user = await User.findOne({
+      verificationToken: hashToken(token),
+      verificationTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return errorResponse(res, 400, 'INVALID_VERIFICATION_TOKEN', 'Verification link is invalid or has expired');
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
+    await user.save();
+    queueCompletenessRefresh(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      isVerified: true
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'EMAIL_VERIFICATION_FAILED', 'Email verification failed', error);
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the address exists to avoid account enumeration
+    if (user && !user.isVerified) {
+      await issueEmailVerification(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a new verification email has been sent'
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'RESEND_VERIFICATION_FAILED', 'Failed to resend verification email', error);
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email, phoneNumber } = req.body;
+    const viaPhone = !email && !!phoneNumber;
+
+    const user = viaPhone
+      ? await User.findOne({ phoneNumber: { $in: phoneNumberVariants(phoneNumber) } })
+      : await User.findOne({ email });
+
+    if (user) {
+      if (viaPhone) {
+        const code = generateOtpCode();
+        user.resetToken = hashToken(code);
+        user.resetTokenExpires = new Date(Date.now() + PHONE_RESET_CODE_TTL_MINUTES * 60 * 1000);
+        user.resetTokenAttempts = 0;
+        await user.save();
+        await sendSms(user.phoneNumber, `Your Ruda password reset code is ${code}. It expires in ${PHONE_RESET_CODE_TTL_MINUTES} minutes.`)
+          .catch(error => logError('Password reset SMS not sent', error, { userId: user._id }));
+      } else {
+        const token = crypto.randomBytes(32).toString('hex');
+        user.resetToken = hashToken(token);
+        user.resetTokenExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        user.resetTokenAttempts = 0;
+        await user.save();
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+          .catch(error => logError('Password reset email not sent', error, { userId: user._id }));
+      }
+    }
+
+    // Same response whether or not the account exists to avoid account enumeration
+    res.status(200).json({
+      success: true,
+      channel: viaPhone ? 'phone' : 'email',
+      message: viaPhone
+        ? 'If the number is registered, a reset code has been sent by SMS'
+        : 'If the email is registered, a reset link has been sent'
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'FORGOT_PASSWORD_FAILED', 'Failed to start password reset', error);
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password, phoneNumber } = req.body;
+    let user;
+
+    if (phoneNumber) {
+      // SMS codes are short, so they are looked up per account and attempts are capped
+      user = await User.findOne({
+        phoneNumber: { $in: phoneNumberVariants(phoneNumber) },
+        resetTokenExpires: { $gt: new Date() }
+      }).select('+resetTokenAttempts');
+
+      if (user && user.resetToken !== hashToken(token)) {
+        user.resetTokenAttempts = (user.resetTokenAttempts || 0) + 1;
+        if (user.resetTokenAttempts >= MAX_RESET_CODE_ATTEMPTS) {
+          user.resetToken = undefined;
+          user.resetTokenExpires = undefined;
+        }
+        await user.save();
+        user = null;
+      }
+    } else {
+      user = await User.findOne({
+        resetToken: hashToken(token),
+        resetTokenExpires: { $gt: new Date() }
+      });
+    }
+
+    if (!user) {
+      return errorResponse(res, 400, 'INVALID_RESET_TOKEN', 'Reset link or code is invalid or has expired');
+    }
+
+    // Single use: clear the token, unlock the account and sign out every device
+    user.password = password;
+    user.resetToken = undefined;
+    user.resetTokenExpires = undefined;
+    user.resetTokenAttempts = 0;
+    user.failedLoginAttempts = 0;
+    user.accountLocked = false;
+    user.lockUntil = null;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await recordSecurityEvent(user._id, 'password_changed', req, {
+      method: phoneNumber ? 'sms_reset' : 'email_reset'
+    });
+
+    sendPasswordChangedEmail(user)
+      .catch(error => logError('Password change email not sent', error, { userId: user._id }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'RESET_PASSWORD_FAILED', 'Failed to reset password', error);
+  }
+};
+
+const sendPhoneOtp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    if (user.phoneVerified) {
+      return res.status(200).json({
+        success: true,
+        code: 'PHONE_ALREADY_VERIFIED',
+        message: 'Your phone number is already verified'
+      });
+    }
+
+    const phoneNumber = formatKenyanNumber(user.phoneNumber);
+    if (!phoneNumber) {
+      return errorResponse(res, 400, 'INVALID_PHONE', 'Your phone number is not a valid Kenyan number');
+    }
+
+    const existing = await PhoneOtp.findOne({ user: user._id });
+    if (existing) {
+      const secondsSinceLastSend = (Date.now() - existing.lastSentAt.getTime()) / 1000;
+      if (secondsSinceLastSend < PHONE_OTP_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(PHONE_OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend);
+        return res.status(429).json({
+          success: false,
+          code: 'OTP_COOLDOWN',
+          message: `Please wait ${retryAfter} seconds before requesting a new code`,
+          retryAfter
+        });
+      }
+    }
+
+    // A resend replaces the previous code and resets its attempt counter
+    const code = generateOtpCode();
+    await PhoneOtp.findOneAndUpdate(
+      { user: user._id },
+      {
+        $set: {
+          phoneNumber,
+          codeHash: hashOtp(user._id, code),
+          attempts: 0,
+          lastSentAt: new Date(),
+          expiresAt: new Date(Date.now() + PHONE_OTP_TTL_MINUTES * 60 * 1000)
+        },
+        $inc: { sendCount: 1 }
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await sendSms(phoneNumber, `Your Ruda verification code is ${code}. It expires in ${PHONE_OTP_TTL_MINUTES} minutes.`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent by SMS',
+      expiresInSeconds: PHONE_OTP_TTL_MINUTES * 60,
+      resendAfterSeconds: PHONE_OTP_RESEND_COOLDOWN_SECONDS
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'SEND_OTP_FAILED', 'Failed to send verification code', error);
+  }
+};
+
+const verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    const otp = await PhoneOtp.findOne({ user: user._id }).select('+codeHash');
+
+    // The code must belong to the number currently on the account
+    if (!otp || otp.isExpired || otp.phoneNumber !== formatKenyanNumber(user.phoneNumber)) {
+      return errorResponse(res, 400, 'OTP_EXPIRED', 'Verification code has expired. Please request a new one');
+    }
+
+    if (otp.attempts >= MAX_PHONE_OTP_ATTEMPTS) {
+      return errorResponse(res, 429, 'OTP_ATTEMPTS_EXCEEDED', 'Too many incorrect attempts. Please request a new code');
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const received = Buffer.from(hashOtp(user._id, code), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      otp.attempts += 1;
+      await otp.save();
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_OTP',
+        message: 'Incorrect verification code',
+        attemptsRemaining: Math.max(MAX_PHONE_OTP_ATTEMPTS - otp.attempts, 0)
+      });
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    queueCompletenessRefresh(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      phoneVerified: true
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'VERIFY_OTP_FAILED', 'Failed to verify phone number', error);
+  }
+};
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    if (user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+
+    const { secret, otpauthUri, qrCode } = await createEnrolment(user.email);
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { otpauthUri, qrCode, secret }
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'TWO_FACTOR_SETUP_FAILED', 'Failed to start two-factor setup', error);
+  }
+};
+
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    if (!user.twoFactor?.pendingSecret) {
+      return errorResponse(res, 400, 'TWO_FACTOR_SETUP_REQUIRED', 'Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(code, secret);
+    if (step === null) {
+      return errorResponse(res, 400, 'INVALID_TWO_FACTOR_CODE', 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      backupCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+    await recordSecurityEvent(user._id, 'two_factor_enabled', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'TWO_FACTOR_CONFIRM_FAILED', 'Failed to enable two-factor authentication', error);
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(
+      '+password +twoFactor.secret +twoFactor.lastUsedStep'
+    );
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    if (!user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+
+    const isMatch = await user.comparePassword(password);
+    const step = isMatch
+      ? verifyTotp(code, decryptSecret(user.twoFactor.secret), user.twoFactor.lastUsedStep ?? null)
+      : null;
+    if (step === null) {
+      return errorResponse(res, 401, 'INVALID_CREDENTIALS', 'Invalid password or authentication code');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await recordSecurityEvent(user._id, 'two_factor_disabled', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'TWO_FACTOR_DISABLE_FAILED', 'Failed to disable two-factor authentication', error);
+  }
+};
+
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user) return errorResponse(res, 404, 'USER_NOT_FOUND', 'User account not found');
+
+    if (!user.twoFactor?.enabled) {
+      return errorResponse(res, 400, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+
+    const step = verifyTotp(code, decryptSecret(user.twoFactor.secret), user.twoFactor.lastUsedStep ?? null);
+    if (step === null) {
+      return errorResponse(res, 400, 'INVALID_TWO_FACTOR_CODE', 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    await recordSecurityEvent(user._id, 'backup_codes_regenerated', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'BACKUP_CODES_FAILED', 'Failed to regenerate backup codes', error);
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        platform: session.platform,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: !!req.sessionId && session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'FETCH_SESSIONS_FAILED', 'Failed to fetch sessions', error);
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+    if (!session || !session.isActive) {
+      return errorResponse(res, 404, 'SESSION_NOT_FOUND', 'Session not found or already signed out');
+    }
+
+    await session.revoke('user_revoked');
+    await recordSecurityEvent(req.user._id, 'session_revoked', req, {
+      sessionId: session._id,
+      reason: 'user_revoked'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out successfully',
+      current: session._id.toString() === req.sessionId
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'REVOKE_SESSION_FAILED', 'Failed to sign out device', error);
+  }
+};
+
+const getSecurityEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { user: req.user._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SecurityEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    errorResponse(res, 500, 'FETCH_SECURITY_EVENTS_FAILED', 'Failed to fetch security activity', error);
+  }
+};
+
 const initiateChatSubscription = async (req, res) => {
   try {
     const user = await verifyAuthToken(req);
@@ -286,6 +983,11 @@ const initiateChatSubscription = async (req, res) => {
       });
     }
 
+    // STK pushes only go to numbers the user has proven they own
+    if (!user.phoneVerified) {
+      return errorResponse(res, 403, 'PHONE_NOT_VERIFIED', 'Verify your phone number before paying with M-Pesa');
+    }
+
     // Initiate payment
     const response = await initiateSTKPush(user.phoneNumber, CHAT_SUBSCRIPTION_AMOUNT);
 
@@ -328,7 +1030,7 @@ const confirmSubscription = async (req, res) => {
     await user.save();
 
     // Regenerate tokens with updated subscription status
-    const { token } = generateTokens(user);
+    const { token } = generateTokens(user, req.sessionId);
 
     // Send notification
     await sendNotification(user._id, {
@@ -417,11 +1119,12 @@ const selectGender = async (req, res) => {
     // Apply updates
     Object.assign(user, updates);
     await user.save();
+    if (gender) await Photo.syncOwnerGender(user._id, user.gender);
 
     // Regenerate tokens if profile complete status changed
     let token;
     if (updates.profileComplete && !user.profileComplete) {
-      const tokenData = generateTokens(user);
+      const tokenData = generateTokens(user, req.sessionId);
       token = tokenData.token;
     }
 
@@ -477,8 +1180,22 @@ module.exports = {
   testSimple,
   register,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  sendPhoneOtp,
+  verifyPhoneOtp,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  getSecurityEvents,
   initiateChatSubscription,
   confirmSubscription,
   updateOnlineStatus,
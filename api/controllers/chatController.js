@@ -3,6 +3,7 @@ const User = require('../models/user');
 const Photo = require('../models/photo');
 const mongoose = require('mongoose');
 const { formatDistanceToNow } = require('date-fns');
+const { CURSOR_SCOPES, encodeCursor, afterDescending } = require('../utils/cursor');
 
 // Enhanced error handler
 const handleError = (error, res) => {
@@ -32,32 +33,42 @@ const handleError = (error, res) => {
   });
 };
 
+// Purged accounts are flagged on their messages (and no longer resolve); show them as a deleted user
+const DELETED_USER = { name: 'Deleted user', profileImages: [], subscription: null, verifiedPhoto: false };
+
+const formatParticipant = (user, userId, showAllPhotos, anonymized = false) => {
+  const isDeleted = anonymized || !user;
+  const participant = isDeleted ? { ...DELETED_USER, _id: userId } : user;
+  return {
+    _id: participant._id,
+    name: participant.name,
+    profileImages: showAllPhotos
+      ? participant.profileImages
+      : participant.profileImages.slice(0, 1),
+    isSubscribed: participant.subscription?.isActive,
+    verifiedPhoto: !!participant.verifiedPhoto,
+    isDeleted
+  };
+};
+
+// Original ObjectId of a ref, even when population came back empty
+const refId = (doc, path) =>
+  (typeof doc.populated === 'function' && doc.populated(path)) || doc[path]?._id || doc[path];
+
 // Format chat response
 const formatChatResponse = async (message, currentUser, showAllPhotos = true) => {
+  const senderId = refId(message, 'sender');
+  const recipientId = refId(message, 'recipient');
   const populated = await Message.populate(message, [
-    { path: 'sender', select: 'name profileImages subscription' },
-    { path: 'recipient', select: 'name profileImages subscription' }
+    { path: 'sender', select: 'name profileImages subscription verifiedPhoto' },
+    { path: 'recipient', select: 'name profileImages subscription verifiedPhoto' }
   ]);
 
   return {
     _id: populated._id,
     threadId: populated.threadId || populated._id,
-    sender: {
-      _id: populated.sender._id,
-      name: populated.sender.name,
-      profileImages: showAllPhotos 
-        ? populated.sender.profileImages 
-        : [populated.sender.profileImages[0]],
-      isSubscribed: populated.sender.subscription?.isActive
-    },
-    recipient: {
-      _id: populated.recipient._id,
-      name: populated.recipient.name,
-      profileImages: showAllPhotos 
-        ? populated.recipient.profileImages 
-        : [populated.recipient.profileImages[0]],
-      isSubscribed: populated.recipient.subscription?.isActive
-    },
+    sender: formatParticipant(populated.sender, senderId, showAllPhotos, populated.senderAnonymized),
+    recipient: formatParticipant(populated.recipient, recipientId, showAllPhotos, populated.recipientAnonymized),
     content: populated.content,
     photoContext: populated.photoContext,
     isRead: populated.isRead,
@@ -74,17 +85,38 @@ const getMessages = async (req, res) => {
     const currentUser = req.user;
 
     if (recipientId) {
-      // Get conversation with specific recipient
-      const messages = await Message.find({
+      const { limit, cursor } = req.pagination;
+
+      // A cursor only pages back through the conversation it came from
+      if (cursor && cursor.with !== recipientId) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_CURSOR',
+          message: 'This cursor belongs to another conversation. Start again without it.'
+        });
+      }
+
+      const filter = {
         $or: [
           { sender: currentUser._id, recipient: recipientId },
           { sender: recipientId, recipient: currentUser._id }
         ],
         deletedBy: { $ne: currentUser._id }
-      })
-      .sort({ createdAt: 1 })
-      .populate('sender', 'name profileImages')
-      .populate('recipient', 'name profileImages');
+      };
+
+      // Newest page first (one extra to know if there's older history),
+      // then flipped back to oldest-first for display
+      const results = await Message.find(cursor
+        ? { $and: [filter, afterDescending('createdAt', { value: cursor.createdAt, id: cursor.id })] }
+        : filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('sender', 'name profileImages verifiedPhoto')
+      .populate('recipient', 'name profileImages verifiedPhoto');
+
+      const hasMore = results.length > limit;
+      const messages = results.slice(0, limit).reverse();
+      const oldest = messages[0];
 
       // Mark as read if recipient
       await Message.updateMany(
@@ -103,7 +135,10 @@ const getMessages = async (req, res) => {
 
       return res.status(200).json({
         success: true,
-        messages: formattedMessages
+        messages: formattedMessages,
+        nextCursor: hasMore
+          ? encodeCursor(CURSOR_SCOPES.CHAT_HISTORY, { with: recipientId, createdAt: oldest.createdAt, id: oldest._id }, currentUser._id)
+          : null
       });
     }
 
@@ -159,14 +194,34 @@ const getMessages = async (req, res) => {
                 name: 1,
                 profileImages: 1,
                 subscription: 1,
-                lastActive: 1
+                lastActive: 1,
+                verifiedPhoto: 1
               }
             }
           ]
         }
       },
       {
-        $unwind: "$user"
+        // Keep conversations with purged accounts, shown as a deleted user
+        $unwind: { path: "$user", preserveNullAndEmptyArrays: true }
+      },
+      {
+        // Purged partners are flagged on their messages, whether or not the account still resolves
+        $addFields: {
+          user: {
+            $cond: [
+              {
+                $cond: [
+                  { $eq: ["$lastMessage.sender", "$_id"] },
+                  "$lastMessage.senderAnonymized",
+                  "$lastMessage.recipientAnonymized"
+                ]
+              },
+              "$$REMOVE",
+              "$user"
+            ]
+          }
+        }
       },
       {
         $project: {
@@ -181,10 +236,11 @@ const getMessages = async (req, res) => {
           unreadCount: 1,
           user: {
             _id: "$_id",
-            name: "$user.name",
-            profileImages: "$user.profileImages",
+            name: { $ifNull: ["$user.name", DELETED_USER.name] },
+            profileImages: { $ifNull: ["$user.profileImages", []] },
             subscription: "$user.subscription",
-            lastActive: "$user.lastActive"
+            lastActive: "$user.lastActive",
+            verifiedPhoto: { $ifNull: ["$user.verifiedPhoto", false] }
           }
         }
       }
@@ -383,7 +439,7 @@ const getUnreadMessages = async (req, res) => {
       isRead: false,
       deletedBy: { $ne: currentUser._id }
     })
-    .populate('sender', 'name profileImages subscription');
+    .populate('sender', 'name profileImages subscription verifiedPhoto');
 
     const formattedMessages = await Promise.all(
       unread.map(m => formatChatResponse(m, currentUser, true))
@@ -2,8 +2,10 @@ const mongoose = require('mongoose');
 const { formatDistanceToNow } = require('date-fns');
 const Photo = require('../models/photo');
 const User = require('../models/user');
+const Swipe = require('../models/Swipe');
 const Notification = require('../models/notification');
 const { error: errorLogger } = require('../utils/errorLogger');
+const { CURSOR_SCOPES, itemScope, encodeCursor, pageNewestFirst } = require('../utils/cursor');
 
 // Constants
 const LIKE_COOLDOWN_HOURS = 6;
@@ -82,7 +84,7 @@ const likePhoto = async (req, res) => {
 
     // Get photo with owner details
     const photo = await Photo.findById(photoId)
-      .populate('user', 'name gender profileImages isOnline lastActive')
+      .populate('user', 'name gender genderPreference profileImages isOnline lastActive pause deletion')
       .session(session);
 
     if (!photo) {
@@ -94,6 +96,26 @@ const likePhoto = async (req, res) => {
       });
     }
 
+    // Paused or deleting accounts can't receive new likes
+    if (!photo.user._id.equals(userId) && !photo.user.isDiscoverable()) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        code: 'USER_UNAVAILABLE',
+        message: 'This profile is not available right now'
+      });
+    }
+
+    // Only people whose preferences line up both ways can like each other's photos
+    if (!photo.user._id.equals(userId) && !User.isGenderCompatible(req.user, photo.user)) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        code: 'GENDER_PREFERENCE_MISMATCH',
+        message: "This action doesn't match your gender preferences"
+      });
+    }
+
     // Check existing like status
     const alreadyLiked = photo.likedBy.some(id => id.equals(userId));
 
@@ -188,27 +210,26 @@ const likeProfile = async (req, res) => {
       });
     }
 
-    // Get both users
-    const [currentUser] = await Promise.all([
-      User.findById(currentUserId).session(session)
-    ]);
-
-    // Check if already liked
-    const alreadyLiked = currentUser.likedUsers.includes(targetUserId);
+    // Check if already liked (profile likes are deck decisions too)
+    const alreadyLiked = await Swipe.hasLiked(currentUserId, targetUserId, { session });
     let isMatch = false;
 
     // Toggle like status
     if (alreadyLiked) {
       // Unlike
-      currentUser.likedUsers.pull(targetUserId);
+      await Swipe.deleteOne({ user: currentUserId, target: targetUserId }).session(session);
       targetUser.likesReceived.pull(currentUserId);
     } else {
       // Like
-      currentUser.likedUsers.addToSet(targetUserId);
+      await Swipe.record(currentUserId, targetUserId, 'like', { session });
       targetUser.likesReceived.addToSet(currentUserId);
 
       // Check for mutual likes (match)
-      isMatch = targetUser.likedUsers.includes(currentUserId);
+      isMatch = await Swipe.hasLiked(targetUserId, currentUserId, { session });
+      if (isMatch) {
+        targetUser.matches.addToSet(currentUserId);
+        await User.updateOne({ _id: currentUserId }, { $addToSet: { matches: targetUserId } }, { session });
+      }
 
       // Create notification
       await Notification.create([{
@@ -253,7 +274,6 @@ const likeProfile = async (req, res) => {
     }
 
     // Save changes
-    await currentUser.save({ session });
     await targetUser.save({ session });
     await session.commitTransaction();
 
@@ -288,6 +308,78 @@ const likeProfile = async (req, res) => {
   }
 };
 
+/**
+ * Like a specific prompt answer on a profile.
+ * Counts as a profile like and tells the owner which answer caught the eye.
+ */
+const likePromptAnswer = async (req, res) => {
+  try {
+    const { userId: targetUserId, promptAnswerId } = req.params;
+    const currentUserId = req.user._id;
+
+    // Use target user from gender middleware
+    const targetUser = req.targetUser;
+
+    if (targetUserId === currentUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        code: 'SELF_LIKE',
+        message: 'Cannot like your own prompt'
+      });
+    }
+
+    const prompt = targetUser.prompts.id(promptAnswerId);
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        code: 'PROMPT_NOT_FOUND',
+        message: 'Prompt answer not found'
+      });
+    }
+
+    // Only matches when this answer hasn't been liked by the user yet
+    const result = await User.updateOne(
+      {
+        _id: targetUser._id,
+        prompts: { $elemMatch: { _id: prompt._id, likedBy: { $ne: currentUserId } } }
+      },
+      {
+        $addToSet: {
+          'prompts.$.likedBy': currentUserId,
+          likesReceived: currentUserId
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'ALREADY_LIKED',
+        message: 'You have already liked this answer'
+      });
+    }
+
+    prompt.likedBy.push(currentUserId);
+    const [formatted] = User.formatPrompts([prompt], currentUserId);
+
+    const notification = await Notification.createPromptLike(targetUser._id, currentUserId, formatted);
+    if (global.io) {
+      global.io.to(`user-${targetUser._id}`).emit('new-notification', notification);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promptAnswerId: prompt._id,
+        likes: formatted.likes,
+        isLiked: true
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'likePromptAnswer');
+  }
+};
+
 /**
  * Get paginated liked photos
  */
@@ -295,7 +387,7 @@ const getLikedPhotos = async (req, res) => {
   try {
     const { userId } = req.params;
     const currentUserId = req.user._id;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit, skip } = req.pagination;
 
     // Validate user ID
     if (!mongoose.Types.ObjectId.isValid(userId)) {
@@ -313,8 +405,8 @@ const getLikedPhotos = async (req, res) => {
         path: 'likedPhotos',
         select: 'url likes createdAt user',
         options: {
-          skip: (page - 1) * limit,
-          limit: parseInt(limit),
+          skip,
+          limit,
           sort: { createdAt: -1 }
         },
         populate: {
@@ -354,10 +446,10 @@ const getLikedPhotos = async (req, res) => {
       data: {
         photos,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages: Math.ceil(totalPhotos / limit),
           totalItems: totalPhotos,
-          limit: parseInt(limit)
+          limit
         }
       }
     });
@@ -439,7 +531,7 @@ const checkLikeStatus = async (req, res) => {
 const getLikeDetails = async (req, res) => {
   try {
     const photoId = req.params.id;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit, skip, cursor } = req.pagination;
 
     // Validate photo ID
     if (!mongoose.Types.ObjectId.isValid(photoId)) {
@@ -450,18 +542,9 @@ const getLikeDetails = async (req, res) => {
       });
     }
 
-    // Get photo with paginated likers
     const photo = await Photo.findById(photoId)
-      .populate({
-        path: 'likedBy',
-        select: 'name profileImages isOnline lastActive',
-        options: {
-          skip: (page - 1) * limit,
-          limit: parseInt(limit),
-          sort: { createdAt: -1 }
-        }
-      })
-      .select('url likes');
+      .select('url likes likedBy')
+      .lean();
 
     if (!photo) {
       return res.status(404).json({
@@ -471,8 +554,15 @@ const getLikeDetails = async (req, res) => {
       });
     }
 
-    // Format response
-    const likers = photo.likedBy.map(user => ({
+    // Most recent likers first (likes are appended as they happen)
+    const { ids: likerIds, last, hasMore } = pageNewestFirst(photo.likedBy, { cursor, skip, limit });
+    const users = await User.find({ _id: { $in: likerIds } })
+      .select('name profileImages isOnline lastActive')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    // Format response (purged accounts drop out)
+    const likers = likerIds.map(id => usersById.get(id.toString())).filter(Boolean).map(user => ({
       id: user._id,
       name: user.name,
       photo: user.profileImages[0]?.url || null,
@@ -487,10 +577,11 @@ const getLikeDetails = async (req, res) => {
         totalLikes: photo.likes,
         likers,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages: Math.ceil(photo.likes / limit),
           totalItems: photo.likes,
-          limit: parseInt(limit)
+          limit,
+          nextCursor: hasMore ? encodeCursor(itemScope(CURSOR_SCOPES.PHOTO_LIKERS, photoId), last, req.user._id) : null
         }
       }
     });
@@ -504,6 +595,7 @@ const getLikeDetails = async (req, res) => {
 module.exports = {
   likePhoto,
   likeProfile,
+  likePromptAnswer,
   getLikedPhotos,
   checkLikeStatus,
   getLikeDetails
@@ -1,9 +1,16 @@
 const mongoose = require("mongoose");
 const { ObjectId } = mongoose.Types;
 const User = require("../models/user");
+const Swipe = require("../models/Swipe");
 const Chat = require("../models/Chat");
 const Notification = require("../models/notification");
 const { formatDistanceToNow } = require("date-fns");
+const { PROFILE_ATTRIBUTES } = require("../config/profileOptions");
+const { describeDistance, describeTravel } = require("../utils/geo");
+const { VIEWER_FIELDS: DISCOVERY_VIEWER_FIELDS, findDiscoverableUsers } = require("../utils/discovery");
+const { canExplainRanking } = require("../utils/ranking");
+const { FREE_REWINDS_PER_DAY } = require("../config/swipes");
+const { CURSOR_SCOPES, encodeCursor, pageNewestFirst } = require("../utils/cursor");
 
 // ==================== CONSTANTS ====================
 const MATCH_NOTIFICATION_COOLDOWN = 12 * 60 * 60 * 1000; // 12 hours
@@ -32,9 +39,6 @@ const handleError = (res, error, context = "match operation") => {
 };
 
 // ==================== UTILITY FUNCTIONS ====================
-const getOppositeGender = (gender) => 
-  gender === 'male' ? 'female' : gender === 'female' ? 'male' : 'any';
-
 const getUserStatus = (userId, onlineUsers, lastActive) => {
   if (onlineUsers.has(userId.toString())) return "online";
   if (lastActive) return `last seen ${formatDistanceToNow(lastActive)} ago`;
@@ -43,13 +47,13 @@ const getUserStatus = (userId, onlineUsers, lastActive) => {
 
 // ==================== CONTROLLER METHODS ====================
 
-// ✅ Check mutual like & create match
+// ✅ Record a like (or superlike) & create match if mutual
 const createMatchIfMutual = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { targetUserId } = req.body;
+    const { targetUserId, superlike } = req.body;
     const currentUserId = req.user._id;
 
     // Validate IDs
@@ -65,10 +69,10 @@ const createMatchIfMutual = async (req, res) => {
     // Fetch users with necessary fields
     const [currentUser, targetUser] = await Promise.all([
       User.findById(currentUserId)
-        .select("name gender matches likedProfiles")
+        .select("name gender genderPreference matches likedProfiles")
         .session(session),
       User.findById(targetUserId)
-        .select("name gender matches likedProfiles")
+        .select("name gender genderPreference matches likedProfiles pause deletion")
         .session(session),
     ]);
 
@@ -81,14 +85,23 @@ const createMatchIfMutual = async (req, res) => {
       });
     }
 
-    // Validate gender compatibility
-    const targetOpposite = getOppositeGender(targetUser.gender);
-    if (currentUser.gender !== targetOpposite && targetOpposite !== 'any') {
+    // Paused or deleting accounts can't be liked
+    if (!targetUser.isDiscoverable()) {
       await session.abortTransaction();
-      return res.status(400).json({
+      return res.status(404).json({
         success: false,
-        code: "GENDER_MISMATCH",
-        message: "Cannot match with same gender user",
+        code: "USER_UNAVAILABLE",
+        message: "This profile is not available right now",
+      });
+    }
+
+    // Each side's gender has to be one the other is looking for
+    if (!User.isGenderCompatible(currentUser, targetUser)) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        code: "GENDER_PREFERENCE_MISMATCH",
+        message: "This action doesn't match your gender preferences",
       });
     }
 
@@ -101,10 +114,13 @@ const createMatchIfMutual = async (req, res) => {
       });
     }
 
+    await Swipe.record(currentUserId, targetUserId, superlike ? "superlike" : "like", { session });
+
     // Check mutual like
-    const hasMutualLike = targetUser.likedProfiles?.includes(currentUserId.toString());
+    const hasMutualLike = targetUser.likedProfiles?.includes(currentUserId.toString()) ||
+      await Swipe.hasLiked(targetUserId, currentUserId, { session });
     if (!hasMutualLike) {
-      await session.abortTransaction();
+      await session.commitTransaction();
       return res.status(200).json({
         success: true,
         message: "Like registered, waiting for mutual like",
@@ -125,37 +141,22 @@ const createMatchIfMutual = async (req, res) => {
       ),
     ]);
 
-    // Create chat if doesn't exist
-    const existingChat = await Chat.findOne({
-      participants: { $all: [currentUserId, targetUserId] },
-    }).session(session);
-
-    if (!existingChat) {
-      await Chat.create(
-        [{
-          participants: [currentUserId, targetUserId],
-          messages: [],
-        }],
-        { session }
-      );
-    }
-
-    // Send match notifications
+    // Send match notifications (the chat starts with the first message)
     await Notification.insertMany(
       [
         {
-          user: targetUserId,
-          type: "match",
+          recipient: targetUserId,
+          type: "match_notification",
           title: "It's a Match!",
           message: `You and ${currentUser.name} liked each other.`,
-          from: currentUserId,
+          sender: currentUserId,
         },
         {
-          user: currentUserId,
-          type: "match",
+          recipient: currentUserId,
+          type: "match_notification",
           title: "It's a Match!",
           message: `You and ${targetUser.name} liked each other.`,
-          from: targetUserId,
+          sender: targetUserId,
         },
       ],
       { session }
@@ -184,9 +185,7 @@ const createMatchIfMutual = async (req, res) => {
 // ✅ Get all matches for current user
 const getMatches = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    const skip = (page - 1) * limit;
+    const { page, limit, skip, cursor } = req.pagination;
     const onlineUsers = req.app.get("onlineUsers") || new Set();
 
     const user = await User.findById(req.user._id)
@@ -201,8 +200,10 @@ const getMatches = async (req, res) => {
       });
     }
 
-    const matchIds = user.matches.slice(skip, skip + limit);
+    // Newest matches first; new ones land before the cursor so later pages don't shift
+    const { ids: matchIds, last, hasMore } = pageNewestFirst(user.matches, { cursor, skip, limit });
     const totalMatches = user.matches.length;
+    const order = new Map(matchIds.map((id, index) => [id.toString(), index]));
 
     const matches = await User.aggregate([
       { $match: { _id: { $in: matchIds } } },
@@ -214,18 +215,22 @@ const getMatches = async (req, res) => {
           gender: 1,
           age: 1,
           lastActive: 1,
+          verifiedPhoto: 1,
         },
       },
     ]);
 
-    const formattedMatches = matches.map(user => ({
-      id: user._id,
-      name: user.name,
-      photo: user.profileImages[0]?.url || null,
-      gender: user.gender,
-      age: user.age,
-      status: getUserStatus(user._id, onlineUsers, user.lastActive),
-    }));
+    const formattedMatches = matches
+      .sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()))
+      .map(user => ({
+        id: user._id,
+        name: user.name,
+        photo: user.profileImages[0]?.url || null,
+        gender: user.gender,
+        age: user.age,
+        verifiedPhoto: !!user.verifiedPhoto,
+        status: getUserStatus(user._id, onlineUsers, user.lastActive),
+      }));
 
     res.status(200).json({
       success: true,
@@ -236,6 +241,7 @@ const getMatches = async (req, res) => {
           totalPages: Math.ceil(totalMatches / limit),
           totalItems: totalMatches,
           limit,
+          nextCursor: hasMore ? encodeCursor(CURSOR_SCOPES.MATCHES, last, req.user._id) : null,
         },
       },
     });
@@ -272,9 +278,11 @@ const getMatchDetails = async (req, res) => {
       });
     }
 
-    const match = await User.findById(matchId)
-      .select("name profileImages bio age gender lastActive")
-      .lean();
+    const [match, viewer] = await Promise.all([
+      User.findById(matchId)
+        .select(`name profileImages bio age gender lastActive matches verifiedPhoto location passport subscription.expiresAt fieldVisibility ${PROFILE_ATTRIBUTES.join(" ")}`),
+      User.findById(req.user._id).select("location passport subscription.expiresAt").lean(),
+    ]);
 
     if (!match) {
       return res.status(404).json({
@@ -293,6 +301,10 @@ const getMatchDetails = async (req, res) => {
         bio: match.bio,
         age: match.age,
         gender: match.gender,
+        verifiedPhoto: !!match.verifiedPhoto,
+        distance: describeDistance(viewer, match),
+        travel: describeTravel(match),
+        ...match.getVisibleAttributes(req.user._id),
         status: getUserStatus(match._id, onlineUsers, match.lastActive),
       },
     });
@@ -364,16 +376,17 @@ const unmatchUser = async (req, res) => {
   }
 };
 
-// ✅ Get potential matches (gender-filtered)
+// ✅ Get potential matches (gender, age range and distance, best ranked first)
 const getPotentialMatches = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const skip = (page - 1) * limit;
     const onlineUsers = req.app.get("onlineUsers") || new Set();
+    const explain = req.query.explain === true && canExplainRanking(req.user);
 
     const currentUser = await User.findById(req.user._id)
-      .select("gender matches likedProfiles")
+      .select(`gender genderPreference matches likedProfiles ${DISCOVERY_VIEWER_FIELDS}`)
       .lean();
 
     if (!currentUser) {
@@ -384,33 +397,33 @@ const getPotentialMatches = async (req, res) => {
       });
     }
 
-    // Determine opposite gender for filtering
-    const targetGender = getOppositeGender(currentUser.gender);
-    
-    const query = {
-      _id: {
-        $ne: req.user._id,
-        $nin: [...currentUser.matches, ...(currentUser.likedProfiles || [])],
+    // Liked profiles stay out of the deck; passed ones come back after the cooldown
+    const decidedIds = await Swipe.getDecidedTargetIds(currentUser._id);
+
+    const { users: potentialMatches, total: totalCount } = await findDiscoverableUsers(currentUser, {
+      skip,
+      limit,
+      explain,
+      excludeIds: [...currentUser.matches, ...(currentUser.likedProfiles || []), ...decidedIds],
+      extraMatch: {
+        ...User.genderMatchFilter(currentUser),
+        ...(req.query.verifiedOnly && { verifiedPhoto: true }),
       },
-      ...(targetGender !== 'any' && { gender: targetGender }),
-    };
-
-    const [potentialMatches, totalCount] = await Promise.all([
-      User.find(query)
-        .select("name profileImages age gender lastActive")
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      User.countDocuments(query),
-    ]);
+      fields: `name profileImages age gender lastActive verifiedPhoto matches fieldVisibility ${PROFILE_ATTRIBUTES.join(" ")}`,
+    });
 
-    const formattedMatches = potentialMatches.map(user => ({
+    const formattedMatches = potentialMatches.map(({ user, distance, ranking }) => ({
       id: user._id,
       name: user.name,
       photo: user.profileImages[0]?.url || null,
       age: user.age,
       gender: user.gender,
+      verifiedPhoto: !!user.verifiedPhoto,
+      distance,
+      travel: describeTravel(user),
+      ...user.getVisibleAttributes(req.user._id),
       status: getUserStatus(user._id, onlineUsers, user.lastActive),
+      ...(explain && { ranking }),
     }));
 
     res.status(200).json({
@@ -430,10 +443,126 @@ const getPotentialMatches = async (req, res) => {
   }
 };
 
+// ✅ Pass on a profile in the deck
+const passProfile = async (req, res) => {
+  try {
+    const { targetUserId } = req.body;
+    const currentUserId = req.user._id;
+
+    if (targetUserId === currentUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        code: "SELF_SWIPE",
+        message: "You can't pass on your own profile",
+      });
+    }
+
+    if (!(await User.exists({ _id: targetUserId }))) {
+      return res.status(404).json({
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "User not found",
+      });
+    }
+
+    const swipe = await Swipe.record(currentUserId, targetUserId, "pass");
+
+    res.status(200).json({
+      success: true,
+      message: "Passed",
+      data: {
+        userId: targetUserId,
+        decision: swipe.decision,
+        decidedAt: swipe.decidedAt,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "passProfile");
+  }
+};
+
+// ✅ Undo the most recent pass (free accounts get FREE_REWINDS_PER_DAY a day)
+const rewindLastPass = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+
+    const lastPass = await Swipe.findLastPass(currentUserId);
+    if (!lastPass) {
+      return res.status(404).json({
+        success: false,
+        code: "NOTHING_TO_REWIND",
+        message: "There's no pass to undo",
+      });
+    }
+
+    let rewindsLeft = null;
+    if (!req.user.isSubscribed) {
+      const today = new Date().toISOString().slice(0, 10);
+
+      // Counts the rewind only if today's allowance isn't used up
+      const allowed = await User.findOneAndUpdate(
+        {
+          _id: currentUserId,
+          $or: [
+            { "swipeRewinds.day": { $ne: today } },
+            { "swipeRewinds.count": { $lt: FREE_REWINDS_PER_DAY } },
+          ],
+        },
+        [{
+          $set: {
+            swipeRewinds: {
+              day: today,
+              count: {
+                $cond: [{ $eq: ["$swipeRewinds.day", today] }, { $add: ["$swipeRewinds.count", 1] }, 1],
+              },
+            },
+          },
+        }],
+        { new: true, projection: "swipeRewinds" }
+      );
+
+      if (!allowed) {
+        const nextRewindAt = new Date(`${today}T00:00:00.000Z`);
+        nextRewindAt.setUTCDate(nextRewindAt.getUTCDate() + 1);
+        return res.status(429).json({
+          success: false,
+          code: "REWIND_LIMIT_REACHED",
+          message: "You've used today's rewind. Subscribe for unlimited rewinds.",
+          data: { nextRewindAt },
+        });
+      }
+      rewindsLeft = Math.max(FREE_REWINDS_PER_DAY - allowed.swipeRewinds.count, 0);
+    }
+
+    await Swipe.deleteOne({ _id: lastPass._id, decision: "pass" });
+
+    const target = await User.findById(lastPass.target).select("name age profileImages").lean();
+
+    res.status(200).json({
+      success: true,
+      message: "Pass undone",
+      data: {
+        rewound: {
+          userId: lastPass.target,
+          name: target?.name || null,
+          age: target?.age || null,
+          photo: target?.profileImages?.[0]?.url || null,
+          passedAt: lastPass.decidedAt,
+        },
+        rewindsLeft,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "rewindLastPass");
+  }
+};
+
 module.exports = {
   createMatchIfMutual,
   getMatches,
   getMatchDetails,
   unmatchUser,
   getPotentialMatches,
+  passProfile,
+  rewindLastPass,
 };
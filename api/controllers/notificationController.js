@@ -2,6 +2,7 @@ const Notification = require('../models/notification');
 const User = require('../models/user');
 const mongoose = require('mongoose');
 const { formatDistanceToNow } = require('date-fns');
+const { CURSOR_SCOPES, encodeCursor, afterDescending } = require('../utils/cursor');
 
 const isDev = process.env.NODE_ENV === 'development';
 
@@ -36,31 +37,39 @@ const handleError = (error, res, customMessage = 'Internal server error') => {
 // ==================== Controller Methods ====================
 
 /**
- * Get notifications with advanced filtering
+ * Get notifications with advanced filtering, newest first.
+ * Pass the returned nextCursor back as `cursor` for the next page.
  */
 const getNotifications = async (req, res) => {
   try {
-    const { limit = 20, page = 1, type, unreadOnly } = req.query;
-    const skip = (page - 1) * parseInt(limit);
+    const { page, limit, skip, cursor } = req.pagination;
+    const { type, unreadOnly } = req.query;
 
-    const filter = { user: req.user._id };
+    const filter = { recipient: req.user._id };
     if (type) filter.type = type;
-    if (unreadOnly === 'true') filter.read = false;
+    if (unreadOnly === 'true') filter.isRead = false;
 
-    const notifications = await Notification.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+    const query = cursor
+      ? { $and: [filter, afterDescending('createdAt', { value: cursor.createdAt, id: cursor.id })] }
+      : filter;
+
+    // One extra to know whether there's a next page
+    const results = await Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(cursor ? 0 : skip)
+      .limit(limit + 1)
       .populate({
-        path: 'from',
+        path: 'sender',
         select: 'name profileImages isOnline lastActive',
         transform: doc => doc ? {
           ...doc._doc,
           status: doc.isOnline ? 'online' : `last seen ${formatDistanceToNow(doc.lastActive)} ago`
         } : null
-      })
-      .populate('relatedMessage', 'content createdAt')
-      .populate('relatedUser', 'name profileImages isOnline');
+      });
+
+    const hasMore = results.length > limit;
+    const notifications = results.slice(0, limit);
+    const last = notifications[notifications.length - 1];
 
     const total = await Notification.countDocuments(filter);
 
@@ -68,7 +77,7 @@ const getNotifications = async (req, res) => {
     if (unreadOnly === 'true') {
       await Notification.updateMany(
         { _id: { $in: notifications.map(n => n._id) } },
-        { $set: { read: true, readAt: new Date() } }
+        { $set: { isRead: true, readAt: new Date() } }
       );
       
       // Update last read timestamp
@@ -89,9 +98,12 @@ const getNotifications = async (req, res) => {
       data: notifications,
       pagination: {
         total,
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         totalPages: Math.ceil(total / limit),
+        nextCursor: hasMore
+          ? encodeCursor(CURSOR_SCOPES.NOTIFICATIONS, { createdAt: last.createdAt, id: last._id }, req.user._id)
+          : null
       },
     });
   } catch (error) {
@@ -46,6 +46,16 @@ const initiateSubscription = async (req, res) => {
       });
     }
 
+    // STK pushes may only target the user's own, OTP-verified number
+    if (!user.phoneVerified || formatPhoneNumber(user.phoneNumber) !== formattedPhone) {
+      return res.status(403).json({
+        success: false,
+        code: 'PHONE_NOT_VERIFIED',
+        message: 'Verify your phone number before paying with M-Pesa',
+        verifyUrl: '/api/auth/phone/send-otp'
+      });
+    }
+
     // Check for existing active subscription
     if (user.subscription?.isActive && new Date(user.subscription.expiresAt) > new Date()) {
       return res.status(200).json({
@@ -3,8 +3,15 @@ const User = require('../models/user');
 const Photo = require('../models/photo');
 const Chat = require('../models/Chat');
 const Notification = require('../models/notification');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const Swipe = require('../models/Swipe');
 const { deletePhoto: cloudinaryDelete } = require('../config/cloudinary');
 const { formatDistanceToNow } = require('date-fns');
+const { queueCompletenessRefresh } = require('../utils/profileCompleteness');
+const { describeTravel } = require('../utils/geo');
+const { FEED_PHOTO_LIMIT, getDiscoveryPool, rankForViewer } = require('../utils/discovery');
+const { canExplainRanking } = require('../utils/ranking');
+const { CURSOR_SCOPES, encodeCursor } = require('../utils/cursor');
 
 // ======================
 // ENHANCED ERROR HANDLER
@@ -51,13 +58,14 @@ const handleError = (res, error, customMessage = 'Internal server error', code =
 // ======================
 const getPhotoFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { verifiedOnly } = req.query;
+    const { page, limit, skip, cursor } = req.pagination;
     const currentUserId = req.user._id;
+    const explain = req.query.explain === true && canExplainRanking(req.user);
 
     // Get current user with gender preferences
     const currentUser = await User.findById(currentUserId)
-      .select('gender genderPreference subscription isSubscribed');
+      .select('gender genderPreference subscription isSubscribed age interests location passport preferences');
     
     if (!currentUser) {
       return res.status(404).json({
@@ -67,24 +75,94 @@ const getPhotoFeed = async (req, res) => {
       });
     }
 
-    // Get opposite gender based on blueprint logic
-    const oppositeGender = currentUser.gender === 'male' ? 'female' : 'male';
-    const genderFilter = currentUser.genderPreference.includes(oppositeGender) 
-      ? [oppositeGender] 
-      : currentUser.genderPreference;
+    // Nearest people who fit the user's gender, age and distance preferences, and whose
+    // preferences the user fits. Paused, deleting and incognito accounts are already left out,
+    // and so are people the user has liked or recently passed on.
+    const pool = await getDiscoveryPool(currentUser, {
+      excludeIds: await Swipe.getDecidedTargetIds(currentUserId),
+      extraMatch: {
+        ...User.genderMatchFilter(currentUser),
+        ...(verifiedOnly && { verifiedPhoto: true })
+      }
+    });
+    const owners = new Map(pool.map(entry => [entry._id.toString(), entry]));
+    const toCandidate = (photo) => ({
+      ...owners.get(photo.uploader.toString()).candidate,
+      photoId: photo._id,
+      postedAt: photo.createdAt
+    });
+
+    let order;
+    let offset;
+    let eligible = null;
+    let snapshot = null;
+    let rankedAt;
+    const explanations = new Map();
+
+    if (cursor) {
+      // Later pages follow the order saved with the first page
+      snapshot = await FeedSnapshot.findForUser(cursor.snapshot, currentUserId);
+      if (!snapshot) {
+        return res.status(400).json({
+          success: false,
+          code: 'CURSOR_EXPIRED',
+          message: 'This feed has expired. Start again without the cursor.'
+        });
+      }
+      order = snapshot.photos;
+      offset = cursor.offset;
+      rankedAt = snapshot.rankedAt;
+
+      // Photos removed since, or whose owner has left the pool (blocked, paused...), are skipped
+      eligible = new Map((await Photo.find({
+        _id: { $in: order.slice(offset) },
+        status: 'approved',
+        uploader: { $in: pool.map(entry => entry._id) }
+      })
+        .select('uploader createdAt')
+        .lean()).map(photo => [photo._id.toString(), photo]));
+    } else {
+      // Their most recent photos, ranked on the owner's signals plus the photo's own age
+      const candidatePhotos = await Photo.find({
+        status: 'approved',
+        uploader: { $in: pool.map(entry => entry._id) },
+        gender: { $in: currentUser.genderPreference }
+      })
+        .select('uploader createdAt')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(FEED_PHOTO_LIMIT)
+        .lean();
+
+      rankedAt = new Date();
+      const ranked = rankForViewer(currentUser, candidatePhotos.map(toCandidate), { explain, now: rankedAt });
+      ranked.forEach(({ candidate, explanation }) => explanations.set(candidate.photoId.toString(), explanation));
+      order = ranked.map(({ candidate }) => candidate.photoId);
+      offset = skip;
+    }
+
+    const pageIds = [];
+    let index = offset;
+    for (; index < order.length && pageIds.length < limit; index++) {
+      if (!eligible || eligible.has(order[index].toString())) pageIds.push(order[index]);
+    }
+    const hasMore = order.slice(index).some(id => !eligible || eligible.has(id.toString()));
+
+    // Later pages explain with the owners' current signals, which may have moved since the order was saved
+    if (explain && eligible) {
+      rankForViewer(currentUser, pageIds.map(id => toCandidate(eligible.get(id.toString()))), { explain, now: rankedAt })
+        .forEach(({ candidate, explanation }) => explanations.set(candidate.photoId.toString(), explanation));
+    }
+
+    if (hasMore && !snapshot) {
+      snapshot = await FeedSnapshot.capture(currentUserId, order, rankedAt);
+    }
+    const nextCursor = hasMore
+      ? encodeCursor(CURSOR_SCOPES.PHOTO_FEED, { snapshot: snapshot._id, offset: index }, currentUserId)
+      : null;
+    const pageOrder = new Map(pageIds.map((id, position) => [id.toString(), position]));
 
-    // Get photos filtered by the user's gender preferences
     const photos = await Photo.aggregate([
-      {
-        $match: {
-          status: 'approved',
-          uploader: { $ne: new mongoose.Types.ObjectId(currentUserId) },
-          gender: { $in: genderFilter }
-        }
-      },
-      { $sort: { createdAt: -1 } },
-      { $skip: skip },
-      { $limit: parseInt(limit) },
+      { $match: { _id: { $in: pageIds } } },
       {
         $lookup: {
           from: 'users',
@@ -100,7 +178,12 @@ const getPhotoFeed = async (req, res) => {
                 profileImages: 1,
                 isOnline: 1,
                 lastActive: 1,
-                isSubscribed: 1
+                isSubscribed: 1,
+                verifiedPhoto: 1,
+                prompts: 1,
+                location: 1,
+                passport: 1,
+                'subscription.expiresAt': 1
               }
             }
           ]
@@ -129,6 +212,7 @@ const getPhotoFeed = async (req, res) => {
             age: '$owner.age',
             gender: '$owner.gender',
             isSubscribed: '$owner.isSubscribed',
+            verifiedPhoto: { $ifNull: ['$owner.verifiedPhoto', false] },
             isOnline: '$owner.isOnline',
             lastActive: '$owner.lastActive',
             status: {
@@ -150,27 +234,43 @@ const getPhotoFeed = async (req, res) => {
                 }
               ]
             },
-            avatar: { $arrayElemAt: ['$owner.profileImages.url', 0] }
+            avatar: { $arrayElemAt: ['$owner.profileImages.url', 0] },
+            prompts: { $ifNull: ['$owner.prompts', []] },
+            location: '$owner.location',
+            passport: '$owner.passport',
+            subscription: '$owner.subscription'
           }
         }
       }
     ]);
 
-    const total = await Photo.countDocuments({
-      status: 'approved',
-      uploader: { $ne: currentUserId },
-      gender: { $in: genderFilter }
+    // Prompt answers shown on the card, with the question text and like state.
+    // Coordinates and passport details are only used to work out the travel label and
+    // never leave the server.
+    photos.sort((a, b) => pageOrder.get(a._id.toString()) - pageOrder.get(b._id.toString()));
+    photos.forEach(photo => {
+      if (explain) photo.ranking = explanations.get(photo._id.toString());
+      photo.owner.prompts = User.formatPrompts(photo.owner.prompts, currentUserId);
+      photo.owner.distance = owners.get(photo.owner._id.toString()).distance || null;
+      photo.owner.travel = describeTravel(photo.owner);
+      delete photo.owner.location;
+      delete photo.owner.passport;
+      delete photo.owner.subscription;
     });
 
+    // Photos past FEED_PHOTO_LIMIT aren't ranked, so they aren't counted either
+    const total = order.length;
+
     res.status(200).json({
       success: true,
       data: {
         photos,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages: Math.ceil(total / limit),
           totalItems: total,
-          itemsPerPage: parseInt(limit)
+          itemsPerPage: limit,
+          nextCursor
         }
       }
     });
@@ -258,6 +358,7 @@ const uploadPhoto = async (req, res) => {
     await newPhoto.save({ session });
 
     await session.commitTransaction();
+    queueCompletenessRefresh(req.user._id);
 
     console.log('✅ Photo document saved:', newPhoto._id);
 
@@ -338,7 +439,7 @@ const getUserPhotos = async (req, res) => {
     const photos = await Photo.find({ 
       uploader: req.user._id,
       status: 'approved' // Only show approved photos
-    }).populate('uploader', 'name age gender isOnline');
+    }).populate('uploader', 'name age gender isOnline verifiedPhoto');
 
     res.status(200).json({
       success: true,
@@ -401,6 +502,7 @@ const deletePhoto = async (req, res) => {
     );
 
     await session.commitTransaction();
+    queueCompletenessRefresh(userId);
     console.log(`✅ Photo deleted: ${photoId}`);
 
     res.status(200).json({
@@ -542,6 +644,58 @@ const initiateChat = async (req, res) => {
   }
 };
 
+// ======================
+// SET PRIMARY PHOTO
+// ======================
+const setPrimaryPhoto = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const photo = await Photo.findOne({ _id: req.params.id, user: userId });
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        code: 'PHOTO_NOT_FOUND',
+        message: 'Photo not found or no permission'
+      });
+    }
+
+    if (photo.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        code: 'PHOTO_NOT_APPROVED',
+        message: 'Only approved photos can be your main photo'
+      });
+    }
+
+    photo.isPrimary = true;
+    await photo.save(); // pre-save hook unsets the user's other primary photo
+
+    // The first profile image is used as the avatar everywhere
+    const user = await User.findById(userId).select('profileImages');
+    const index = user.profileImages.findIndex(image => image.publicId === photo.publicId);
+    if (index > 0) {
+      const [primary] = user.profileImages.splice(index, 1);
+      user.profileImages.unshift(primary);
+      await user.save();
+    }
+
+    queueCompletenessRefresh(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Main photo updated',
+      data: {
+        photoId: photo._id,
+        url: photo.url,
+        isPrimary: true
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error setting main photo');
+  }
+};
+
 // ======================
 // GET PHOTO BY ID (WITH STATUS CHECK)
 // ======================
@@ -553,7 +707,7 @@ const getPhotoById = async (req, res) => {
     const photo = await Photo.findOne({
       _id: photoId,
       status: 'approved' // Only return approved photos
-    }).populate('uploader', 'name age gender isOnline');
+    }).populate('uploader', 'name age gender isOnline verifiedPhoto');
 
     if (!photo) {
       console.log(`❌ Photo not found or not approved: ${photoId}`);
@@ -587,5 +741,6 @@ module.exports = {
   getUserPhotos,
   deletePhoto,
   initiateChat,
+  setPrimaryPhoto,
   getPhotoById
 };
\ No newline at end of file
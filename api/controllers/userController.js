@@ -4,6 +4,25 @@ const Chat = require('../models/Chat');
 const Notification = require('../models/notification');
 const mongoose = require('mongoose');
 const { formatDistanceToNow } = require('date-fns');
+const DataExport = require('../models/DataExport');
+const Session = require('../models/Session');
+const { buildDataExport, findDownloadableExport } = require('../utils/dataExport');
+const { calculateAge, MINIMUM_AGE } = require('../utils/age');
+const { PROFILE_ATTRIBUTES, getProfileOptions: buildProfileOptions } = require('../config/profileOptions');
+const { PROMPTS, getPromptLibrary: buildPromptLibrary } = require('../config/profilePrompts');
+const { refreshCompleteness, queueCompletenessRefresh } = require('../utils/profileCompleteness');
+const { pauseAccount: pauseProfile, resumeAccount: resumeProfile } = require('../utils/accountPause');
+const { recordProfileView, getProfileViewers } = require('../utils/profileViews');
+const { hasSharedLocation, shouldStoreLocation, describeDistance, describeTravel } = require('../utils/geo');
+const { PASSPORT_CITIES, MAX_PASSPORT_DAYS, getPassportCity } = require('../config/passportCities');
+const { startPassport, endPassport, formatPassport } = require('../utils/passport');
+const { USERNAME_CHANGE_COOLDOWN_DAYS } = require('../config/usernames');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion: cancelScheduledDeletion
+} = require('../utils/accountDeletion');
 
 // ======================
 // ENHANCED CONFIGURATION
@@ -46,18 +65,63 @@ const handleError = (res, error, customMessage = 'Internal server error', code =
 // CORE USER CONTROLLERS
 // ======================
 
+/**
+ * Someone else's profile, as the viewer is allowed to see it. Records the view.
+ */
+const getPublicProfile = async (req, res) => {
+  const [user, viewer] = await Promise.all([
+    User.findById(req.params.userId)
+      .select(`name username age gender bio profileImages isOnline lastActive matches verifiedPhoto subscription pause deletion incognito location passport fieldVisibility prompts ${PROFILE_ATTRIBUTES.join(' ')}`),
+    User.findById(req.user._id).select('location passport subscription.expiresAt').lean()
+  ]);
+
+  // Hidden profiles stay reachable for existing matches only; incognito ones
+  // also for people they've liked
+  const isMatch = !!user && user.matches.some(id => id.equals(req.user._id));
+  const hiddenByIncognito = !!user && !isMatch && user.isIncognito() &&
+    !(await User.getLikerIds(req.user._id)).some(id => id.equals(user._id));
+  if (!user || (!user.isDiscoverable() && !isMatch) || hiddenByIncognito ||
+      await User.isBlockedBetween(req.user._id, user._id)) {
+    return res.status(404).json({
+      success: false,
+      code: 'USER_NOT_FOUND',
+      message: 'User not found'
+    });
+  }
+
+  recordProfileView(user, req.user._id);
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      _id: user._id,
+      name: user.name,
+      username: user.username || null,
+      age: user.age,
+      gender: user.gender,
+      bio: user.bio,
+      profileImages: user.profileImages.map(({ url, uploadedAt }) => ({ url, uploadedAt })),
+      verifiedPhoto: !!user.verifiedPhoto,
+      distance: describeDistance(viewer, user),
+      travel: describeTravel(user),
+      ...user.getVisibleAttributes(req.user._id),
+      prompts: User.formatPrompts(user.prompts, req.user._id),
+      status: {
+        isOnline: user.isOnline,
+        lastActive: user.lastActive,
+        lastSeen: user.isOnline ? 'online' : `last seen ${formatDistanceToNow(user.lastActive)} ago`
+      }
+    }
+  });
+};
+
 /**
  * Get enhanced user profile with online status
  */
 const getProfile = async (req, res) => {
   try {
-    // Verify that the requested user is the authenticated user
     if (req.params.userId !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        code: 'UNAUTHORIZED_ACCESS',
-        message: 'You can only access your own profile'
-      });
+      return await getPublicProfile(req, res);
     }
 
     const user = await User.findById(req.params.userId)
@@ -109,26 +173,57 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    const { name, bio, age, gender, preferences } = req.body;
+    const { name, bio, birthDate, gender, preferences } = req.body;
     const updates = {};
 
+    // Age is derived from birthDate and can't be set directly
+    if (req.body.age !== undefined) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        code: 'AGE_READ_ONLY',
+        message: 'Age is calculated from your date of birth'
+      });
+    }
+
     // Validate and build update object
     if (name) updates.name = name;
     if (bio) updates.bio = bio;
-    if (age) {
-      if (age < 18 || age > 100) {
+    if (birthDate) {
+      // Set once during onboarding; corrections go through support
+      const current = await User.findById(req.params.userId).select('birthDate').session(session);
+      if (current?.birthDate) {
         await session.abortTransaction();
-        return res.status(400).json({
+        return res.status(403).json({
+          success: false,
+          code: 'BIRTHDATE_LOCKED',
+          message: 'Your date of birth cannot be changed. Contact support if it is wrong'
+        });
+      }
+
+      const age = calculateAge(birthDate);
+      if (age < MINIMUM_AGE) {
+        await session.abortTransaction();
+        return res.status(403).json({
           success: false,
-          code: 'INVALID_AGE',
-          message: 'Age must be between 18 and 100'
+          code: 'UNDERAGE',
+          message: `You must be at least ${MINIMUM_AGE} years old to use Ruda`
         });
       }
+      updates.birthDate = birthDate;
       updates.age = age;
     }
     if (gender) updates.gender = gender;
     if (preferences) updates.preferences = preferences;
 
+    // Rich attributes: null clears a field, visibility is merged per field
+    PROFILE_ATTRIBUTES.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    Object.entries(req.body.fieldVisibility || {}).forEach(([field, visibility]) => {
+      updates[`fieldVisibility.${field}`] = visibility;
+    });
+
     const user = await User.findByIdAndUpdate(
       req.params.userId,
       updates,
@@ -136,6 +231,8 @@ const updateProfile = async (req, res) => {
     ).select('-password');
 
     await session.commitTransaction();
+    queueCompletenessRefresh(user._id);
+    if (gender) await Photo.syncOwnerGender(user._id, user.gender);
 
     // Broadcast profile update to connections
     if (global.io) {
@@ -158,6 +255,286 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Profile completeness score with the missing items, biggest gains first
+ */
+const getCompleteness = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only view your own profile completeness'
+      });
+    }
+
+    const completeness = await refreshCompleteness(req.params.userId);
+    if (!completeness) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: completeness
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error calculating profile completeness');
+  }
+};
+
+/**
+ * Stores the signed-in user's current position. Only fuzzed distances are ever shown to others.
+ */
+const updateMyLocation = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const coordinates = [longitude, latitude];
+
+    const user = await User.findById(req.user._id).select('location').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    // Frequent small moves aren't worth a write
+    if (!shouldStoreLocation(user.location, coordinates)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Location unchanged',
+        data: { updated: false, lastUpdated: user.location.lastUpdated }
+      });
+    }
+
+    const lastUpdated = new Date();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { location: { type: 'Point', coordinates, lastUpdated } } },
+      { runValidators: true }
+    );
+
+    if (!hasSharedLocation(user.location)) queueCompletenessRefresh(user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Location updated',
+      data: { updated: true, lastUpdated }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error updating location');
+  }
+};
+
+/**
+ * Open a profile from a shared link. Same visibility rules as opening it by ID.
+ */
+const getUserByHandle = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.handle }).select('_id').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    req.params.userId = user._id.toString();
+    return await getProfile(req, res);
+  } catch (error) {
+    return handleError(res, error, 'Error fetching profile by username');
+  }
+};
+
+/**
+ * Set or change the user's public username (limited to once per cooldown)
+ */
+const updateUsername = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only change your own username'
+      });
+    }
+
+    const { username } = req.body;
+    const user = await User.findById(req.user._id).select('username usernameChangedAt');
+
+    if (user.username === username) {
+      return res.status(200).json({
+        success: true,
+        message: 'Username unchanged',
+        data: { username: user.username, usernameChangedAt: user.usernameChangedAt }
+      });
+    }
+
+    // The first username is free; changes after that wait out the cooldown
+    const nextChangeAt = user.username && user.usernameChangedAt
+      ? new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+    if (nextChangeAt && nextChangeAt > new Date()) {
+      return res.status(429).json({
+        success: false,
+        code: 'USERNAME_CHANGE_COOLDOWN',
+        message: `You can change your username again on ${nextChangeAt.toDateString()}`,
+        data: { nextChangeAt }
+      });
+    }
+
+    if (await User.exists({ username, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        code: 'USERNAME_TAKEN',
+        message: 'That username is already taken'
+      });
+    }
+
+    user.username = username;
+    user.usernameChangedAt = new Date();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Username updated',
+      data: { username: user.username, usernameChangedAt: user.usernameChangedAt }
+    });
+  } catch (error) {
+    // Lost a race for the same username
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        code: 'USERNAME_TAKEN',
+        message: 'That username is already taken'
+      });
+    }
+    return handleError(res, error, 'Error updating username');
+  }
+};
+
+/**
+ * Who viewed my profile: subscribers see viewer cards, free users a count and locked cards
+ */
+const getViewers = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only see who viewed your own profile'
+      });
+    }
+
+    const { page, limit } = req.pagination;
+    const unlocked = !!req.user.isSubscribed;
+    const result = await getProfileViewers(req.user._id, { page, limit, unlocked });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        unlocked,
+        ...(!unlocked && { upgradeMessage: 'Subscribe to see who viewed your profile' })
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error fetching profile viewers');
+  }
+};
+
+/**
+ * Option lists for the profile pickers (interests, education, languages...)
+ */
+const getProfileOptions = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: buildProfileOptions()
+  });
+};
+
+/**
+ * Prompt library users can pick from
+ */
+const getPromptLibrary = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: buildPromptLibrary()
+  });
+};
+
+/**
+ * Replace the user's prompt answers (up to three).
+ * An unchanged answer keeps its likes; edited answers start fresh.
+ */
+const updatePrompts = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only update your own profile'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('prompts');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    const { prompts } = req.body;
+
+    // Retired prompts can be kept but not newly picked
+    const retired = prompts.find(({ promptId }) =>
+      !PROMPTS.find(prompt => prompt.id === promptId)?.active &&
+      !user.prompts.some(existing => existing.promptId === promptId)
+    );
+    if (retired) {
+      return res.status(400).json({
+        success: false,
+        code: 'PROMPT_RETIRED',
+        message: 'That prompt is no longer available. Please pick another one'
+      });
+    }
+
+    user.prompts = prompts.map(({ promptId, answer }) => {
+      const existing = user.prompts.find(prompt => prompt.promptId === promptId);
+      return existing && existing.answer === answer
+        ? existing
+        : { promptId, answer };
+    });
+    await user.save();
+    queueCompletenessRefresh(user._id);
+
+    const formatted = User.formatPrompts(user.prompts, req.user._id);
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('profile-updated', {
+        userId: user._id,
+        updates: { prompts: formatted }
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Prompts updated successfully',
+      data: { prompts: formatted }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error updating prompts');
+  }
+};
+
 // ======================
 // SUBSCRIPTION HANDLERS
 // ======================
@@ -170,308 +547,747 @@ const subscribe = async (req, res) => {
   session.startTransaction();
 
   try {
-    // Verify ownership
+    // Verify ownership
+    if (req.params.userId !== req.user._id.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only subscribe for your own account'
+      });
+    }
+
+    const { plan, paymentMethod } = req.body;
+    
+    // Validate subscription plan
+    const validPlans = ['monthly', 'yearly', 'premium'];
+    if (!validPlans.includes(plan)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PLAN',
+        message: 'Invalid subscription plan'
+      });
+    }
+
+    // Calculate expiry date
+    const expiryDate = new Date();
+    if (plan === 'monthly') expiryDate.setMonth(expiryDate.getMonth() + 1);
+    else if (plan === 'yearly') expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+    else if (plan === 'premium') expiryDate.setFullYear(expiryDate.getFullYear() + 5);
+
+    // Update user subscription
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      {
+        subscription: {
+          isActive: true,
+          plan,
+          startDate: new Date(),
+          expiryDate,
+          paymentMethod
+        }
+      },
+      { new: true, session }
+    );
+
+    await session.commitTransaction();
+
+    // Send subscription confirmation
+    if (global.io) {
+      global.io.to(`user-${req.params.userId}`).emit('subscription-updated', {
+        status: 'active',
+        plan
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Subscription successful',
+      data: {
+        subscription: updatedUser.subscription
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    return handleError(res, error, 'Error processing subscription');
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get user subscription status
+ */
+const getSubscriptionStatus = async (req, res) => {
+  try {
+    // Verify ownership
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only check your own subscription status'
+      });
+    }
+
+    const user = await User.findById(req.params.userId)
+      .select('subscription');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        subscription: user.subscription || { isActive: false }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error fetching subscription status');
+  }
+};
+
+// ======================
+// USER INTERACTIONS
+// ======================
+
+/**
+ * Like another user
+ */
+const likeUser = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { targetUserId } = req.body;
+    const currentUserId = req.user._id;
+
+    // Prevent self-liking
+    if (currentUserId.toString() === targetUserId) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        code: 'SELF_LIKE',
+        message: 'You cannot like yourself'
+      });
+    }
+
+    // Check if already liked
+    const alreadyLiked = await User.exists({
+      _id: currentUserId,
+      likedUsers: targetUserId
+    });
+
+    // Toggle like status
+    const updateCurrentUser = alreadyLiked
+      ? { $pull: { likedUsers: targetUserId } }
+      : { $addToSet: { likedUsers: targetUserId } };
+
+    const updateTargetUser = alreadyLiked
+      ? { $pull: { likedBy: currentUserId } }
+      : { $addToSet: { likedBy: currentUserId } };
+
+    await Promise.all([
+      User.findByIdAndUpdate(currentUserId, updateCurrentUser, { session }),
+      User.findByIdAndUpdate(targetUserId, updateTargetUser, { session })
+    ]);
+
+    // Create notification if liking (not unliking)
+    if (!alreadyLiked) {
+      const currentUser = await User.findById(currentUserId).session(session);
+      
+      await Notification.create([{
+        user: targetUserId,
+        from: currentUserId,
+        type: 'user_like',
+        message: `${currentUser.name} liked your profile`,
+        data: {
+          likerName: currentUser.name,
+          likerId: currentUserId
+        }
+      }], { session });
+
+      // Real-time update
+      if (global.io) {
+        global.io.to(`user-${targetUserId}`).emit('user-liked', {
+          userId: currentUserId,
+          userName: currentUser.name
+        });
+      }
+    }
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: alreadyLiked ? 'User unliked' : 'User liked',
+      data: {
+        isLiked: !alreadyLiked
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    return handleError(res, error, 'Error processing like');
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Update user preferences
+ */
+const updatePreferences = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Verify ownership
+    if (req.params.userId !== req.user._id.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only update your own preferences'
+      });
+    }
+
+    const { genderPreference, ageRange, distance } = req.body;
+    const updates = {};
+
+    // Validate and build updates
+    if (genderPreference) updates.genderPreference = genderPreference;
+    if (ageRange) {
+      if (ageRange.min < 18 || ageRange.max > 100) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_AGE_RANGE',
+          message: 'Age range must be between 18 and 100'
+        });
+      }
+      updates['preferences.ageRange'] = ageRange;
+    }
+    if (distance) updates['preferences.distance'] = distance;
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: updates },
+      { new: true, runValidators: true, session }
+    );
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: {
+        genderPreference: updatedUser.genderPreference,
+        preferences: updatedUser.preferences
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    return handleError(res, error, 'Error updating preferences');
+  } finally {
+    session.endSession();
+  }
+};
+
+// ======================
+// ACCOUNT MANAGEMENT
+// ======================
+
+/**
+ * Schedule account deletion: hidden now, permanently purged after the grace period
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    // Verify ownership
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only delete your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('+password deletion');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_PASSWORD',
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.isPendingDeletion) {
+      return res.status(409).json({
+        success: false,
+        code: 'DELETION_ALREADY_SCHEDULED',
+        message: 'Account deletion is already scheduled',
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
+
+    const updated = await scheduleAccountDeletion(user._id, req.body.reason);
+
+    // Sign out other devices; this one stays so the user can still cancel
+    await Session.revokeAllForUser(user._id, 'user_revoked', req.sessionId);
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('account-deletion-scheduled', {
+        scheduledFor: updated.deletion.scheduledFor
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Your account is hidden and will be permanently deleted in ${GRACE_PERIOD_DAYS} days unless you cancel`,
+      data: {
+        requestedAt: updated.deletion.requestedAt,
+        scheduledFor: updated.deletion.scheduledFor,
+        gracePeriodDays: GRACE_PERIOD_DAYS
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error deleting account');
+  }
+};
+
+/**
+ * Cancel a scheduled deletion during the grace period
+ */
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only restore your own account'
+      });
+    }
+
+    const user = await cancelScheduledDeletion(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'NO_PENDING_DELETION',
+        message: 'This account is not scheduled for deletion'
+      });
+    }
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('account-deletion-cancelled');
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled. Your profile is visible again'
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error cancelling account deletion');
+  }
+};
+
+/**
+ * Pause the profile: hidden from discovery, chats stay readable
+ */
+const pauseAccount = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only pause your own profile'
+      });
+    }
+
+    const current = await User.findById(req.user._id).select('deletion');
+    if (current?.isPendingDeletion) {
+      return res.status(409).json({
+        success: false,
+        code: 'DELETION_SCHEDULED',
+        message: 'Cancel the scheduled deletion before pausing your profile'
+      });
+    }
+
+    const resumeAt = req.body.resumeAt ? new Date(req.body.resumeAt) : null;
+    const user = await pauseProfile(req.user._id, resumeAt);
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('account-paused', { pause: user.pause });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: resumeAt
+        ? `Your profile is paused until ${resumeAt.toDateString()}`
+        : 'Your profile is paused until you resume it',
+      data: { pause: user.pause }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error pausing profile');
+  }
+};
+
+/**
+ * Block another user; their profile and handle stop resolving for both sides
+ */
+const blockUser = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only manage your own block list'
+      });
+    }
+
+    if (req.params.targetId === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TARGET',
+        message: 'You cannot block yourself'
+      });
+    }
+
+    if (!(await User.exists({ _id: req.params.targetId }))) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: req.params.targetId } });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error blocking user');
+  }
+};
+
+/**
+ * Remove a user from the block list
+ */
+const unblockUser = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only manage your own block list'
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.targetId } });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error unblocking user');
+  }
+};
+
+/**
+ * Resume a paused profile
+ */
+const resumeAccount = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only resume your own profile'
+      });
+    }
+
+    const user = await resumeProfile(req.user._id);
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        code: 'ACCOUNT_NOT_PAUSED',
+        message: 'Your profile is not paused'
+      });
+    }
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('account-resumed', { automatic: false });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Your profile is visible again',
+      data: { pause: user.pause }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error resuming profile');
+  }
+};
+
+/**
+ * Turn incognito on (subscribers only) or off
+ */
+const setIncognito = async (req, res) => {
+  try {
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only change your own incognito setting'
+      });
+    }
+
+    const { enabled } = req.body;
+    if (enabled && !req.user.isSubscribed) {
+      return res.status(403).json({
+        success: false,
+        code: 'SUBSCRIPTION_REQUIRED',
+        message: 'Incognito mode is available to subscribers',
+        upgradeUrl: '/api/subscribe'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { incognito: enabled ? { enabled: true, enabledAt: new Date() } : { enabled: false } } },
+      { new: true }
+    ).select('incognito subscription');
+
+    return res.status(200).json({
+      success: true,
+      message: enabled
+        ? "You're incognito. Only people you like can see you. It switches off if your subscription ends."
+        : 'Incognito is off. Your profile is visible in discovery again.',
+      data: {
+        incognito: {
+          enabled: user.incognito.enabled,
+          enabledAt: user.incognito.enabledAt,
+          active: user.isIncognito()
+        }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error updating incognito mode');
+  }
+};
+
+/**
+ * Cities available in passport mode
+ */
+const getPassportCities = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      cities: PASSPORT_CITIES.map(({ id, name }) => ({ id, name })),
+      maxDays: MAX_PASSPORT_DAYS
+    }
+  });
+};
+
+/**
+ * Browse from another supported city until expiresAt (subscribers only)
+ */
+const setPassport = async (req, res) => {
+  try {
     if (req.params.userId !== req.user._id.toString()) {
-      await session.abortTransaction();
       return res.status(403).json({
         success: false,
         code: 'UNAUTHORIZED_ACCESS',
-        message: 'You can only subscribe for your own account'
+        message: 'You can only set your own passport'
       });
     }
 
-    const { plan, paymentMethod } = req.body;
-    
-    // Validate subscription plan
-    const validPlans = ['monthly', 'yearly', 'premium'];
-    if (!validPlans.includes(plan)) {
-      await session.abortTransaction();
-      return res.status(400).json({
+    if (!req.user.isSubscribed) {
+      return res.status(403).json({
         success: false,
-        code: 'INVALID_PLAN',
-        message: 'Invalid subscription plan'
+        code: 'SUBSCRIPTION_REQUIRED',
+        message: 'Passport mode is available to subscribers',
+        upgradeUrl: '/api/subscribe'
       });
     }
 
-    // Calculate expiry date
-    const expiryDate = new Date();
-    if (plan === 'monthly') expiryDate.setMonth(expiryDate.getMonth() + 1);
-    else if (plan === 'yearly') expiryDate.setFullYear(expiryDate.getFullYear() + 1);
-    else if (plan === 'premium') expiryDate.setFullYear(expiryDate.getFullYear() + 5);
-
-    // Update user subscription
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.userId,
-      {
-        subscription: {
-          isActive: true,
-          plan,
-          startDate: new Date(),
-          expiryDate,
-          paymentMethod
-        }
-      },
-      { new: true, session }
-    );
-
-    await session.commitTransaction();
+    const city = getPassportCity(req.body.city);
+    const expiresAt = new Date(req.body.expiresAt);
+    const user = await startPassport(req.user._id, city.id, expiresAt);
 
-    // Send subscription confirmation
     if (global.io) {
-      global.io.to(`user-${req.params.userId}`).emit('subscription-updated', {
-        status: 'active',
-        plan
-      });
+      global.io.to(`user-${user._id}`).emit('passport-updated', { passport: formatPassport(user.passport) });
     }
 
     return res.status(200).json({
       success: true,
-      message: 'Subscription successful',
-      data: {
-        subscription: updatedUser.subscription
-      }
+      message: `You're browsing from ${city.name} until ${expiresAt.toDateString()}. It pauses if your subscription ends.`,
+      data: { passport: formatPassport(user.passport) }
     });
   } catch (error) {
-    await session.abortTransaction();
-    return handleError(res, error, 'Error processing subscription');
-  } finally {
-    session.endSession();
+    return handleError(res, error, 'Error setting passport');
   }
 };
 
 /**
- * Get user subscription status
+ * Go back to browsing from the user's own location
  */
-const getSubscriptionStatus = async (req, res) => {
+const clearPassport = async (req, res) => {
   try {
-    // Verify ownership
     if (req.params.userId !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         code: 'UNAUTHORIZED_ACCESS',
-        message: 'You can only check your own subscription status'
+        message: 'You can only change your own passport'
       });
     }
 
-    const user = await User.findById(req.params.userId)
-      .select('subscription');
-
+    const user = await endPassport(req.user._id);
     if (!user) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        code: 'USER_NOT_FOUND',
-        message: 'User not found'
+        code: 'PASSPORT_NOT_ACTIVE',
+        message: 'Passport mode is not on'
       });
     }
 
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('passport-ended', { automatic: false });
+    }
+
     return res.status(200).json({
       success: true,
-      data: {
-        subscription: user.subscription || { isActive: false }
-      }
+      message: "You're browsing from your own location again",
+      data: { passport: formatPassport(user.passport) }
     });
   } catch (error) {
-    return handleError(res, error, 'Error fetching subscription status');
+    return handleError(res, error, 'Error clearing passport');
   }
 };
 
-// ======================
-// USER INTERACTIONS
-// ======================
-
 /**
- * Like another user
+ * Request a downloadable archive of everything stored about the user
  */
-const likeUser = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
+const requestDataExport = async (req, res) => {
   try {
-    const { targetUserId } = req.body;
-    const currentUserId = req.user._id;
-
-    // Prevent self-liking
-    if (currentUserId.toString() === targetUserId) {
-      await session.abortTransaction();
-      return res.status(400).json({
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
         success: false,
-        code: 'SELF_LIKE',
-        message: 'You cannot like yourself'
+        code: 'UNAUTHORIZED_ACCESS',
+        message: 'You can only export your own data'
       });
     }
 
-    // Check if already liked
-    const alreadyLiked = await User.exists({
-      _id: currentUserId,
-      likedUsers: targetUserId
-    });
-
-    // Toggle like status
-    const updateCurrentUser = alreadyLiked
-      ? { $pull: { likedUsers: targetUserId } }
-      : { $addToSet: { likedUsers: targetUserId } };
-
-    const updateTargetUser = alreadyLiked
-      ? { $pull: { likedBy: currentUserId } }
-      : { $addToSet: { likedBy: currentUserId } };
-
-    await Promise.all([
-      User.findByIdAndUpdate(currentUserId, updateCurrentUser, { session }),
-      User.findByIdAndUpdate(targetUserId, updateTargetUser, { session })
-    ]);
-
-    // Create notification if liking (not unliking)
-    if (!alreadyLiked) {
-      const currentUser = await User.findById(currentUserId).session(session);
-      
-      await Notification.create([{
-        user: targetUserId,
-        from: currentUserId,
-        type: 'user_like',
-        message: `${currentUser.name} liked your profile`,
-        data: {
-          likerName: currentUser.name,
-          likerId: currentUserId
-        }
-      }], { session });
-
-      // Real-time update
-      if (global.io) {
-        global.io.to(`user-${targetUserId}`).emit('user-liked', {
-          userId: currentUserId,
-          userName: currentUser.name
-        });
-      }
+    const inProgress = await DataExport.findInProgress(req.user._id);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        code: 'EXPORT_IN_PROGRESS',
+        message: 'An export is already being prepared',
+        data: inProgress
+      });
     }
 
-    await session.commitTransaction();
+    const dataExport = await DataExport.create({ user: req.user._id });
 
-    return res.status(200).json({
+    // Built in the background; the user is notified with a download link when ready
+    setImmediate(() => {
+      buildDataExport(dataExport._id).catch(error => {
+        console.error('[UserController] Data export build crashed:', error);
+      });
+    });
+
+    return res.status(202).json({
       success: true,
-      message: alreadyLiked ? 'User unliked' : 'User liked',
-      data: {
-        isLiked: !alreadyLiked
-      }
+      message: "Your export is being prepared. We'll notify you when it's ready to download.",
+      data: dataExport
     });
   } catch (error) {
-    await session.abortTransaction();
-    return handleError(res, error, 'Error processing like');
-  } finally {
-    session.endSession();
+    return handleError(res, error, 'Error requesting data export');
   }
 };
 
 /**
- * Update user preferences
+ * Get the status of a data export request
  */
-const updatePreferences = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
+const getDataExportStatus = async (req, res) => {
   try {
-    // Verify ownership
     if (req.params.userId !== req.user._id.toString()) {
-      await session.abortTransaction();
       return res.status(403).json({
         success: false,
         code: 'UNAUTHORIZED_ACCESS',
-        message: 'You can only update your own preferences'
+        message: 'You can only view your own exports'
       });
     }
 
-    const { genderPreference, ageRange, distance } = req.body;
-    const updates = {};
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      user: req.user._id
+    });
 
-    // Validate and build updates
-    if (genderPreference) updates['preferences.gender'] = genderPreference;
-    if (ageRange) {
-      if (ageRange.min < 18 || ageRange.max > 100) {
-        await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          code: 'INVALID_AGE_RANGE',
-          message: 'Age range must be between 18 and 100'
-        });
-      }
-      updates['preferences.ageRange'] = ageRange;
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        code: 'EXPORT_NOT_FOUND',
+        message: 'Export not found'
+      });
     }
-    if (distance) updates['preferences.distance'] = distance;
-
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.userId,
-      { $set: updates },
-      { new: true, session }
-    );
-
-    await session.commitTransaction();
 
     return res.status(200).json({
       success: true,
-      message: 'Preferences updated successfully',
-      data: {
-        preferences: updatedUser.preferences
-      }
+      data: dataExport
     });
   } catch (error) {
-    await session.abortTransaction();
-    return handleError(res, error, 'Error updating preferences');
-  } finally {
-    session.endSession();
+    return handleError(res, error, 'Error fetching data export');
   }
 };
 
-// ======================
-// ACCOUNT MANAGEMENT
-// ======================
-
 /**
- * Delete user account
+ * Download a ready export (owner only)
  */
-const deleteAccount = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
+const downloadDataExport = async (req, res) => {
   try {
-    // Verify ownership
     if (req.params.userId !== req.user._id.toString()) {
-      await session.abortTransaction();
       return res.status(403).json({
         success: false,
         code: 'UNAUTHORIZED_ACCESS',
-        message: 'You can only delete your own account'
+        message: 'You can only download your own exports'
       });
     }
 
-    // Soft delete by marking as inactive
-    const deletedUser = await User.findByIdAndUpdate(
-      req.params.userId,
-      { isActive: false, deletedAt: new Date() },
-      { new: true, session }
-    );
-
-    // Remove from other users' liked lists
-    await User.updateMany(
-      { likedUsers: req.params.userId },
-      { $pull: { likedUsers: req.params.userId } },
-      { session }
-    );
-
-    await session.commitTransaction();
+    const dataExport = await findDownloadableExport(req.user._id, req.params.exportId);
 
-    // Notify connected clients
-    if (global.io) {
-      global.io.to(`user-${req.params.userId}`).emit('account-deleted');
+    if (!dataExport) {
+      return res.status(410).json({
+        success: false,
+        code: 'EXPORT_UNAVAILABLE',
+        message: 'This export is not ready or has expired. Request a new export.'
+      });
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Account deleted successfully'
+    await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+    return res.download(dataExport.filePath, `ruda-data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        handleError(res, error, 'Error downloading data export');
+      }
     });
   } catch (error) {
-    await session.abortTransaction();
-    return handleError(res, error, 'Error deleting account');
-  } finally {
-    session.endSession();
+    return handleError(res, error, 'Error downloading data export');
   }
 };
 
@@ -593,14 +1409,14 @@ const deletePhoto = async (req, res) => {
  */
 const getAllUserPhotos = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { page, limit, skip } = req.pagination;
 
-    // Get all users with their photos
-    const users = await User.find({ _id: { $ne: req.user._id } })
-      .select('name age gender profileImages subscription isOnline lastActive')
+    // Get all users with their photos (paused, deleting and incognito accounts stay hidden)
+    const feedQuery = { _id: { $ne: req.user._id }, ...(await User.discoverableFilterFor(req.user._id)) };
+    const users = await User.find(feedQuery)
+      .select(`name age gender profileImages subscription isOnline lastActive matches verifiedPhoto fieldVisibility prompts ${PROFILE_ATTRIBUTES.join(' ')}`)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
     // Transform into feed format
     const feed = users.flatMap(user => 
@@ -614,6 +1430,9 @@ const getAllUserPhotos = async (req, res) => {
           name: user.name,
           age: user.age,
           gender: user.gender,
+          verifiedPhoto: !!user.verifiedPhoto,
+          ...user.getVisibleAttributes(req.user._id),
+          prompts: User.formatPrompts(user.prompts, req.user._id),
           isSubscribed: user.subscription?.isActive || false,
           status: user.isOnline ? 'online' : `last seen ${formatDistanceToNow(user.lastActive)} ago`
         },
@@ -622,17 +1441,17 @@ const getAllUserPhotos = async (req, res) => {
       }))
     ).sort((a, b) => b.uploadedAt - a.uploadedAt);
 
-    const total = await User.countDocuments({ _id: { $ne: req.user._id } });
+    const total = await User.countDocuments(feedQuery);
 
     return res.status(200).json({
       success: true,
       data: {
         feed,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages: Math.ceil(total / limit),
           totalItems: total,
-          itemsPerPage: parseInt(limit)
+          itemsPerPage: limit
         }
       }
     });
@@ -680,6 +1499,16 @@ const likePhoto = async (req, res) => {
     const photo = photoOwner.profileImages.id(photoId);
     const alreadyLiked = photo.likedBy.includes(req.user._id);
 
+    // Paused or deleting accounts can't receive new likes (unliking is still allowed)
+    if (!alreadyLiked && !photoOwner.isDiscoverable()) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        code: 'USER_UNAVAILABLE',
+        message: 'This profile is not available right now'
+      });
+    }
+
     // Toggle like status
     const update = alreadyLiked
       ? {
@@ -879,8 +1708,8 @@ const getNotifications = async (req, res) => {
       });
     }
 
-    const { page = 1, limit = 20, unreadOnly } = req.query;
-    const skip = (page - 1) * limit;
+    const { page, limit, skip } = req.pagination;
+    const { unreadOnly } = req.query;
 
     const filter = { user: req.user._id };
     if (unreadOnly === 'true') filter.read = false;
@@ -889,7 +1718,7 @@ const getNotifications = async (req, res) => {
       Notification.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
-        .limit(parseInt(limit))
+        .limit(limit)
         .populate('from', 'name profileImages isOnline lastActive')
         .lean(),
       Notification.countDocuments(filter)
@@ -909,10 +1738,10 @@ const getNotifications = async (req, res) => {
       data: {
         notifications: enhancedNotifications,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: page,
           totalPages: Math.ceil(total / limit),
           totalItems: total,
-          itemsPerPage: parseInt(limit)
+          itemsPerPage: limit
         }
       }
     });
@@ -966,6 +1795,60 @@ const markNotificationsAsRead = async (req, res) => {
   }
 };
 
+// ======================
+// ADMIN / SUPPORT
+// ======================
+
+/**
+ * Correct a user's date of birth (support path, requires users:edit)
+ */
+const adminUpdateBirthDate = async (req, res) => {
+  try {
+    const { birthDate, reason } = req.body;
+
+    const user = await User.findById(req.params.userId).select('name birthDate age');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    if (calculateAge(birthDate) < MINIMUM_AGE) {
+      return res.status(409).json({
+        success: false,
+        code: 'UNDERAGE',
+        message: `The corrected date of birth is under ${MINIMUM_AGE}; suspend the account instead`
+      });
+    }
+
+    const previousBirthDate = user.birthDate;
+    user.birthDate = birthDate;
+    await user.save(); // pre-save hook recomputes age
+
+    // On the user's own audit trail; no request details, they'd be the admin's device
+    await recordSecurityEvent(user._id, 'birth_date_changed', null, {
+      changedBy: req.user._id,
+      from: previousBirthDate,
+      to: user.birthDate,
+      reason
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Date of birth updated',
+      data: {
+        userId: user._id,
+        birthDate: user.birthDate,
+        age: user.age
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error updating date of birth');
+  }
+};
+
 // ======================
 // EXPORTS
 // ======================
@@ -974,6 +1857,14 @@ module.exports = {
   // Profile Management
   getUserProfile: getProfile,
   updateProfile: updateProfile,
+  getCompleteness,
+  getViewers,
+  updateMyLocation,
+  getUserByHandle,
+  updateUsername,
+  getProfileOptions,
+  getPromptLibrary,
+  updatePrompts,
   uploadProfileImage: uploadPhoto,
   deleteProfileImage: deletePhoto,
 
@@ -985,12 +1876,31 @@ module.exports = {
   likeUser,
   updatePreferences,
   deleteAccount,
+  cancelAccountDeletion,
+  pauseAccount,
+  blockUser,
+  unblockUser,
+  resumeAccount,
+
+  // Incognito & Passport Mode
+  setIncognito,
+  getPassportCities,
+  setPassport,
+  clearPassport,
+
+  // Data Export
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
 
   // Photo Feed
   getAllUserPhotos: getAllUserPhotos,
   likePhoto,
   startChatFromPhoto,
 
+  // Admin / Support
+  adminUpdateBirthDate,
+
   // Notifications
   getNotifications,
   markNotificationsAsRead
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const VerificationRequest = require('../models/VerificationRequest');
+const Notification = require('../models/notification');
+const {
+  deletePhoto: cloudinaryDelete,
+  generatePrivateUrl
+} = require('../config/cloudinary');
+const {
+  POSE_TTL_MINUTES,
+  REJECTION_REASONS,
+  getPose,
+  pickRandomPose
+} = require('../config/verificationPoses');
+const { queueCompletenessRefresh } = require('../utils/profileCompleteness');
+
+// ======================
+// ERROR HANDLER
+// ======================
+const handleError = (res, error, customMessage = 'Internal server error') => {
+  console.error(`[VerificationController] ${customMessage}:`, error);
+
+  if (error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_ID',
+      message: 'Invalid ID format'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    code: 'SERVER_ERROR',
+    message: customMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Uploaded selfies that won't be kept are removed straight away
+const discardSelfie = (publicId) => {
+  if (!publicId) return;
+  cloudinaryDelete(publicId, { type: 'authenticated' })
+    .catch(error => console.error('[VerificationController] Failed to discard selfie:', error.message));
+};
+
+const formatStatus = (user) => {
+  const verification = user.photoVerification || {};
+  const poseActive = verification.pose && verification.poseExpiresAt > new Date();
+
+  return {
+    verifiedPhoto: !!user.verifiedPhoto,
+    status: verification.status || 'unverified',
+    verifiedAt: verification.verifiedAt || null,
+    rejectionReason: verification.rejectionReason || null,
+    rejectionMessage: REJECTION_REASONS[verification.rejectionReason] || null,
+    pose: poseActive ? getPose(verification.pose) : null,
+    poseExpiresAt: poseActive ? verification.poseExpiresAt : null
+  };
+};
+
+// ======================
+// USER ENDPOINTS
+// ======================
+
+/**
+ * Current verification state for the signed-in user
+ */
+const getVerificationStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('verifiedPhoto photoVerification');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatStatus(user)
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error fetching verification status');
+  }
+};
+
+/**
+ * Picks the pose the user has to copy in their selfie
+ */
+const requestPose = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('verifiedPhoto photoVerification');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    if (user.verifiedPhoto) {
+      return res.status(400).json({
+        success: false,
+        code: 'ALREADY_VERIFIED',
+        message: 'Your photos are already verified'
+      });
+    }
+
+    if (user.photoVerification?.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        code: 'VERIFICATION_PENDING',
+        message: 'Your selfie is already being reviewed'
+      });
+    }
+
+    const pose = pickRandomPose(user.photoVerification?.pose);
+    user.photoVerification.pose = pose.id;
+    user.photoVerification.poseExpiresAt = new Date(Date.now() + POSE_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pose,
+        expiresAt: user.photoVerification.poseExpiresAt
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error requesting verification pose');
+  }
+};
+
+/**
+ * Receives the posed selfie (already uploaded privately) and queues it for review
+ */
+const submitSelfie = async (req, res) => {
+  const publicId = req.file?.public_id;
+
+  try {
+    if (!publicId) {
+      return res.status(400).json({
+        success: false,
+        code: 'NO_FILE',
+        message: 'No selfie uploaded'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('verifiedPhoto photoVerification');
+    if (!user) {
+      discardSelfie(publicId);
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    const verification = user.photoVerification || {};
+
+    if (user.verifiedPhoto || verification.status === 'pending') {
+      discardSelfie(publicId);
+      return res.status(409).json({
+        success: false,
+        code: user.verifiedPhoto ? 'ALREADY_VERIFIED' : 'VERIFICATION_PENDING',
+        message: user.verifiedPhoto
+          ? 'Your photos are already verified'
+          : 'Your selfie is already being reviewed'
+      });
+    }
+
+    if (!verification.pose || !(verification.poseExpiresAt > new Date())) {
+      discardSelfie(publicId);
+      return res.status(400).json({
+        success: false,
+        code: 'POSE_EXPIRED',
+        message: 'Your pose has expired. Request a new one and try again.'
+      });
+    }
+
+    // Claim the pose before creating the request, so two uploads racing past
+    // the checks above can't both queue a review
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        verifiedPhoto: { $ne: true },
+        'photoVerification.status': { $ne: 'pending' },
+        'photoVerification.pose': verification.pose,
+        'photoVerification.poseExpiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { 'photoVerification.status': 'pending' },
+        $unset: {
+          'photoVerification.pose': '',
+          'photoVerification.poseExpiresAt': '',
+          'photoVerification.rejectionReason': ''
+        }
+      }
+    );
+
+    if (!claimed) {
+      discardSelfie(publicId);
+      return res.status(409).json({
+        success: false,
+        code: 'VERIFICATION_PENDING',
+        message: 'Your selfie is already being reviewed'
+      });
+    }
+
+    let request;
+    try {
+      request = await VerificationRequest.create({
+        user: user._id,
+        pose: verification.pose,
+        publicId
+      });
+    } catch (error) {
+      // Hand the pose back so the user can retry
+      await User.updateOne(
+        { _id: user._id, 'photoVerification.status': 'pending' },
+        {
+          $set: {
+            'photoVerification.status': verification.status || 'unverified',
+            'photoVerification.pose': verification.pose,
+            'photoVerification.poseExpiresAt': verification.poseExpiresAt,
+            ...(verification.rejectionReason && { 'photoVerification.rejectionReason': verification.rejectionReason })
+          }
+        }
+      );
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Thanks! We'll let you know once your selfie has been reviewed.",
+      data: {
+        requestId: request._id,
+        status: request.status,
+        submittedAt: request.createdAt
+      }
+    });
+  } catch (error) {
+    discardSelfie(publicId);
+    return handleError(res, error, 'Error submitting verification selfie');
+  }
+};
+
+// ======================
+// MODERATION ENDPOINTS
+// ======================
+
+/**
+ * Pending selfies, oldest first, with the profile photos to compare against
+ */
+const getVerificationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const [requests, total] = await Promise.all([
+      VerificationRequest.find({ status: 'pending' })
+        .select('+publicId')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name age gender profileImages')
+        .lean(),
+      VerificationRequest.countDocuments({ status: 'pending' })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests: requests.map(request => ({
+          _id: request._id,
+          pose: getPose(request.pose),
+          selfieUrl: generatePrivateUrl(request.publicId),
+          submittedAt: request.createdAt,
+          user: request.user && {
+            _id: request.user._id,
+            name: request.user.name,
+            age: request.user.age,
+            gender: request.user.gender,
+            photos: (request.user.profileImages || []).map(image => image.url)
+          }
+        })),
+        rejectionReasons: Object.keys(REJECTION_REASONS),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error fetching verification queue');
+  }
+};
+
+/**
+ * Approves or rejects a pending selfie and updates the user's badge
+ */
+const reviewVerification = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    const approved = decision === 'approve';
+
+    // Only the first moderator to act on a request wins
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.requestId, status: 'pending' },
+      {
+        $set: {
+          status: approved ? 'approved' : 'rejected',
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          ...(!approved && { rejectionReason: reason })
+        }
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      const exists = await VerificationRequest.exists({ _id: req.params.requestId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        code: exists ? 'ALREADY_REVIEWED' : 'REQUEST_NOT_FOUND',
+        message: exists
+          ? 'This verification request has already been reviewed'
+          : 'Verification request not found'
+      });
+    }
+
+    const update = approved
+      ? {
+          verifiedPhoto: true,
+          'photoVerification.status': 'approved',
+          'photoVerification.verifiedAt': new Date(),
+          'photoVerification.rejectionReason': null
+        }
+      : {
+          'photoVerification.status': 'rejected',
+          'photoVerification.rejectionReason': reason
+        };
+    await User.updateOne({ _id: request.user }, { $set: update });
+
+    if (approved) queueCompletenessRefresh(request.user);
+
+    const notification = await Notification.createVerificationResult(
+      request.user,
+      approved,
+      REJECTION_REASONS[reason]
+    );
+    if (global.io) {
+      global.io.to(`user-${request.user}`).emit('new-notification', notification);
+      global.io.to(`user-${request.user}`).emit('verification-updated', {
+        verifiedPhoto: approved,
+        status: request.status,
+        rejectionReason: request.rejectionReason || null
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Verification approved' : 'Verification rejected',
+      data: {
+        requestId: request._id,
+        userId: request.user,
+        status: request.status,
+        rejectionReason: request.rejectionReason || null,
+        reviewedAt: request.reviewedAt
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'Error reviewing verification');
+  }
+};
+
+module.exports = {
+  getVerificationStatus,
+  requestPose,
+  submitSelfie,
+  getVerificationQueue,
+  reviewVerification
+};
@@ -26,14 +26,21 @@ const isProduction = process.env.NODE_ENV === 'production';
 const debugRoutes = process.env.DEBUG_ROUTES === 'true';
 const API_BASE_URL = process.env.API_BASE_URL || `http://${HOST}:${PORT}`;
 const numCPUs = os.cpus().length;
+// RUN_JOBS=false keeps background jobs off this instance (set it on all but one instance)
+const runJobs = process.env.RUN_JOBS !== 'false';
 
 // ==================== CLUSTER MODE (PRODUCTION ONLY) ====================
 if (isProduction && cluster.isPrimary) {
   console.log(`📦 Production mode: Launching ${numCPUs} workers`);
-  for (let i = 0; i < numCPUs; i++) cluster.fork();
+  // Background jobs run in one worker only, or each purge/notification would happen N times
+  const forkWorker = (withJobs) => {
+    const worker = cluster.fork({ RUN_JOBS: withJobs ? 'true' : 'false' });
+    worker.runsJobs = withJobs;
+  };
+  for (let i = 0; i < numCPUs; i++) forkWorker(runJobs && i === 0);
   cluster.on('exit', (worker, code, signal) => {
     console.error(`❌ Worker ${worker.process.pid} died (${signal || code}) — restarting`);
-    cluster.fork();
+    forkWorker(worker.runsJobs);
   });
   return; // only workers run below
 }
@@ -262,6 +269,7 @@ const io = new Server(server, {
   serveClient: false
 });
 app.set('io', io);
+global.io = io; // controllers and background jobs emit through global.io
 
 io.on('connection', (socket) => {
   console.log(`🔌 Socket connected: ${socket.id} (Worker: ${process.pid})`);
@@ -297,6 +305,24 @@ const connectDB = async () => {
 };
 connectDB();
 
+// ==================== BACKGROUND JOBS ====================
+const { startDataExportCleanup } = require('./utils/dataExport');
+const { startAccountPurger } = require('./utils/accountDeletion');
+const { startPauseResumer } = require('./utils/accountPause');
+const { startAgeRefresher } = require('./utils/age');
+const { startPassportExpirer } = require('./utils/passport');
+const { startReplyRateRefresher } = require('./utils/replyRate');
+mongoose.connection.once('open', () => {
+  if (!runJobs) return;
+  console.log(`⏱️  Background jobs running in process ${process.pid}`);
+  startDataExportCleanup();
+  startAccountPurger();
+  startPauseResumer();
+  startAgeRefresher();
+  startPassportExpirer();
+  startReplyRateRefresher();
+});
+
 // ==================== HEALTH CHECK ====================
 app.get('/api/health', (req, res) => {
   // Get all registered routes
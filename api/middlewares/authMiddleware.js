@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/user');
+const Session = require('../models/Session');
 const { logError } = require('../utils/errorLogger');
+const { getPermissions } = require('../config/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const SUBSCRIPTION_REQUIRED_ENDPOINTS = [
@@ -73,6 +76,20 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // 2️⃣b The device's session must still be signed in: revoking it (logout,
+    // "sign out this device", password reset) cuts off its access token too
+    const session = decoded.sid && mongoose.Types.ObjectId.isValid(decoded.sid)
+      ? await Session.findById(decoded.sid).select('user expiresAt revokedAt')
+      : null;
+
+    if (!session || session.user.toString() !== String(decoded.userId) || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'This session has been signed out. Please login again'
+      });
+    }
+
     // 3️⃣ Find user with profileComplete status
     const user = await User.findById(decoded.userId)
       .select('+activeSessions +accountLocked +lockUntil +loginAttempts +gender +genderPreference +subscription');
@@ -143,15 +160,20 @@ const authenticate = async (req, res, next) => {
       name: user.name,
       email: user.email,
       phoneNumber: user.phoneNumber,
+      phoneVerified: user.phoneVerified,
       gender: user.gender,
       genderPreference: user.genderPreference,
       isOnline: user.isOnline,
       lastActive: user.lastActive,
       subscription: user.subscription,
       profileImages: user.profileImages,
+      isVerified: user.isVerified,
+      role: user.role,
+      permissions: getPermissions(user),
       isSubscribed // Add real-time subscription status
     };
     req.token = token;
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
@@ -277,9 +299,51 @@ const checkGenderSet = async (req, res, next) => {
   }
 };
 
+/**
+ * ==================== PERMISSION CHECK ====================
+ */
+// Use after authenticate: requirePermission('photos:moderate'), all listed permissions are required
+const requirePermission = (...required) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+  const missing = required.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    logError('Permission denied', null, {
+      userId: req.user?._id,
+      role: req.user?.role,
+      missing,
+      endpoint: req.originalUrl
+    });
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_PERMISSIONS',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+/**
+ * ==================== EMAIL VERIFICATION CHECK ====================
+ */
+// Opt-in: add after authenticate on routes that need a trusted email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.isVerified) return next();
+
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to continue',
+    resendUrl: '/api/auth/resend-verification'
+  });
+};
+
 module.exports = {
   authenticate,
   checkSubscription,
   checkOnlineStatus,
-  checkGenderSet
+  checkGenderSet,
+  requirePermission,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -77,12 +77,17 @@ module.exports = {
         return res.status(404).json({ message: 'Target user not found' });
       }
 
-      // Check gender compatibility
-      const isCompatible = 
-        currentUser.genderPreference.includes(targetUser.gender) &&
-        targetUser.genderPreference.includes(currentUser.gender);
+      // Paused or deleting accounts can't receive new likes or chats
+      if (!targetUser.isDiscoverable()) {
+        return res.status(404).json({
+          success: false,
+          code: 'USER_UNAVAILABLE',
+          message: 'This profile is not available right now'
+        });
+      }
 
-      if (!isCompatible) {
+      // Each side's gender has to be one the other is looking for
+      if (!User.isGenderCompatible(currentUser, targetUser)) {
         return res.status(403).json({
           success: false,
           code: 'GENDER_PREFERENCE_MISMATCH',
@@ -81,7 +81,7 @@ const handleUploadError = (err) => {
 };
 
 // ==================== Cloudinary Upload Handler ====================
-const uploadToCloudinary = async (buffer, originalname, user) => {
+const uploadToCloudinary = async (buffer, originalname, user, { verification = false } = {}) => {
   try {
     // Prepare Cloudinary options
     const userId = user?._id ? new mongoose.Types.ObjectId(user._id) : 'guest';
@@ -105,6 +105,14 @@ const uploadToCloudinary = async (buffer, originalname, user) => {
       }
     };
 
+    // Verification selfies are private and keep the whole frame so the pose is visible
+    if (verification) {
+      options.public_id = `ruda-dating/verification/${userId}/${Date.now()}.${ext}`;
+      options.type = 'authenticated';
+      options.transformation[0] = { width: 1000, height: 1000, crop: 'limit' };
+      options.context.source = 'ruda_verification';
+    }
+
     console.log('⚡ Uploading to Cloudinary with options:', {
       public_id: options.public_id,
       folder: options.folder
@@ -128,9 +136,9 @@ const uploadToCloudinary = async (buffer, originalname, user) => {
   }
 };
 
-// ==================== Exports ====================
-const singlePhotoUpload = (req, res, next) => {
-  upload.single('photo')(req, res, async (err) => {
+// ==================== Upload Middleware ====================
+const createSingleUpload = (fieldName, uploadOptions) => (req, res, next) => {
+  upload.single(fieldName)(req, res, async (err) => {
     // Handle Multer errors first
     if (err) {
       const mappedError = handleUploadError(err);
@@ -166,7 +174,8 @@ const singlePhotoUpload = (req, res, next) => {
       const cloudinaryResult = await uploadToCloudinary(
         req.file.buffer,
         req.file.originalname,
-        req.user
+        req.user,
+        uploadOptions
       );
       
       // Clear timeout on success
@@ -203,6 +212,11 @@ const singlePhotoUpload = (req, res, next) => {
   });
 };
 
+// ==================== Exports ====================
+const singlePhotoUpload = createSingleUpload('photo');
+const verificationSelfieUpload = createSingleUpload('selfie', { verification: true });
+
 module.exports = {
-  singlePhotoUpload
+  singlePhotoUpload,
+  verificationSelfieUpload
 };
\ No newline at end of file
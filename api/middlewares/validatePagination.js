@@ -1,4 +1,5 @@
 const { logError } = require('../utils/errorLogger');
+const { decodeCursor } = require('../utils/cursor');
 
 // Default and maximum values for dating app feeds
 const DATING_APP_PAGINATION = {
@@ -22,6 +23,10 @@ const formatPaginationError = (type, details = {}) => {
       code: 'INVALID_LIMIT',
       message: `Limit must be between ${DATING_APP_PAGINATION.MIN_LIMIT} and ${DATING_APP_PAGINATION.MAX_LIMIT}`
     },
+    INVALID_CURSOR: {
+      code: 'INVALID_CURSOR',
+      message: 'This cursor is invalid or belongs to another list. Start again without it.'
+    },
     PAGINATION_ERROR: {
       code: 'PAGINATION_ERROR',
       message: 'Failed to process pagination parameters'
@@ -39,7 +44,10 @@ const formatPaginationError = (type, details = {}) => {
 };
 
 /**
- * Validates and normalizes pagination parameters for dating feeds
+ * Validates and normalizes pagination parameters for dating feeds.
+ * With CURSOR_SCOPE set, `cursor` must be a signed cursor from that list
+ * (utils/cursor) and req.pagination.cursor holds its decoded sort keys.
+ * CURSOR_SCOPE can be a function of req for lists scoped to one item.
  */
 const validateDatingPagination = (config = {}) => {
   // Allow route-specific overrides
@@ -80,16 +88,28 @@ const validateDatingPagination = (config = {}) => {
         }));
       }
 
-      // 5. Prepare pagination object
+      // 5. Verify signed cursors
+      let cursorKeys = cursor;
+      if (cursor && defaults.CURSOR_SCOPE) {
+        const scope = typeof defaults.CURSOR_SCOPE === 'function'
+          ? defaults.CURSOR_SCOPE(req)
+          : defaults.CURSOR_SCOPE;
+        cursorKeys = decodeCursor(cursor, scope, req.user._id);
+        if (!cursorKeys) {
+          return res.status(400).json(formatPaginationError('INVALID_CURSOR'));
+        }
+      }
+
+      // 6. Prepare pagination object
       req.pagination = {
         page,
         limit,
         skip: (page - 1) * limit,
-        ...(cursor && { cursor }), // For cursor-based pagination
+        ...(cursor && { cursor: cursorKeys }), // For cursor-based pagination
         ...(lastSeenId && { lastSeenId }) // For infinite scroll
       };
 
-      // 6. Add dating-specific metadata
+      // 7. Add dating-specific metadata
       req.paginationMeta = {
         type: 'dating_feed',
         recommendedLimit: defaults.DEFAULT_LIMIT,
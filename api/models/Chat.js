@@ -74,6 +74,15 @@ const chatSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Set when the sender/recipient account was purged; the message stays for the other person
+  senderAnonymized: {
+    type: Boolean,
+    default: false
+  },
+  recipientAnonymized: {
+    type: Boolean,
+    default: false
+  },
 
   // Metadata
   deviceInfo: {
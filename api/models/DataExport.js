@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A personal data export request. The archive is built in the background;
+// once ready its owner can download it while signed in until expiresAt,
+// after which the cleanup job deletes the file.
+const dataExportSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending',
+    index: true
+  },
+
+  // Archive
+  filePath: {
+    type: String,
+    select: false
+  },
+  size: Number,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Lifecycle
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  error: String
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.filePath;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// ======================
+// VIRTUAL PROPERTIES
+// ======================
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'ready' && !!this.expiresAt && this.expiresAt > new Date();
+});
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Finds an export for the user that is still queued or being built
+ */
+dataExportSchema.statics.findInProgress = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
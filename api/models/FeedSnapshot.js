@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// How long a scroll through the feed can keep paging before it has to start over
+const FEED_SNAPSHOT_TTL_HOURS = 6;
+
+// The photo feed's ranked order, saved when the first page is built. Later pages
+// read from it, so owners going online or refreshing their profile mid-scroll
+// can't move a photo across a page boundary. Removed by the TTL index.
+const feedSnapshotSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  photos: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Photo'
+  }],
+  rankedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+// ======================
+// INDEXES
+// ======================
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Saves the user's ranked photo ids for one scroll through the feed
+ */
+feedSnapshotSchema.statics.capture = function(userId, photoIds, rankedAt = new Date()) {
+  return this.create({
+    user: userId,
+    photos: photoIds,
+    rankedAt,
+    expiresAt: new Date(rankedAt.getTime() + FEED_SNAPSHOT_TTL_HOURS * 60 * 60 * 1000)
+  });
+};
+
+/**
+ * The user's snapshot, or null once it has expired
+ */
+feedSnapshotSchema.statics.findForUser = function(snapshotId, userId) {
+  return this.findOne({ _id: snapshotId, user: userId, expiresAt: { $gt: new Date() } }).lean();
+};
+
+const FeedSnapshot = mongoose.model('FeedSnapshot', feedSnapshotSchema);
+
+module.exports = FeedSnapshot;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One pending code per user; replaced on resend, deleted once verified,
+// and removed by the TTL index when it expires.
+const phoneOtpSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    unique: true
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^254[17]\d{8}$/, 'Phone number must be in 2547XXXXXXXX format']
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ======================
+// INDEXES
+// ======================
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// VIRTUAL PROPERTIES
+// ======================
+phoneOtpSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+const PhoneOtp = mongoose.model('PhoneOtp', phoneOtpSchema);
+
+module.exports = PhoneOtp;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per viewer, per profile, per (UTC) day, so refreshing a
+// profile doesn't inflate the count. Old views expire after 90 days.
+const profileViewSchema = new Schema({
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Profile owner is required']
+  },
+  viewer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Viewer is required'],
+    index: true
+  },
+  day: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be YYYY-MM-DD']
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// ======================
+// INDEXES
+// ======================
+profileViewSchema.index({ owner: 1, viewer: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ owner: 1, viewedAt: -1 });
+profileViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Records a view, once per viewer per day. Resolves true for the day's first view.
+ */
+profileViewSchema.statics.record = async function(ownerId, viewerId, now = new Date()) {
+  try {
+    const result = await this.updateOne(
+      { owner: ownerId, viewer: viewerId, day: now.toISOString().slice(0, 10) },
+      { $set: { viewedAt: now } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Two concurrent first views: the other request inserted it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const ProfileView = mongoose.model('ProfileView', profileViewSchema);
+
+module.exports = ProfileView;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const SECURITY_EVENT_TYPES = [
+  'login',
+  'login_failed',
+  'account_locked',
+  'password_changed',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'backup_codes_regenerated',
+  'session_revoked',
+  'birth_date_changed'
+];
+
+// Append-only audit trail of sign-ins and account security changes.
+// Old entries are removed by the TTL index after a year.
+const securityEventSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+
+  // Where it came from
+  ipAddress: String,
+  userAgent: String,
+  deviceName: String,
+  platform: String,
+  deviceFingerprint: {
+    type: String,
+    select: false
+  },
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  },
+
+  // Event specific details (login method, revoked session, failure reason...)
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.deviceFingerprint;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, type: 1, deviceFingerprint: 1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Whether the user has signed in successfully from this device before
+ */
+securityEventSchema.statics.hasSeenDevice = function(userId, fingerprint) {
+  return this.exists({ user: userId, type: 'login', deviceFingerprint: fingerprint });
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
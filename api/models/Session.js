@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per signed-in device. The refresh token rotates on every use;
+// only the hash of the current token is kept, so presenting any older token
+// from the same session means it was copied and the whole session is revoked.
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Device Details
+  deviceName: String,
+  platform: String,
+  userAgent: String,
+  ipAddress: String,
+
+  // Lifecycle
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'password_reset', 'security']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// VIRTUAL PROPERTIES
+// ======================
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Lists a user's signed-in devices, most recently used first
+ */
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Signs a user out everywhere (optionally keeping one session)
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+    $unset: { tokenHash: 1 }
+  });
+};
+
+// ======================
+// INSTANCE METHODS
+// ======================
+
+/**
+ * Revokes this session so its refresh token can no longer be used
+ */
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.tokenHash = undefined;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { SWIPE_DECISIONS, LIKE_DECISIONS, getPassCooldownDays } = require('../config/swipes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One document per person, per profile they've decided on. A new decision on the
+// same profile replaces the old one; rewinding a pass deletes it.
+const swipeSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  target: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Target is required'],
+    index: true
+  },
+  decision: {
+    type: String,
+    enum: SWIPE_DECISIONS,
+    required: [true, 'Decision is required']
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// ======================
+// INDEXES
+// ======================
+swipeSchema.index({ user: 1, target: 1 }, { unique: true });
+swipeSchema.index({ user: 1, decision: 1, decidedAt: -1 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Records (or replaces) the user's decision on target
+ */
+swipeSchema.statics.record = function(userId, targetId, decision, { session, now = new Date() } = {}) {
+  return this.findOneAndUpdate(
+    { user: userId, target: targetId },
+    { $set: { decision, decidedAt: now } },
+    { upsert: true, new: true, runValidators: true, session }
+  );
+};
+
+/**
+ * Profiles to keep out of the user's deck: everyone they liked, and everyone
+ * they passed on within the cooldown
+ */
+swipeSchema.statics.getDecidedTargetIds = function(userId, now = new Date()) {
+  const passCutoff = new Date(now.getTime() - getPassCooldownDays() * DAY_MS);
+  return this.distinct('target', {
+    user: userId,
+    $or: [
+      { decision: { $in: LIKE_DECISIONS } },
+      { decision: 'pass', decidedAt: { $gt: passCutoff } }
+    ]
+  });
+};
+
+/**
+ * Whether userId has liked or superliked targetId
+ */
+swipeSchema.statics.hasLiked = async function(userId, targetId, { session } = {}) {
+  const swipe = await this.exists({ user: userId, target: targetId, decision: { $in: LIKE_DECISIONS } })
+    .session(session || null);
+  return !!swipe;
+};
+
+/**
+ * The user's most recent pass, if any
+ */
+swipeSchema.statics.findLastPass = function(userId) {
+  return this.findOne({ user: userId, decision: 'pass' }).sort({ decidedAt: -1 });
+};
+
+const Swipe = mongoose.model('Swipe', swipeSchema);
+
+module.exports = Swipe;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { POSE_IDS, REJECTION_REASONS } = require('../config/verificationPoses');
+
+// A selfie submitted for photo verification. The image is uploaded as a
+// private Cloudinary asset and only moderators get a signed URL for it;
+// it never appears in the feed or on the profile.
+const verificationRequestSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  pose: {
+    type: String,
+    enum: POSE_IDS,
+    required: [true, 'Pose is required']
+  },
+  publicId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+
+  // Review
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    enum: Object.keys(REJECTION_REASONS)
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.publicId;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ user: 1, createdAt: -1 });
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+module.exports = VerificationRequest;
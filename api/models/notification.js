@@ -22,9 +22,13 @@ const notificationSchema = new Schema({
       'new_message',
       'chat_initiated',    // When someone starts chat from photo
       'photo_like',       // When someone likes a photo
+      'prompt_like',      // When someone likes a profile prompt answer
       'subscription_alert',
       'match_notification',
-      'admin_announcement'
+      'admin_announcement',
+      'data_export_ready',
+      'security_alert',    // Sign-in from a device we haven't seen
+      'verification_result' // Selfie verification approved or rejected
     ],
     index: true
   },
@@ -52,6 +56,10 @@ const notificationSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Subscription'
   },
+  dataExport: {
+    type: Schema.Types.ObjectId,
+    ref: 'DataExport'
+  },
 
   // Status Fields
   isRead: {
@@ -74,6 +82,12 @@ const notificationSchema = new Schema({
     },
     photoUrl: String,      // Cached photo URL
     senderPhotoUrl: String,// Cached sender's profile photo
+    prompt: {              // Prompt answer a like refers to
+      answerId: Schema.Types.ObjectId,
+      promptId: String,
+      question: String,
+      answer: String
+    },
     expirationHours: {     // For temporary notifications
       type: Number,
       default: 72
@@ -185,6 +199,35 @@ notificationSchema.statics.createPhotoLike = async function(
   });
 };
 
+/**
+ * Creates a prompt-like notification that quotes the liked answer
+ */
+notificationSchema.statics.createPromptLike = async function(
+  recipientId,
+  senderId,
+  prompt
+) {
+  const sender = await mongoose.model('User').findById(senderId, 'name profileImages');
+
+  return this.create({
+    recipient: recipientId,
+    sender: senderId,
+    type: 'prompt_like',
+    title: 'New Like',
+    message: `${sender.name} liked your answer to "${prompt.question}"`,
+    metadata: {
+      senderPhotoUrl: sender.profileImages[0]?.url,
+      priority: 3,
+      prompt: {
+        answerId: prompt.id,
+        promptId: prompt.promptId,
+        question: prompt.question,
+        answer: prompt.answer
+      }
+    }
+  });
+};
+
 /**
  * Creates a chat-initiated notification (from photo)
  */
@@ -232,6 +275,60 @@ notificationSchema.statics.createSubscriptionAlert = function(
   });
 };
 
+/**
+ * Creates a data-export-ready notification. Only the export id is stored: the
+ * archive is downloaded through the signed-in download endpoint.
+ */
+notificationSchema.statics.createDataExportReady = function(
+  userId,
+  exportId,
+  expiresAt
+) {
+  return this.create({
+    recipient: userId,
+    type: 'data_export_ready',
+    title: 'Your data export is ready',
+    message: `Your Ruda data archive is ready to download until ${expiresAt.toUTCString()}.`,
+    dataExport: exportId,
+    metadata: {
+      priority: 4,
+      expirationHours: Math.ceil((expiresAt - Date.now()) / (60 * 60 * 1000))
+    }
+  });
+};
+
+/**
+ * Creates a security alert (e.g. sign-in from a new device)
+ */
+notificationSchema.statics.createSecurityAlert = function(userId, message) {
+  return this.create({
+    recipient: userId,
+    type: 'security_alert',
+    title: 'New sign-in to your account',
+    message: message,
+    metadata: {
+      priority: 5
+    }
+  });
+};
+
+/**
+ * Creates a selfie verification outcome notification
+ */
+notificationSchema.statics.createVerificationResult = function(userId, approved, reasonMessage) {
+  return this.create({
+    recipient: userId,
+    type: 'verification_result',
+    title: approved ? "You're verified" : 'Verification unsuccessful',
+    message: approved
+      ? 'Your profile now shows the verified badge.'
+      : `${reasonMessage || "We couldn't verify your selfie."} You can try again with a new pose.`,
+    metadata: {
+      priority: 4
+    }
+  });
+};
+
 /**
  * Marks all notifications as read for a user
  */
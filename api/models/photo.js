@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GENDERS } = require('../config/genders');
 
 const photoSchema = new mongoose.Schema({
   // Core photo information
@@ -35,7 +36,7 @@ const photoSchema = new mongoose.Schema({
   },
   gender: {
     type: String,
-    enum: ['male', 'female'],
+    enum: GENDERS,
     required: [true, 'Gender is required for filtering'],
     index: true
   },
@@ -166,20 +167,18 @@ photoSchema.statics.getFilteredFeed = async function(
   page = 1, 
   limit = 10
 ) {
-  const user = await mongoose.model('User').findById(currentUserId)
+  const User = mongoose.model('User');
+  const user = await User.findById(currentUserId)
     .select('gender genderPreference');
   
   if (!user) throw new Error('User not found');
   
-  // Get opposite gender based on blueprint logic
-  const oppositeGender = user.gender === 'male' ? 'female' : 'male';
-  const genderFilter = user.genderPreference.includes(oppositeGender) 
-    ? [oppositeGender] 
-    : user.genderPreference;
+  // Owners the user wants to see who also want to see the user
+  const ownerIds = await User.distinct('_id', User.genderMatchFilter(user));
 
   return this.find({ 
     status: 'approved', // Only approved photos
-    gender: { $in: genderFilter }
+    user: { $in: ownerIds }
   })
   .sort({ createdAt: -1 })
   .skip((page - 1) * limit)
@@ -190,6 +189,16 @@ photoSchema.statics.getFilteredFeed = async function(
   });
 };
 
+/**
+ * Keep a user's photos filed under their current gender
+ */
+photoSchema.statics.syncOwnerGender = async function(userId, gender) {
+  return this.updateMany(
+    { user: userId, gender: { $ne: gender } },
+    { $set: { gender } }
+  );
+};
+
 /**
  * Get primary photo for a user
  */
@@ -2,6 +2,35 @@ const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcrypt');
 const { formatDistanceToNow } = require('date-fns');
+const { ROLES, PERMISSIONS, getPermissions } = require('../config/permissions');
+const { calculateAge } = require('../utils/age');
+const { PASSPORT_CITY_IDS } = require('../config/passportCities');
+const { getUsernameError } = require('../config/usernames');
+const { GENDERS } = require('../config/genders');
+const { LIKE_DECISIONS } = require('../config/swipes');
+const {
+  INTEREST_IDS,
+  EDUCATION_LEVELS,
+  LANGUAGES,
+  RELIGIONS,
+  RELATIONSHIP_GOALS,
+  HABIT_FREQUENCIES,
+  CHILDREN_PREFERENCES,
+  HEIGHT_CM,
+  MAX_INTERESTS,
+  MAX_LANGUAGES,
+  MAX_OCCUPATION_LENGTH,
+  FIELD_VISIBILITY,
+  PROFILE_ATTRIBUTES,
+  optionIds
+} = require('../config/profileOptions');
+const {
+  PROMPT_IDS,
+  MAX_PROMPTS,
+  MAX_PROMPT_ANSWER_LENGTH,
+  getPromptText
+} = require('../config/profilePrompts');
+const { POSE_IDS } = require('../config/verificationPoses');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -12,6 +41,17 @@ const userSchema = new mongoose.Schema({
     minlength: [2, 'Name must be at least 2 characters'],
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+  // Public handle for shareable profile links; optional, unique when set
+  username: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: value => !getUsernameError(value),
+      message: props => getUsernameError(props.value)
+    }
+  },
+  usernameChangedAt: Date,
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -37,16 +77,18 @@ const userSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid Kenyan phone number!`
     }
   },
+  phoneVerified: { type: Boolean, default: false },
+  phoneVerifiedAt: Date,
 
   // Profile Information - UPDATED TO MATCH BLUEPRINT
   gender: {
     type: String,
-    enum: ['male', 'female', 'non-binary'],
+    enum: GENDERS,
     required: [true, 'Gender is required']
   },
   genderPreference: {
     type: [String],
-    enum: ['male', 'female', 'non-binary'],
+    enum: GENDERS,
     required: [true, 'Gender preference is required'],
     validate: {
       validator: function(v) {
@@ -59,6 +101,21 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Weighted 0-100 score from utils/profileCompleteness, one of the ranking signals
+  completeness: {
+    score: { type: Number, default: 0, min: 0, max: 100 },
+    updatedAt: Date
+  },
+  // Share of recent conversations started by others that got a reply, from utils/replyRate
+  replyStats: {
+    rate: { type: Number, min: 0, max: 1 },
+    conversations: { type: Number, default: 0 },
+    updatedAt: Date
+  },
+  // Source of truth for age; `age` is derived from it on save and by the daily refresh job
+  birthDate: {
+    type: Date
+  },
   age: {
     type: Number,
     min: [18, 'You must be at least 18 years old'],
@@ -89,6 +146,94 @@ const userSchema = new mongoose.Schema({
     uploadedAt: { type: Date, default: Date.now }
   }],
 
+  // Rich Profile Attributes - option lists live in config/profileOptions
+  interests: {
+    type: [{ type: String, enum: INTEREST_IDS }],
+    validate: {
+      validator: v => v.length <= MAX_INTERESTS,
+      message: `You can pick up to ${MAX_INTERESTS} interests`
+    }
+  },
+  occupation: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_OCCUPATION_LENGTH, `Occupation cannot exceed ${MAX_OCCUPATION_LENGTH} characters`]
+  },
+  education: {
+    type: String,
+    enum: optionIds(EDUCATION_LEVELS)
+  },
+  height: {
+    type: Number,
+    min: [HEIGHT_CM.min, `Height must be at least ${HEIGHT_CM.min} cm`],
+    max: [HEIGHT_CM.max, `Height cannot exceed ${HEIGHT_CM.max} cm`]
+  },
+  languages: {
+    type: [{ type: String, enum: optionIds(LANGUAGES) }],
+    validate: {
+      validator: v => v.length <= MAX_LANGUAGES,
+      message: `You can list up to ${MAX_LANGUAGES} languages`
+    }
+  },
+  religion: {
+    type: String,
+    enum: optionIds(RELIGIONS)
+  },
+  relationshipGoal: {
+    type: String,
+    enum: optionIds(RELATIONSHIP_GOALS)
+  },
+  drinking: {
+    type: String,
+    enum: optionIds(HABIT_FREQUENCIES)
+  },
+  smoking: {
+    type: String,
+    enum: optionIds(HABIT_FREQUENCIES)
+  },
+  children: {
+    type: String,
+    enum: optionIds(CHILDREN_PREFERENCES)
+  },
+  // Who can see each attribute above
+  fieldVisibility: Object.fromEntries(PROFILE_ATTRIBUTES.map(field => [field, {
+    type: String,
+    enum: Object.values(FIELD_VISIBILITY),
+    default: FIELD_VISIBILITY.EVERYONE
+  }])),
+
+  // Profile Prompts - answers to prompts from config/profilePrompts
+  prompts: {
+    type: [{
+      promptId: {
+        type: String,
+        enum: PROMPT_IDS,
+        required: [true, 'Prompt is required']
+      },
+      answer: {
+        type: String,
+        trim: true,
+        required: [true, 'Answer is required'],
+        maxlength: [MAX_PROMPT_ANSWER_LENGTH, `Answers cannot exceed ${MAX_PROMPT_ANSWER_LENGTH} characters`]
+      },
+      likedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      answeredAt: { type: Date, default: Date.now }
+    }],
+    validate: [
+      {
+        validator: v => v.length <= MAX_PROMPTS,
+        message: `You can answer up to ${MAX_PROMPTS} prompts`
+      },
+      {
+        validator: v => new Set(v.map(p => p.promptId)).size === v.length,
+        message: 'Each prompt can only be answered once'
+      }
+    ]
+  },
+
   // Online Status & Activity - UPDATED FOR SOCKET.IO TRACKING
   isOnline: {
     type: Boolean,
@@ -147,6 +292,11 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   }],
+  // Accounts this user has blocked; neither side can open the other's profile
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   likedPhotos: [{ 
     photoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Photo' },
     ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -167,15 +317,90 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Access Control
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.USER
+  },
+  permissions: {
+    type: [String],
+    enum: Object.values(PERMISSIONS),
+    default: []
+  },
+
   // Account Security
   isVerified: { type: Boolean, default: false },
   verificationToken: String,
   verificationTokenExpires: Date,
   resetToken: String,
   resetTokenExpires: Date,
+  resetTokenAttempts: { type: Number, default: 0, select: false },
+  passwordChangedAt: Date,
   failedLoginAttempts: { type: Number, default: 0 },
   accountLocked: { type: Boolean, default: false },
-  lockUntil: { type: Date }
+  lockUntil: { type: Date },
+
+  // Photo Verification - a moderator matched a posed selfie to the profile photos
+  verifiedPhoto: { type: Boolean, default: false },
+  photoVerification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'approved', 'rejected'],
+      default: 'unverified'
+    },
+    pose: { type: String, enum: POSE_IDS },
+    poseExpiresAt: Date,
+    verifiedAt: Date,
+    rejectionReason: String
+  },
+
+  // Pause Mode - hidden from discovery until resumed (or resumeAt passes)
+  pause: {
+    isPaused: { type: Boolean, default: false },
+    pausedAt: Date,
+    resumeAt: Date
+  },
+
+  // Incognito Mode - hidden from discovery and profile viewers, except to people
+  // the user has liked. Only takes effect while the subscription is active.
+  incognito: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date
+  },
+
+  // Passport Mode - subscribers browse from another city until expiresAt
+  passport: {
+    enabled: { type: Boolean, default: false },
+    city: { type: String, enum: PASSPORT_CITY_IDS },
+    startedAt: Date,
+    expiresAt: Date
+  },
+
+  // Passes undone today (UTC), for the free-account rewind limit
+  swipeRewinds: {
+    day: String,
+    count: { type: Number, default: 0 }
+  },
+
+  // Account Deletion - hidden immediately, purged once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: { type: String, maxlength: 500 },
+    purgeAttempts: { type: Number, default: 0 },
+    lastPurgeError: String
+  },
+
+  // Two-Factor Authentication (TOTP) - secrets are encrypted, backup codes hashed
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  }
 
 }, {
   timestamps: true,
@@ -205,6 +430,17 @@ userSchema.index({ 'subscription.expiresAt': 1 }); // Optimized for subscription
 userSchema.index({ gender: 1 });
 userSchema.index({ genderPreference: 1 });
 userSchema.index({ profileComplete: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ verificationToken: 1 }, { sparse: true });
+userSchema.index({ resetToken: 1 }, { sparse: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'pause.isPaused': 1, 'pause.resumeAt': 1 });
+userSchema.index({ interests: 1 });
+userSchema.index({ 'completeness.score': -1 });
+userSchema.index({ verifiedPhoto: 1 });
+userSchema.index({ 'passport.enabled': 1, 'passport.expiresAt': 1 });
+userSchema.index({ 'incognito.enabled': 1 });
+userSchema.index({ username: 1 }, { unique: true, sparse: true });
 
 // ======================
 // PRE-SAVE HOOKS - UPDATED
@@ -222,6 +458,23 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A changed number has to be proven again before M-Pesa can use it
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phoneNumber')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
+// Keep the denormalised age (used by feed filters) in step with birthDate
+userSchema.pre('save', function(next) {
+  if (this.birthDate && (this.isNew || this.isModified('birthDate'))) {
+    this.age = calculateAge(this.birthDate);
+  }
+  next();
+});
+
 // Auto-set profileComplete when gender preferences are set
 userSchema.pre('save', function(next) {
   if (this.isModified('genderPreference') || this.isModified('gender')) {
@@ -264,6 +517,129 @@ userSchema.virtual('statusIndicator').get(function() {
   };
 });
 
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !!this.deletion?.requestedAt;
+});
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Prompt answers as shown on cards (works on documents and lean/aggregate results)
+ */
+userSchema.statics.formatPrompts = function(prompts = [], viewerId = null) {
+  return prompts.map(prompt => ({
+    id: prompt._id,
+    promptId: prompt.promptId,
+    question: getPromptText(prompt.promptId),
+    answer: prompt.answer,
+    likes: prompt.likedBy?.length || 0,
+    isLiked: !!viewerId && (prompt.likedBy || []).some(id => id.equals(viewerId))
+  }));
+};
+
+/**
+ * Query fragment for accounts that may appear in feeds and discovery
+ */
+userSchema.statics.discoverableFilter = function() {
+  return {
+    'deletion.requestedAt': null,
+    'pause.isPaused': { $ne: true }
+  };
+};
+
+/**
+ * Whether either user has blocked the other
+ */
+userSchema.statics.isBlockedBetween = async function(userId, otherId) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId }
+    ]
+  });
+  return !!blocked;
+};
+
+/**
+ * Everyone who has liked the user: profile and prompt likes, likes and superlikes
+ * in the discovery deck, plus likes on any of their photos
+ */
+userSchema.statics.getLikerIds = async function(userId) {
+  const [user, photoLikers, swipeLikers] = await Promise.all([
+    this.findById(userId).select('likesReceived profileImages.likedBy').lean(),
+    mongoose.model('Photo').distinct('likedBy', { $or: [{ user: userId }, { uploader: userId }] }),
+    mongoose.model('Swipe').distinct('user', { target: userId, decision: { $in: LIKE_DECISIONS } })
+  ]);
+
+  return [
+    ...(user?.likesReceived || []),
+    ...(user?.profileImages || []).flatMap(image => image.likedBy || []),
+    ...photoLikers,
+    ...swipeLikers
+  ];
+};
+
+/**
+ * Query fragment for incognito accounts whose subscription still covers it
+ */
+userSchema.statics.incognitoFilter = function(now = new Date()) {
+  return { 'incognito.enabled': true, 'subscription.expiresAt': { $gt: now } };
+};
+
+/**
+ * Query fragment for people the viewer may be matched with: their gender is one the
+ * viewer wants, and the viewer's gender is one they want
+ */
+userSchema.statics.genderMatchFilter = function(viewer) {
+  return {
+    gender: { $in: viewer.genderPreference || [] },
+    genderPreference: viewer.gender
+  };
+};
+
+/**
+ * Same two-way check for two loaded users (documents or plain objects)
+ */
+userSchema.statics.isGenderCompatible = function(a, b) {
+  return !!a?.gender && !!b?.gender &&
+    (a.genderPreference || []).includes(b.gender) &&
+    (b.genderPreference || []).includes(a.gender);
+};
+
+/**
+ * Query fragment for users whose passport is currently in effect (mirrors isPassportActive in utils/geo)
+ */
+userSchema.statics.passportFilter = function(now = new Date()) {
+  return {
+    'passport.enabled': true,
+    'passport.expiresAt': { $gt: now },
+    'subscription.expiresAt': { $gt: now }
+  };
+};
+
+/**
+ * discoverableFilter for a particular viewer: also drops incognito accounts,
+ * unless they have liked the viewer
+ */
+userSchema.statics.discoverableFilterFor = async function(viewerId) {
+  const likerIds = await this.getLikerIds(viewerId);
+  return {
+    ...this.discoverableFilter(),
+    $nor: [{ ...this.incognitoFilter(), _id: { $nin: likerIds } }]
+  };
+};
+
+/**
+ * IDs of accounts hidden from discovery (for queries on other collections).
+ * Pass the viewer to hide incognito accounts too.
+ */
+userSchema.statics.getHiddenUserIds = async function(viewerId = null) {
+  const filter = viewerId ? await this.discoverableFilterFor(viewerId) : this.discoverableFilter();
+  return this.distinct('_id', { $nor: [filter] });
+};
+
 // ======================
 // INSTANCE METHODS - UPDATED FOR BLUEPRINT
 // ======================
@@ -271,6 +647,44 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasPermission = function(permission) {
+  return getPermissions(this).includes(permission);
+};
+
+/** Paused and pending-deletion accounts can't be shown, liked or messaged anew */
+userSchema.methods.isDiscoverable = function() {
+  return !this.isPendingDeletion && !this.pause?.isPaused;
+};
+
+/** Incognito only counts while the subscription that unlocks it is active */
+userSchema.methods.isIncognito = function() {
+  return !!this.incognito?.enabled && this.isSubscribed;
+};
+
+/**
+ * Rich profile attributes the viewer is allowed to see, per fieldVisibility
+ */
+userSchema.methods.getVisibleAttributes = function(viewerId) {
+  const isSelf = !!viewerId && this._id.equals(viewerId);
+  const isMatch = !!viewerId && (this.matches || []).some(id => id.equals(viewerId));
+
+  return PROFILE_ATTRIBUTES.reduce((visible, field) => {
+    const value = this[field];
+    const isEmpty = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    if (isEmpty) return visible;
+
+    const visibility = this.fieldVisibility?.[field] || FIELD_VISIBILITY.EVERYONE;
+    if (
+      isSelf ||
+      visibility === FIELD_VISIBILITY.EVERYONE ||
+      (visibility === FIELD_VISIBILITY.MATCHES && isMatch)
+    ) {
+      visible[field] = Array.isArray(value) ? [...value] : value;
+    }
+    return visible;
+  }, {});
+};
+
 userSchema.methods.hasLikedPhoto = function(photoId) {
   return this.likedPhotos.some(photo => photo.photoId.equals(photoId));
 };
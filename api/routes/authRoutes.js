@@ -1,15 +1,29 @@
 // ==================== IMPORTS ====================
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { body } = require('express-validator');
+const { body, param, query, oneOf } = require('express-validator');
 
 const {
   testController,
   testSimple,
   register,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  sendPhoneOtp,
+  verifyPhoneOtp,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getSessions,
+  revokeSession,
+  getSecurityEvents,
   initiateChatSubscription,
   confirmSubscription,
   updateOnlineStatus,
@@ -26,6 +40,8 @@ const {
 } = require('../middlewares/authMiddleware');
 
 const { validateRequest } = require('../middlewares/validateRequest');
+const SecurityEvent = require('../models/SecurityEvent');
+const { GENDERS } = require('../config/genders');
 
 // ==================== INIT ROUTER ====================
 const router = express.Router();
@@ -42,6 +58,39 @@ const authLimiter = rateLimit({
   skip: req => process.env.NODE_ENV === 'test'
 });
 
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    code: 'EMAIL_LIMIT_EXCEEDED',
+    message: 'Too many email requests. Please try again later.'
+  },
+  skip: req => process.env.NODE_ENV === 'test'
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    code: 'RESET_LIMIT_EXCEEDED',
+    message: 'Too many password reset attempts. Please try again later.'
+  },
+  skip: req => process.env.NODE_ENV === 'test'
+});
+
+const otpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: {
+    success: false,
+    code: 'OTP_LIMIT_EXCEEDED',
+    message: 'Too many verification attempts. Please try again later.'
+  },
+  skip: req => process.env.NODE_ENV === 'test'
+});
+
 const paymentLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5,
@@ -66,8 +115,11 @@ const registerRules = [
     .matches(/^(\+?254|0)[17]\d{8}$/)
     .withMessage('Valid Kenyan phone number required (format: 07... or 2547...)'),
   body('gender')
-    .isIn(['male', 'female', 'other'])
+    .isIn(GENDERS)
     .withMessage('Valid gender selection required'),
+  body('genderPreference.*')
+    .isIn(GENDERS)
+    .withMessage('Valid gender preference required'),
   body('birthDate')
     .notEmpty()
     .isISO8601()
@@ -79,10 +131,62 @@ const loginRules = [
   body('password').exists().withMessage('Password is required')
 ];
 
+const twoFactorLoginRules = [
+  body('challengeToken').isJWT().withMessage('Valid login challenge required'),
+  oneOf([
+    body('code').matches(/^\d{6}$/),
+    body('backupCode').matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+  ], { message: 'A 6-digit code or a backup code is required' })
+];
+
+const twoFactorCodeRules = [
+  body('code').matches(/^\d{6}$/).withMessage('Valid 6-digit authentication code required')
+];
+
 const refreshTokenRules = [
   body('refreshToken').isJWT().withMessage('Valid refresh token required')
 ];
 
+const verifyEmailRules = [
+  body('token')
+    .isHexadecimal().withMessage('Valid verification token required')
+    .isLength({ min: 64, max: 64 }).withMessage('Valid verification token required')
+];
+
+const resendVerificationRules = [
+  body('email').isEmail().withMessage('Valid email required').normalizeEmail()
+];
+
+const forgotPasswordRules = [
+  oneOf([
+    body('email').isEmail().normalizeEmail(),
+    body('phoneNumber').matches(/^(\+?254|0)[17]\d{8}$/)
+  ], { message: 'Valid email or Kenyan phone number required' })
+];
+
+const resetPasswordRules = [
+  body('phoneNumber')
+    .optional()
+    .matches(/^(\+?254|0)[17]\d{8}$/)
+    .withMessage('Valid Kenyan phone number required'),
+  body('token')
+    .if(body('phoneNumber').exists())
+    .matches(/^\d{6}$/).withMessage('Valid 6-digit reset code required'),
+  body('token')
+    .if(body('phoneNumber').not().exists())
+    .isHexadecimal().withMessage('Valid reset token required')
+    .isLength({ min: 64, max: 64 }).withMessage('Valid reset token required'),
+  body('password')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/\d/).withMessage('Password must contain a number')
+    .matches(/[a-z]/).withMessage('Password must contain a lowercase letter')
+    .matches(/[A-Z]/).withMessage('Password must contain an uppercase letter')
+];
+
+const phoneOtpRules = [
+  body('code').matches(/^\d{6}$/).withMessage('Valid 6-digit verification code required')
+];
+
 const subscriptionRules = [
   body('phoneNumber')
     .matches(/^(\+?254|0)[17]\d{8}$/)
@@ -91,8 +195,15 @@ const subscriptionRules = [
 
 const genderRules = [
   body('gender')
-    .isIn(['male', 'female', 'other'])
-    .withMessage('Valid gender selection required')
+    .isIn(GENDERS)
+    .withMessage('Valid gender selection required'),
+  body('genderPreference')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Pick at least one gender preference'),
+  body('genderPreference.*')
+    .isIn(GENDERS)
+    .withMessage('Valid gender preference required')
 ];
 
 // ==================== DEBUG ROUTES ====================
@@ -120,6 +231,14 @@ router.post(
   login
 );
 
+router.post(
+  '/login/2fa',
+  authLimiter,
+  twoFactorLoginRules,
+  validateRequest,
+  verifyTwoFactorLogin
+);
+
 router.post(
   '/refresh-token',
   authLimiter,
@@ -134,6 +253,125 @@ router.post(
   logout
 );
 
+// ==================== EMAIL VERIFICATION ====================
+router.post(
+  '/verify-email',
+  authLimiter,
+  verifyEmailRules,
+  validateRequest,
+  verifyEmail
+);
+
+router.post(
+  '/resend-verification',
+  emailLimiter,
+  resendVerificationRules,
+  validateRequest,
+  resendVerification
+);
+
+// ==================== PASSWORD RESET ====================
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  forgotPasswordRules,
+  validateRequest,
+  forgotPassword
+);
+
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  resetPasswordRules,
+  validateRequest,
+  resetPassword
+);
+
+// ==================== PHONE VERIFICATION ====================
+router.post(
+  '/phone/send-otp',
+  otpLimiter,
+  authenticate,
+  sendPhoneOtp
+);
+
+router.post(
+  '/phone/verify',
+  otpLimiter,
+  authenticate,
+  phoneOtpRules,
+  validateRequest,
+  verifyPhoneOtp
+);
+
+// ==================== TWO-FACTOR AUTH ====================
+router.post(
+  '/2fa/setup',
+  authenticate,
+  setupTwoFactor
+);
+
+router.post(
+  '/2fa/confirm',
+  authLimiter,
+  authenticate,
+  twoFactorCodeRules,
+  validateRequest,
+  confirmTwoFactor
+);
+
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  authenticate,
+  [
+    body('password').exists().withMessage('Password is required'),
+    ...twoFactorCodeRules
+  ],
+  validateRequest,
+  disableTwoFactor
+);
+
+router.post(
+  '/2fa/backup-codes',
+  authLimiter,
+  authenticate,
+  twoFactorCodeRules,
+  validateRequest,
+  regenerateBackupCodes
+);
+
+// ==================== DEVICE SESSIONS ====================
+router.get(
+  '/sessions',
+  authenticate,
+  getSessions
+);
+
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  [param('sessionId').isMongoId().withMessage('Valid session ID required')],
+  validateRequest,
+  revokeSession
+);
+
+// ==================== SECURITY ACTIVITY ====================
+router.get(
+  '/security-events',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('type')
+      .optional()
+      .isIn(SecurityEvent.schema.path('type').enumValues)
+      .withMessage('Invalid security event type')
+  ],
+  validateRequest,
+  getSecurityEvents
+);
+
 // ==================== USER PROFILE ====================
 router.get(
   '/me',
@@ -12,10 +12,12 @@ const {
   enforceGenderAccess
 } = require('../middlewares/genderMiddleware');
 const { validateRequest } = require('../middlewares/validateRequest');
+const { validateDatingPagination } = require('../middlewares/validatePagination');
 const rateLimiter = require('../middlewares/rateLimiter');
 
 // Controller imports
 const chatController = require('../controllers/chatController');
+const { CURSOR_SCOPES } = require('../utils/cursor');
 
 // ==================== ROUTE DEBUGGING MIDDLEWARE ====================
 router.use((req, res, next) => {
@@ -62,7 +64,8 @@ const messageRateLimiter = rateLimiter('15 requests per 5 minutes', 15, 5 * 60 *
 // ==================== CHAT ROUTES ====================
 
 /**
- * Get conversations
+ * Get conversations, or with recipientId the latest messages with that person.
+ * Pass the returned nextCursor back as `cursor` for older messages.
  */
 router.get(
   '/',
@@ -75,6 +78,12 @@ router.get(
     ...paginationRules
   ],
   validateRequest,
+  validateDatingPagination({
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 100,
+    MIN_LIMIT: 1,
+    CURSOR_SCOPE: CURSOR_SCOPES.CHAT_HISTORY
+  }),
   chatController.getMessages
 );
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, param } = require('express-validator');
 const authMiddleware = require('../middlewares/authMiddleware');
 const { validatePagination } = require('../middlewares/validatePagination');
+const { CURSOR_SCOPES, itemScope } = require('../utils/cursor');
 const validateRequest = require('../middlewares/validateRequest').validateRequest;
 const {
   ensureGenderSetup,
@@ -14,6 +15,7 @@ const {
 const { 
   likePhoto,
   likeProfile,  // Changed from handleProfileLike
+  likePromptAnswer,
   getLikedPhotos,
   checkLikeStatus,
   getLikeDetails
@@ -43,6 +45,11 @@ const profileLikeRules = [
   body('isLike').isBoolean().withMessage('Like status must be boolean')
 ];
 
+const promptLikeRules = [
+  param('userId').isMongoId().withMessage('Valid user ID required'),
+  param('promptAnswerId').isMongoId().withMessage('Valid prompt answer ID required')
+];
+
 // ==================== ROUTES ====================
 
 /**
@@ -106,6 +113,33 @@ router.post(
   likeProfile  // Changed to correct handler name
 );
 
+/**
+ * @swagger
+ * /api/likes/profiles/{userId}/prompts/{promptAnswerId}:
+ *   post:
+ *     summary: Like a prompt answer on a user's profile
+ *     description: Requires gender compatibility check; notifies the owner with the prompt
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: promptAnswerId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.post(
+  '/profiles/:userId/prompts/:promptAnswerId',
+  authenticate,
+  ...promptLikeRules,
+  validateRequest,
+  checkGenderCompatibility,
+  likePromptAnswer
+);
+
 /**
  * @swagger
  * /api/likes/users/{userId}/photos:
@@ -131,7 +165,7 @@ router.post(
 router.get(
   '/users/:userId/photos',
   authenticate,
-  validatePagination,
+  validatePagination(),
   getLikedPhotos
 );
 
@@ -188,12 +222,20 @@ router.post(
  *         schema:
  *           type: integer
  *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor from the previous page
+ *         schema:
+ *           type: string
  */
 router.get(
   '/photos/:id/details',
   authenticate,
   param('id').isMongoId().withMessage('Valid photo ID required'),
-  validatePagination,
+  validatePagination({
+    MIN_LIMIT: 1,
+    CURSOR_SCOPE: req => itemScope(CURSOR_SCOPES.PHOTO_LIKERS, req.params.id)
+  }),
   getLikeDetails
 );
 
@@ -219,12 +261,20 @@ router.get(
  *         schema:
  *           type: integer
  *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor from the previous page
+ *         schema:
+ *           type: string
  */
 router.get(
   '/photos/:id/likers',
   authenticate,
   param('id').isMongoId().withMessage('Valid photo ID required'),
-  validatePagination,
+  validatePagination({
+    MIN_LIMIT: 1,
+    CURSOR_SCOPE: req => itemScope(CURSOR_SCOPES.PHOTO_LIKERS, req.params.id)
+  }),
   getLikeDetails
 );
 
@@ -239,6 +289,7 @@ router.use((req, res) => {
     availableEndpoints: [
       'POST   /api/likes/photos/:photoId',
       'POST   /api/likes/profiles/:userId',
+      'POST   /api/likes/profiles/:userId/prompts/:promptAnswerId',
       'GET    /api/likes/users/:userId/photos',
       'POST   /api/likes/photos/status',
       'GET    /api/likes/photos/:id/details',
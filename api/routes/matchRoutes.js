@@ -6,6 +6,8 @@ const { query, param, body } = require('express-validator');
 const authMiddleware = require('../middlewares/authMiddleware'); // Fixed import
 const validateRequestModule = require('../middlewares/validateRequest'); // Fixed import
 const validateRequest = validateRequestModule.validateRequest; // Extract the function
+const { validateDatingPagination } = require('../middlewares/validatePagination');
+const { CURSOR_SCOPES } = require('../utils/cursor');
 
 // ==================== CONTROLLER IMPORT ====================
 const matchController = require('../controllers/matchController');
@@ -22,6 +24,17 @@ const matchIdRules = [
   param('matchId').isMongoId().withMessage('Valid match ID required')
 ];
 
+const discoveryRules = [
+  query('verifiedOnly').optional().isBoolean().withMessage('verifiedOnly must be true or false').toBoolean(),
+  query('explain').optional().isBoolean().withMessage('explain must be true or false').toBoolean()
+];
+
+const swipeRules = [
+  body('targetUserId')
+    .isMongoId()
+    .withMessage('Valid target user ID required')
+];
+
 const userIdRules = [
   param('userId').isMongoId().withMessage('Valid user ID required')
 ];
@@ -35,6 +48,7 @@ router.get(
   authMiddleware.checkGenderSet, // Fixed reference
   ...paginationRules,
   validateRequest,
+  validateDatingPagination({ MIN_LIMIT: 1, MAX_LIMIT: 100, CURSOR_SCOPE: CURSOR_SCOPES.MATCHES }),
   matchController.getMatches
 );
 
@@ -44,24 +58,42 @@ router.get(
   authMiddleware.authenticate, // Fixed reference
   authMiddleware.checkGenderSet, // Fixed reference
   ...paginationRules,
+  ...discoveryRules,
   validateRequest,
   matchController.getPotentialMatches
 );
 
-// Create match from mutual like
+// Like (or superlike) a profile, creating a match if it's mutual
 router.post(
   '/like',
   authMiddleware.authenticate, // Fixed reference
   authMiddleware.checkGenderSet, // Fixed reference
   [
-    body('targetUserId')
-      .isMongoId()
-      .withMessage('Valid target user ID required')
+    ...swipeRules,
+    body('superlike').optional().isBoolean().withMessage('superlike must be true or false').toBoolean()
   ],
   validateRequest,
   matchController.createMatchIfMutual
 );
 
+// Pass on a profile; it comes back to the deck after the pass cooldown
+router.post(
+  '/pass',
+  authMiddleware.authenticate,
+  authMiddleware.checkGenderSet,
+  swipeRules,
+  validateRequest,
+  matchController.passProfile
+);
+
+// Undo the last pass (limited for free accounts)
+router.post(
+  '/rewind',
+  authMiddleware.authenticate,
+  authMiddleware.checkGenderSet,
+  matchController.rewindLastPass
+);
+
 // Get details of a specific match
 router.get(
   '/:matchId',
@@ -94,6 +126,8 @@ router.use((req, res) => {
       'GET    /api/matches',
       'GET    /api/matches/potential',
       'POST   /api/matches/like',
+      'POST   /api/matches/pass',
+      'POST   /api/matches/rewind',
       'GET    /api/matches/:matchId',
       'DELETE /api/matches/:userId'
     ]
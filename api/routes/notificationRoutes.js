@@ -3,6 +3,8 @@ const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const { authenticate } = require('../middlewares/authMiddleware');
 const ValidateRequest = require('../middlewares/validateRequest');
+const { validateDatingPagination } = require('../middlewares/validatePagination');
+const { CURSOR_SCOPES } = require('../utils/cursor');
 
 /**
  * @swagger
@@ -43,9 +45,19 @@ router.use(authenticate); // Require authentication for all notification routes
  * @swagger
  * /api/notifications:
  *   get:
- *     summary: Get all user notifications
+ *     summary: Get all user notifications, newest first
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor from the previous page
+ *         schema:
+ *           type: string
  */
-router.get('/', getNotifications);
+router.get(
+  '/',
+  validateDatingPagination({ MIN_LIMIT: 1, CURSOR_SCOPE: CURSOR_SCOPES.NOTIFICATIONS }),
+  getNotifications
+);
 
 /**
  * @swagger
@@ -1,16 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
-const { authenticate } = require('../middlewares/authMiddleware');
-const { singlePhotoUpload } = require('../middlewares/multer');
+const { body, param, query } = require('express-validator');
+const { authenticate, requirePermission } = require('../middlewares/authMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { validateDatingPagination } = require('../middlewares/validatePagination');
+const { CURSOR_SCOPES } = require('../utils/cursor');
+const { singlePhotoUpload, verificationSelfieUpload } = require('../middlewares/multer');
+const { PERMISSIONS } = require('../config/permissions');
+const { REJECTION_REASONS } = require('../config/verificationPoses');
 const {
   getPhotoFeed,
   uploadPhoto,
   getUserPhotos,
   deletePhoto,
   initiateChat,
+  setPrimaryPhoto,
   getPhotoById
 } = require('../controllers/photoController'); // Removed toggleLike
+const verificationController = require('../controllers/verificationController');
 const { testConnection } = require('../config/cloudinary');
 
 // ==================== DEBUG MIDDLEWARE ====================
@@ -59,13 +67,78 @@ router.get('/test-cloudinary', async (req, res) => {
   }
 });
 
+// ==================== VALIDATION RULES ====================
+const feedRules = [
+  query('verifiedOnly').optional().isBoolean().withMessage('verifiedOnly must be true or false').toBoolean(),
+  query('explain').optional().isBoolean().withMessage('explain must be true or false').toBoolean()
+];
+
+const photoIdRules = [
+  param('id').isMongoId().withMessage('Valid photo ID required')
+];
+
+const verificationQueueRules = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+];
+
+const verificationReviewRules = [
+  param('requestId').isMongoId().withMessage('Valid request ID required'),
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('reason')
+    .if(body('decision').equals('reject'))
+    .isIn(Object.keys(REJECTION_REASONS))
+    .withMessage(`Reason must be one of: ${Object.keys(REJECTION_REASONS).join(', ')}`)
+];
+
 // ==================== PHOTO FEED ROUTE ====================
 router.get('/feed', 
   authenticate,
   interactionLimiter,
+  feedRules,
+  validateRequest,
+  validateDatingPagination({ MIN_LIMIT: 1, CURSOR_SCOPE: CURSOR_SCOPES.PHOTO_FEED }),
   getPhotoFeed
 );
 
+// ==================== SELFIE VERIFICATION ROUTES ====================
+// Registered before '/:id' so 'verification' isn't taken for a photo ID
+router.get('/verification',
+  authenticate,
+  verificationController.getVerificationStatus
+);
+
+router.post('/verification/pose',
+  authenticate,
+  interactionLimiter,
+  verificationController.requestPose
+);
+
+router.post('/verification',
+  authenticate,
+  uploadLimiter,
+  verificationSelfieUpload,
+  verificationController.submitSelfie
+);
+
+router.get('/verification/queue',
+  authenticate,
+  requirePermission(PERMISSIONS.PHOTOS_MODERATE),
+  verificationQueueRules,
+  validateRequest,
+  verificationController.getVerificationQueue
+);
+
+router.put('/verification/:requestId/review',
+  authenticate,
+  requirePermission(PERMISSIONS.PHOTOS_MODERATE),
+  verificationReviewRules,
+  validateRequest,
+  verificationController.reviewVerification
+);
+
 // ==================== PHOTO UPLOAD ROUTE ====================
 router.post(
   '/',
@@ -91,13 +164,26 @@ router.get('/user',
 // ==================== PHOTO DETAIL ROUTE ====================
 router.get('/:id', 
   authenticate,
+  photoIdRules,
+  validateRequest,
   getPhotoById
 );
 
+// ==================== PRIMARY PHOTO ROUTE ====================
+router.put('/:id/primary',
+  authenticate,
+  interactionLimiter,
+  photoIdRules,
+  validateRequest,
+  setPrimaryPhoto
+);
+
 // ==================== DELETE PHOTO ROUTE ====================
 router.delete('/:id', 
   authenticate,
   interactionLimiter,
+  photoIdRules,
+  validateRequest,
   deletePhoto
 );
 
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 
 // Middleware imports
-const { authenticate } = require('../middlewares/authMiddleware');
+const { authenticate, requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
 const { validateRequest } = require('../middlewares/validateRequest');
 const { validatePagination } = require('../middlewares/validatePagination');
 const {
@@ -12,6 +14,27 @@ const {
   enforceGenderAccess
 } = require('../middlewares/genderMiddleware');
 const { checkSubscription } = require('../middlewares/subscriptionMiddleware');
+const { MAX_PAUSE_DAYS } = require('../utils/accountPause');
+const { PASSPORT_CITY_IDS, MAX_PASSPORT_DAYS } = require('../config/passportCities');
+const { normalizeUsername, getUsernameError } = require('../config/usernames');
+const { GENDERS, normalizeGenderPreference } = require('../config/genders');
+const {
+  INTEREST_IDS,
+  EDUCATION_LEVELS,
+  LANGUAGES,
+  RELIGIONS,
+  RELATIONSHIP_GOALS,
+  HABIT_FREQUENCIES,
+  CHILDREN_PREFERENCES,
+  HEIGHT_CM,
+  MAX_INTERESTS,
+  MAX_LANGUAGES,
+  MAX_OCCUPATION_LENGTH,
+  FIELD_VISIBILITY,
+  PROFILE_ATTRIBUTES,
+  optionIds
+} = require('../config/profileOptions');
+const { PROMPT_IDS, MAX_PROMPTS, MAX_PROMPT_ANSWER_LENGTH } = require('../config/profilePrompts');
 
 // Controller imports
 const userController = require('../controllers/userController');
@@ -28,6 +51,30 @@ router.use((req, res, next) => {
 router.use(ensureGenderSetup);
 router.use(enforceGenderAccess);
 
+// ==================== RATE LIMITERS ====================
+const dataExportLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 3,
+  message: {
+    success: false,
+    code: 'EXPORT_LIMIT_EXCEEDED',
+    message: 'You can request up to 3 data exports per day'
+  },
+  skip: req => process.env.NODE_ENV === 'test'
+});
+
+const locationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyGenerator: req => req.user._id.toString(),
+  message: {
+    success: false,
+    code: 'LOCATION_LIMIT_EXCEEDED',
+    message: 'Too many location updates. Please try again later.'
+  },
+  skip: req => process.env.NODE_ENV === 'test'
+});
+
 // ==================== VALIDATION RULES ====================
 const userIdParamRule = param('userId')
   .isMongoId()
@@ -36,9 +83,88 @@ const userIdParamRule = param('userId')
 const profileUpdateRules = [
   body('name').optional().isString().trim().isLength({ min: 2, max: 50 }),
   body('bio').optional().isString().trim().isLength({ max: 500 }),
-  body('age').optional().isInt({ min: 18, max: 100 }),
-  body('gender').optional().isIn(['male', 'female', 'other']),
-  body('preferences').optional().isObject()
+  body('birthDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid birth date required (YYYY-MM-DD)'),
+  body('gender').optional().isIn(GENDERS),
+  body('preferences').optional().isObject(),
+
+  // Rich profile attributes (null clears a field)
+  body('interests')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_INTERESTS })
+    .withMessage(`Pick up to ${MAX_INTERESTS} interests`),
+  body('interests.*').isIn(INTEREST_IDS).withMessage('Unknown interest'),
+  body('occupation')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: MAX_OCCUPATION_LENGTH })
+    .withMessage(`Occupation cannot exceed ${MAX_OCCUPATION_LENGTH} characters`),
+  body('education')
+    .optional({ values: 'null' })
+    .isIn(optionIds(EDUCATION_LEVELS))
+    .withMessage('Invalid education level'),
+  body('height')
+    .optional({ values: 'null' })
+    .isInt(HEIGHT_CM)
+    .withMessage(`Height must be between ${HEIGHT_CM.min} and ${HEIGHT_CM.max} cm`)
+    .toInt(),
+  body('languages')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_LANGUAGES })
+    .withMessage(`List up to ${MAX_LANGUAGES} languages`),
+  body('languages.*').isIn(optionIds(LANGUAGES)).withMessage('Unknown language'),
+  body('religion')
+    .optional({ values: 'null' })
+    .isIn(optionIds(RELIGIONS))
+    .withMessage('Invalid religion'),
+  body('relationshipGoal')
+    .optional({ values: 'null' })
+    .isIn(optionIds(RELATIONSHIP_GOALS))
+    .withMessage('Invalid relationship goal'),
+  body(['drinking', 'smoking'])
+    .optional({ values: 'null' })
+    .isIn(optionIds(HABIT_FREQUENCIES))
+    .withMessage('Invalid habit option'),
+  body('children')
+    .optional({ values: 'null' })
+    .isIn(optionIds(CHILDREN_PREFERENCES))
+    .withMessage('Invalid children preference'),
+  body('fieldVisibility')
+    .optional()
+    .isObject()
+    .withMessage('fieldVisibility must be an object')
+    .bail()
+    .custom(value => {
+      const unknown = Object.keys(value).filter(field => !PROFILE_ATTRIBUTES.includes(field));
+      if (unknown.length) throw new Error(`Unknown profile fields: ${unknown.join(', ')}`);
+      const visibilities = Object.values(FIELD_VISIBILITY);
+      if (!Object.values(value).every(visibility => visibilities.includes(visibility))) {
+        throw new Error(`Visibility must be one of: ${visibilities.join(', ')}`);
+      }
+      return true;
+    })
+];
+
+const promptRules = [
+  userIdParamRule,
+  body('prompts')
+    .isArray({ max: MAX_PROMPTS })
+    .withMessage(`You can answer up to ${MAX_PROMPTS} prompts`)
+    .bail()
+    .custom(prompts => {
+      const ids = prompts.map(prompt => prompt?.promptId);
+      if (new Set(ids).size !== ids.length) throw new Error('Each prompt can only be answered once');
+      return true;
+    }),
+  body('prompts.*.promptId').isIn(PROMPT_IDS).withMessage('Unknown prompt'),
+  body('prompts.*.answer')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_PROMPT_ANSWER_LENGTH })
+    .withMessage(`Answers must be 1-${MAX_PROMPT_ANSWER_LENGTH} characters`)
 ];
 
 const profileImageRules = [
@@ -50,14 +176,175 @@ const profileImageRules = [
     .withMessage('Public ID required')
 ];
 
+const exportIdParamRules = [
+  userIdParamRule,
+  param('exportId')
+    .isMongoId()
+    .withMessage('Valid export ID required')
+];
+
+const deleteAccountRules = [
+  userIdParamRule,
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required to delete your account'),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const pauseRules = [
+  userIdParamRule,
+  body('resumeAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('resumeAt must be a valid date')
+    .bail()
+    .custom(value => {
+      const resumeAt = new Date(value);
+      const maxDate = new Date(Date.now() + MAX_PAUSE_DAYS * 24 * 60 * 60 * 1000);
+      if (resumeAt <= new Date()) throw new Error('resumeAt must be in the future');
+      if (resumeAt > maxDate) throw new Error(`You can pause for at most ${MAX_PAUSE_DAYS} days`);
+      return true;
+    })
+];
+
+const usernameRule = (field) => field
+  .customSanitizer(normalizeUsername)
+  .custom(value => {
+    const error = getUsernameError(value);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+const usernameRules = [
+  userIdParamRule,
+  usernameRule(body('username'))
+];
+
+const blockRules = [
+  userIdParamRule,
+  param('targetId')
+    .isMongoId()
+    .withMessage('Valid target user ID required')
+];
+
+const incognitoRules = [
+  userIdParamRule,
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean()
+];
+
+const passportRules = [
+  userIdParamRule,
+  body('city')
+    .isIn(PASSPORT_CITY_IDS)
+    .withMessage(`City must be one of: ${PASSPORT_CITY_IDS.join(', ')}`),
+  body('expiresAt')
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .bail()
+    .custom(value => {
+      const expiresAt = new Date(value);
+      const maxDate = new Date(Date.now() + MAX_PASSPORT_DAYS * 24 * 60 * 60 * 1000);
+      if (expiresAt <= new Date()) throw new Error('expiresAt must be in the future');
+      if (expiresAt > maxDate) throw new Error(`Passport mode can be set for at most ${MAX_PASSPORT_DAYS} days`);
+      return true;
+    })
+];
+
+const adminBirthDateRules = [
+  userIdParamRule,
+  body('birthDate')
+    .isISO8601()
+    .withMessage('Valid birth date required (YYYY-MM-DD)'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason (5-500 characters) is required for the audit log')
+];
+
 const subscriptionRules = [
   body('plan')
     .isIn(['monthly', 'yearly', 'premium'])
     .withMessage('Valid subscription plan required')
 ];
 
+const locationRules = [
+  body('latitude')
+    .exists({ values: 'null' }).withMessage('Latitude is required')
+    .bail()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .exists({ values: 'null' }).withMessage('Longitude is required')
+    .bail()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('longitude')
+    .custom((longitude, { req }) => !(longitude === 0 && req.body.latitude === 0))
+    .withMessage('Location looks invalid (0, 0)')
+];
+
 // ==================== USER ROUTES ====================
 
+/**
+ * Update my current location (must stay above /:userId)
+ */
+router.put(
+  '/me/location',
+  authenticate,
+  locationLimiter,
+  locationRules,
+  validateRequest,
+  userController.updateMyLocation
+);
+
+/**
+ * Option lists for the profile pickers (must stay above /:userId)
+ */
+router.get(
+  '/meta/profile-options',
+  authenticate,
+  userController.getProfileOptions
+);
+
+/**
+ * Prompt library (must stay above /:userId)
+ */
+router.get(
+  '/meta/prompts',
+  authenticate,
+  userController.getPromptLibrary
+);
+
+/**
+ * Open a profile from a shared link (must stay above /:userId)
+ */
+router.get(
+  '/by-handle/:handle',
+  authenticate,
+  usernameRule(param('handle')),
+  validateRequest,
+  userController.getUserByHandle
+);
+
+/**
+ * Passport cities (must stay above /:userId)
+ */
+router.get(
+  '/meta/passport-cities',
+  authenticate,
+  userController.getPassportCities
+);
+
 /**
  * Get user profile
  */
@@ -81,6 +368,52 @@ router.put(
   userController.updateProfile  // Updated to correct function name
 );
 
+/**
+ * Profile completeness score and improvement tips
+ */
+router.get(
+  '/:userId/completeness',
+  authenticate,
+  userIdParamRule,
+  validateRequest,
+  userController.getCompleteness
+);
+
+/**
+ * Who viewed my profile (last 30 days)
+ */
+router.get(
+  '/:userId/viewers',
+  authenticate,
+  userIdParamRule,
+  validateRequest,
+  validatePagination(),
+  userController.getViewers
+);
+
+/**
+ * Replace profile prompt answers
+ */
+router.put(
+  '/:userId/prompts',
+  authenticate,
+  promptRules,
+  validateRequest,
+  userController.updatePrompts
+);
+
+/**
+ * Correct a user's date of birth (support/admin only)
+ */
+router.put(
+  '/:userId/birth-date',
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_EDIT),
+  adminBirthDateRules,
+  validateRequest,
+  userController.adminUpdateBirthDate
+);
+
 /**
  * Upload profile image
  */
@@ -130,7 +463,7 @@ router.get(
 router.get(
   '/:userId/notifications',
   authenticate,
-  validatePagination,
+  validatePagination(),
   userController.getNotifications
 );
 
@@ -155,20 +488,30 @@ router.put(
   [
     body('genderPreference')
       .optional()
-      .isIn(['male', 'female', 'both'])
+      .customSanitizer(normalizeGenderPreference)
+      .isArray({ min: 1 })
+      .withMessage('Pick at least one gender preference'),
+    body('genderPreference.*')
+      .isIn(GENDERS)
       .withMessage('Valid gender preference required'),
     body('ageRange.min')
       .optional()
       .isInt({ min: 18, max: 100 })
-      .withMessage('Min age must be 18-100'),
+      .withMessage('Min age must be 18-100')
+      .toInt(),
     body('ageRange.max')
       .optional()
       .isInt({ min: 18, max: 100 })
-      .withMessage('Max age must be 18-100'),
+      .withMessage('Max age must be 18-100')
+      .bail()
+      .custom((max, { req }) => req.body.ageRange?.min === undefined || Number(max) >= Number(req.body.ageRange.min))
+      .withMessage('Max age cannot be below min age')
+      .toInt(),
     body('distance')
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Distance must be 1-100 km')
+      .toInt()
   ],
   validateRequest,
   userController.updatePreferences
@@ -180,7 +523,7 @@ router.put(
 router.get(
   '/photos/feed',
   authenticate,
-  validatePagination,
+  validatePagination(),
   userController.getAllUserPhotos  // Corrected function name
 );
 
@@ -200,13 +543,143 @@ router.post(
 );
 
 /**
- * Delete user account
+ * Request a copy of all personal data (built asynchronously)
+ */
+router.post(
+  '/:userId/export',
+  authenticate,
+  dataExportLimiter,
+  userIdParamRule,
+  validateRequest,
+  userController.requestDataExport
+);
+
+/**
+ * Get data export status
+ */
+router.get(
+  '/:userId/export/:exportId',
+  authenticate,
+  exportIdParamRules,
+  validateRequest,
+  userController.getDataExportStatus
+);
+
+/**
+ * Download a ready export (signed-in owner only)
+ */
+router.get(
+  '/:userId/export/:exportId/download',
+  authenticate,
+  exportIdParamRules,
+  validateRequest,
+  userController.downloadDataExport
+);
+
+/**
+ * Pause profile (hidden from discovery, optional auto-resume date)
+ */
+router.post(
+  '/:userId/pause',
+  authenticate,
+  pauseRules,
+  validateRequest,
+  userController.pauseAccount
+);
+
+/**
+ * Resume a paused profile
+ */
+router.post(
+  '/:userId/resume',
+  authenticate,
+  userIdParamRule,
+  validateRequest,
+  userController.resumeAccount
+);
+
+/**
+ * Block or unblock another user
+ */
+router.put(
+  '/:userId/blocks/:targetId',
+  authenticate,
+  blockRules,
+  validateRequest,
+  userController.blockUser
+);
+
+router.delete(
+  '/:userId/blocks/:targetId',
+  authenticate,
+  blockRules,
+  validateRequest,
+  userController.unblockUser
+);
+
+/**
+ * Set or change username (once per cooldown)
+ */
+router.put(
+  '/:userId/username',
+  authenticate,
+  usernameRules,
+  validateRequest,
+  userController.updateUsername
+);
+
+/**
+ * Incognito mode: hidden from discovery except to people you've liked (subscribers only)
+ */
+router.put(
+  '/:userId/incognito',
+  authenticate,
+  incognitoRules,
+  validateRequest,
+  userController.setIncognito
+);
+
+/**
+ * Browse from another city until a set date (subscribers only)
+ */
+router.put(
+  '/:userId/passport',
+  authenticate,
+  passportRules,
+  validateRequest,
+  userController.setPassport
+);
+
+/**
+ * Turn passport mode off
  */
 router.delete(
-  '/:userId',
+  '/:userId/passport',
+  authenticate,
+  userIdParamRule,
+  validateRequest,
+  userController.clearPassport
+);
+
+/**
+ * Cancel a scheduled account deletion (grace period only)
+ */
+router.post(
+  '/:userId/deletion/cancel',
   authenticate,
   userIdParamRule,
   validateRequest,
+  userController.cancelAccountDeletion
+);
+
+/**
+ * Delete user account (hidden now, purged after the grace period)
+ */
+router.delete(
+  '/:userId',
+  authenticate,
+  deleteAccountRules,
+  validateRequest,
   userController.deleteAccount  // Added missing route
 );
 
@@ -220,6 +693,7 @@ router.use((req, res) => {
     validEndpoints: [
       'GET    /:userId - Get profile',
       'PUT    /:userId/profile - Update profile',
+      'PUT    /:userId/birth-date - Correct date of birth (admin)',
       'POST   /:userId/profile-images - Upload photo',
       'DELETE /:userId/profile-images/:photoId - Delete photo',
       'POST   /:userId/subscribe - Subscribe',
@@ -229,6 +703,19 @@ router.use((req, res) => {
       'PUT    /:userId/preferences - Update preferences',
       'GET    /photos/feed - Get photo feed',
       'POST   /chats/from-photo - Start chat from photo',
+      'POST   /:userId/export - Request data export',
+      'GET    /:userId/export/:exportId - Get export status',
+      'GET    /:userId/export/:exportId/download - Download export',
+      'POST   /:userId/pause - Pause profile',
+      'POST   /:userId/resume - Resume profile',
+      'PUT    /me/location - Update my location',
+      'GET    /by-handle/:handle - Get profile by username',
+      'PUT    /:userId/username - Set username',
+      'PUT    /:userId/incognito - Turn incognito on/off',
+      'GET    /meta/passport-cities - Passport cities',
+      'PUT    /:userId/passport - Set passport city',
+      'DELETE /:userId/passport - Turn passport off',
+      'POST   /:userId/deletion/cancel - Cancel account deletion',
       'DELETE /:userId - Delete account'
     ]
   });
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// Bootstrap the first admin (or promote an existing account).
+//
+// Usage:
+//   npm run create-admin -- --email admin@ruda.app
+//   npm run create-admin -- --email admin@ruda.app --name "Ruda Admin" \
+//     --password 'Str0ngPass' --phone 0712345678
+//   npm run create-admin -- --email mod@ruda.app --role moderator
+//
+// Refuses to create a second admin unless --force is passed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { ROLES } = require('../config/permissions');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const email = typeof args.email === 'string' ? args.email.trim().toLowerCase() : null;
+  const role = args.role || ROLES.ADMIN;
+
+  if (!email) return fail('--email is required');
+  if (![ROLES.ADMIN, ROLES.MODERATOR].includes(role)) {
+    return fail(`--role must be "${ROLES.ADMIN}" or "${ROLES.MODERATOR}"`);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) return fail('MONGODB_URI is not set');
+
+  await mongoose.connect(mongoUri);
+
+  try {
+    if (role === ROLES.ADMIN && !args.force) {
+      const existingAdmin = await User.findOne({ role: ROLES.ADMIN, email: { $ne: email } }).select('email');
+      if (existingAdmin) {
+        return fail(`An admin already exists (${existingAdmin.email}). Pass --force to add another.`);
+      }
+    }
+
+    let user = await User.findOne({ email });
+
+    if (user) {
+      user.role = role;
+      await user.save();
+      console.log(`✅ Promoted ${email} to ${role}`);
+      return;
+    }
+
+    if (!args.name || !args.password || !args.phone) {
+      return fail(`No account for ${email}. Pass --name, --password and --phone to create one.`);
+    }
+
+    user = await User.create({
+      name: args.name,
+      email,
+      password: args.password,
+      phoneNumber: args.phone,
+      gender: args.gender || 'non-binary',
+      genderPreference: ['male', 'female', 'non-binary'],
+      role,
+      isVerified: true
+    });
+    console.log(`✅ Created ${role} account ${email} (${user._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Failed to create admin:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Compare ranking weightings offline by replaying the likes people have already given.
+//
+// For each sampled liker, their discovery pool is ranked under every weighting and
+// we check how high the people they actually liked come out. Higher is better.
+//
+// Usage:
+//   npm run evaluate-ranking
+//   npm run evaluate-ranking -- --users 500
+//   npm run evaluate-ranking -- --weights ./weightings.json
+//
+// weightings.json maps a name to weight overrides, e.g.
+//   { "closer": { "distance": 4 }, "no-freshness": { "freshness": 0 } }
+//
+// Profiles are ranked as they are now, not as they were when the like happened, so
+// signals like activity and completeness favour whoever has been busy since.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const Swipe = require('../models/Swipe');
+const { VIEWER_FIELDS, getDiscoveryPool, rankForViewer } = require('../utils/discovery');
+const { DEFAULT_RANKING_WEIGHTS } = require('../config/ranking');
+const { LIKE_DECISIONS } = require('../config/swipes');
+
+const DEFAULT_SAMPLE_SIZE = 200;
+const TOP_K = [10, 50];
+
+const zeroWeights = () => Object.fromEntries(Object.keys(DEFAULT_RANKING_WEIGHTS).map(id => [id, 0]));
+
+// Always compared, next to the current weights
+const BASELINES = {
+  'newest-first': { ...zeroWeights(), freshness: 1 },
+  'nearest-first': { ...zeroWeights(), distance: 1 }
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+};
+
+/**
+ * liker id -> Set of the people they liked (profile, prompt, deck and photo likes)
+ */
+const loadLikes = async () => {
+  const [photoLikes, profileLikes, swipeLikes] = await Promise.all([
+    Photo.aggregate([
+      { $unwind: '$likedBy' },
+      { $group: { _id: '$likedBy', liked: { $addToSet: '$user' } } }
+    ]),
+    User.aggregate([
+      { $unwind: '$likesReceived' },
+      { $group: { _id: '$likesReceived', liked: { $addToSet: '$_id' } } }
+    ]),
+    Swipe.aggregate([
+      { $match: { decision: { $in: LIKE_DECISIONS } } },
+      { $group: { _id: '$user', liked: { $addToSet: '$target' } } }
+    ])
+  ]);
+
+  const likes = new Map();
+  [...photoLikes, ...profileLikes, ...swipeLikes].forEach(({ _id, liked }) => {
+    const key = _id.toString();
+    if (!likes.has(key)) likes.set(key, new Set());
+    liked.forEach(id => likes.get(key).add(id.toString()));
+  });
+  return likes;
+};
+
+const emptyMetrics = () => ({
+  likes: 0,
+  reciprocalRankSum: 0,
+  percentileSum: 0,
+  ...Object.fromEntries(TOP_K.map(k => [`hits@${k}`, 0]))
+});
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const sampleSize = parseInt(args.users, 10) || DEFAULT_SAMPLE_SIZE;
+
+  let weightings = { current: {}, ...BASELINES };
+  if (typeof args.weights === 'string') {
+    try {
+      weightings = { ...weightings, ...JSON.parse(fs.readFileSync(path.resolve(args.weights), 'utf8')) };
+    } catch (error) {
+      return fail(`Could not read --weights: ${error.message}`);
+    }
+  }
+
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) return fail('MONGODB_URI is not set');
+
+  await mongoose.connect(mongoUri);
+
+  try {
+    const likes = await loadLikes();
+    // Most active likers first: they give the most signal per pool
+    const likers = [...likes.entries()]
+      .sort((a, b) => b[1].size - a[1].size)
+      .slice(0, sampleSize);
+
+    const metrics = Object.fromEntries(Object.keys(weightings).map(name => [name, emptyMetrics()]));
+    let evaluated = 0;
+    let outOfPool = 0;
+
+    for (const [likerId, liked] of likers) {
+      const viewer = await User.findById(likerId)
+        .select(`gender genderPreference ${VIEWER_FIELDS}`)
+        .lean();
+      if (!viewer?.gender) continue;
+
+      const pool = await getDiscoveryPool(viewer, { extraMatch: User.genderMatchFilter(viewer) });
+      const inPool = pool.filter(entry => liked.has(entry._id.toString())).length;
+      outOfPool += liked.size - inPool;
+      if (inPool === 0) continue;
+      evaluated++;
+
+      Object.entries(weightings).forEach(([name, weights]) => {
+        const ranked = rankForViewer(viewer, pool.map(entry => entry.candidate), { weights });
+        const result = metrics[name];
+
+        ranked.forEach(({ candidate }, index) => {
+          if (!liked.has(candidate._id.toString())) return;
+          result.likes++;
+          result.reciprocalRankSum += 1 / (index + 1);
+          result.percentileSum += ranked.length > 1 ? 1 - index / (ranked.length - 1) : 1;
+          TOP_K.forEach(k => {
+            if (index < k) result[`hits@${k}`]++;
+          });
+        });
+      });
+    }
+
+    if (evaluated === 0) {
+      console.log('No likes to replay: none of the sampled likers can still see who they liked.');
+      return;
+    }
+
+    console.log(`Replayed likes from ${evaluated} user(s); ${outOfPool} liked profile(s) are no longer in their pool.\n`);
+    console.table(Object.fromEntries(Object.entries(metrics).map(([name, result]) => [name, {
+      MRR: +(result.reciprocalRankSum / result.likes).toFixed(4),
+      'mean percentile': +(result.percentileSum / result.likes).toFixed(4),
+      ...Object.fromEntries(TOP_K.map(k => [`hit@${k}`, +(result[`hits@${k}`] / result.likes).toFixed(4)]))
+    }])));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Ranking evaluation failed:', error.message);
+  process.exit(1);
+});
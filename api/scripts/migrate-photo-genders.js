@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Copy each owner's gender onto their photos.
+//
+// Photos used to accept only male/female, and nothing updated them when an owner
+// changed gender, so the feed filtered some photos under the wrong gender.
+//
+// Usage:
+//   npm run migrate-photo-genders -- --dry-run
+//   npm run migrate-photo-genders
+//
+// Safe to run more than once: only photos that disagree with their owner are written.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Photo = require('../models/photo');
+const User = require('../models/user');
+
+const BATCH_SIZE = 500;
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) return fail('MONGODB_URI is not set');
+
+  await mongoose.connect(mongoUri);
+
+  try {
+    const cursor = Photo.aggregate([
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'user',
+          foreignField: '_id',
+          as: 'owner',
+          pipeline: [{ $project: { gender: 1 } }]
+        }
+      },
+      { $unwind: { path: '$owner', preserveNullAndEmptyArrays: true } },
+      { $match: { $expr: { $ne: ['$gender', { $ifNull: ['$owner.gender', '$gender'] }] } } },
+      { $project: { gender: 1, ownerGender: '$owner.gender' } }
+    ]).cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    let updated = 0;
+    const changes = {};
+
+    const flush = async () => {
+      if (!dryRun && batch.length > 0) await Photo.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const photo of cursor) {
+      const change = `${photo.gender || 'none'} → ${photo.ownerGender}`;
+      changes[change] = (changes[change] || 0) + 1;
+
+      batch.push({
+        updateOne: {
+          filter: { _id: photo._id },
+          update: { $set: { gender: photo.ownerGender } }
+        }
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    Object.entries(changes).forEach(([change, count]) => console.log(`   ${change}: ${count}`));
+    console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} photo(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Photo gender migration failed:', error.message);
+  process.exit(1);
+});
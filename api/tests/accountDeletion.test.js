@@ -0,0 +1,163 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const Chat = require('../models/Chat');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const Notification = require('../models/notification');
+const Session = require('../models/Session');
+const PhoneOtp = require('../models/PhoneOtp');
+const DataExport = require('../models/DataExport');
+const SecurityEvent = require('../models/SecurityEvent');
+const VerificationRequest = require('../models/VerificationRequest');
+const ProfileView = require('../models/ProfileView');
+const Swipe = require('../models/Swipe');
+const FeedSnapshot = require('../models/FeedSnapshot');
+
+// The purge loads config/cloudinary lazily; serve it a fake that records deletions
+const destroyed = [];
+let failingPublicId = null;
+const cloudinaryPath = require.resolve('../config/cloudinary');
+require.cache[cloudinaryPath] = {
+  id: cloudinaryPath,
+  filename: cloudinaryPath,
+  loaded: true,
+  exports: {
+    deletePhoto: async (publicId, { type = 'upload' } = {}) => {
+      if (publicId === failingPublicId) throw new Error('Cloudinary unavailable');
+      destroyed.push({ publicId, type });
+    }
+  }
+};
+
+const { purgeAccount, purgeDueAccounts } = require('../utils/accountDeletion');
+
+// No database here: every write the purge makes is recorded instead
+const writes = [];
+let user;
+let photos;
+let selfies;
+
+const record = (model, op) => async (...args) => { writes.push({ model: model.modelName, op, args }); };
+const MODELS = [User, Photo, Chat, Payment, Subscription, Notification, Session, PhoneOtp,
+  DataExport, SecurityEvent, VerificationRequest, ProfileView, Swipe, FeedSnapshot];
+for (const model of MODELS) {
+  for (const op of ['deleteMany', 'updateMany', 'deleteOne', 'updateOne']) model[op] = record(model, op);
+}
+
+User.findById = () => ({ select: async () => user });
+Photo.find = () => ({ select: async () => photos });
+VerificationRequest.find = () => ({ select: async () => selfies });
+DataExport.find = () => ({ select: async () => [] });
+
+const writesTo = (modelName, op) => writes.filter(write => write.model === modelName && write.op === op);
+
+beforeEach(() => {
+  writes.length = 0;
+  destroyed.length = 0;
+  failingPublicId = null;
+
+  user = new User({
+    name: 'Leaving',
+    email: 'leaving@example.com',
+    gender: 'female',
+    genderPreference: ['male'],
+    profileImages: [{ url: 'https://example.com/a.jpg', publicId: 'profile-a' }, { url: 'https://example.com/b.jpg', publicId: 'shared' }],
+    deletion: { requestedAt: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000), scheduledFor: new Date() }
+  });
+  photos = [
+    { _id: new mongoose.Types.ObjectId(), publicId: 'photo-1' },
+    { _id: new mongoose.Types.ObjectId(), publicId: 'shared' }
+  ];
+  selfies = [{ publicId: 'selfie-1' }];
+});
+
+test('removes Cloudinary assets once each, with selfies as private assets', async () => {
+  assert.strictEqual(await purgeAccount(user._id), true);
+
+  assert.deepStrictEqual(destroyed, [
+    { publicId: 'photo-1', type: 'upload' },
+    { publicId: 'shared', type: 'upload' },
+    { publicId: 'profile-a', type: 'upload' },
+    { publicId: 'selfie-1', type: 'authenticated' }
+  ]);
+});
+
+test('deletes everything owned by the user and then the user', async () => {
+  await purgeAccount(user._id);
+  const userId = user._id;
+
+  for (const model of [Session, PhoneOtp, DataExport, SecurityEvent, VerificationRequest, FeedSnapshot, Subscription]) {
+    assert.deepStrictEqual(writesTo(model.modelName, 'deleteMany')[0]?.args[0], { user: userId }, model.modelName);
+  }
+  assert.deepStrictEqual(writesTo('Swipe', 'deleteMany')[0].args[0], { $or: [{ user: userId }, { target: userId }] });
+  assert.deepStrictEqual(writesTo('ProfileView', 'deleteMany')[0].args[0], { $or: [{ owner: userId }, { viewer: userId }] });
+  assert.deepStrictEqual(writesTo('Notification', 'deleteMany')[0].args[0], { $or: [{ recipient: userId }, { sender: userId }] });
+  assert.deepStrictEqual(writesTo('Photo', 'deleteMany')[0].args[0], { _id: { $in: photos.map(photo => photo._id) } });
+
+  const last = writes.at(-1);
+  assert.deepStrictEqual([last.model, last.op, last.args[0]], ['User', 'deleteOne', { _id: userId }]);
+});
+
+test('keeps completed payments but drops their device details', async () => {
+  await purgeAccount(user._id);
+
+  const [deleted] = writesTo('Payment', 'deleteMany');
+  assert.deepStrictEqual(deleted.args[0], { user: user._id, status: { $nin: ['completed'] } });
+
+  const [kept] = writesTo('Payment', 'updateMany');
+  assert.deepStrictEqual(kept.args, [{ user: user._id, status: { $in: ['completed'] } }, { $unset: { deviceInfo: 1 } }]);
+});
+
+test('anonymizes both sides of the user\'s chats instead of deleting them', async () => {
+  await purgeAccount(user._id);
+
+  const [asSender, asRecipient] = writesTo('Chat', 'updateMany');
+  assert.deepStrictEqual(asSender.args[0], { sender: user._id });
+  assert.strictEqual(asSender.args[1].$set.senderAnonymized, true);
+  assert.deepStrictEqual(asRecipient.args, [{ recipient: user._id }, { $set: { recipientAnonymized: true } }]);
+  assert.strictEqual(writesTo('Chat', 'deleteMany').length, 0);
+});
+
+test('pulls the user out of other people\'s likes, matches and block lists', async () => {
+  await purgeAccount(user._id);
+
+  const pulls = writesTo('User', 'updateMany').map(write => write.args[1].$pull);
+  assert.ok(pulls.some(pull => pull.matches && pull.likesReceived && pull.blockedUsers));
+  assert.ok(pulls.some(pull => pull['profileImages.$[].likedBy']));
+  assert.ok(pulls.some(pull => pull['prompts.$[].likedBy']));
+  assert.deepStrictEqual(writesTo('Photo', 'updateMany')[0].args[1], { $pull: { likedBy: user._id }, $inc: { likes: -1 } });
+});
+
+test('a Cloudinary failure leaves the account untouched for the next run', async () => {
+  failingPublicId = 'shared';
+
+  await assert.rejects(purgeAccount(user._id), /Failed to delete 1 Cloudinary asset/);
+  assert.strictEqual(writes.length, 0);
+});
+
+test('skips accounts that are no longer scheduled for deletion', async () => {
+  user.deletion = undefined;
+
+  assert.strictEqual(await purgeAccount(user._id), false);
+  assert.strictEqual(destroyed.length, 0);
+  assert.strictEqual(writes.length, 0);
+});
+
+test('purgeDueAccounts counts failed attempts on the account', async () => {
+  failingPublicId = 'photo-1';
+  User.find = () => ({ select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [{ _id: user._id }] }) }) }) });
+
+  const result = await purgeDueAccounts();
+  assert.deepStrictEqual(result, { checked: true, purgedCount: 0, dueCount: 1 });
+
+  const [failure] = writesTo('User', 'updateOne');
+  assert.deepStrictEqual(failure.args[0], { _id: user._id });
+  assert.deepStrictEqual(failure.args[1].$inc, { 'deletion.purgeAttempts': 1 });
+  assert.match(failure.args[1].$set['deletion.lastPurgeError'], /photo-1/);
+});
@@ -0,0 +1,81 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const Session = require('../models/Session');
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// No database here: the two lookups authenticate makes are served from memory
+const users = new Map();
+const sessions = new Map();
+User.findById = (id) => ({ select: async () => users.get(String(id)) || null });
+Session.findById = (id) => ({ select: async () => sessions.get(String(id)) || null });
+
+const signIn = () => {
+  const user = new User({ name: 'Test', email: 'test@example.com', gender: 'female', genderPreference: ['male'] });
+  user.save = async () => user;
+  users.set(user._id.toString(), user);
+
+  const session = new Session({ user: user._id, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  session.save = async () => session;
+  sessions.set(session._id.toString(), session);
+
+  const token = jwt.sign({ userId: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+  return { user, session, token };
+};
+
+const call = async (token) => {
+  const req = { path: '/me', headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await authenticate(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+beforeEach(() => {
+  users.clear();
+  sessions.clear();
+});
+
+test('accepts an access token whose session is active', async () => {
+  const { session, token } = signIn();
+  const { req, nextCalled } = await call(token);
+
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(req.sessionId, session._id.toString());
+});
+
+test('rejects an access token once its session is revoked', async () => {
+  const { session, token } = signIn();
+  await session.revoke('user_revoked');
+
+  const { res, nextCalled } = await call(token);
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, 'SESSION_REVOKED');
+});
+
+test('rejects an access token whose session has expired or is gone', async () => {
+  const { session, token } = signIn();
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual((await call(token)).res.statusCode, 401);
+
+  sessions.clear();
+  assert.strictEqual((await call(token)).res.statusCode, 401);
+});
+
+test('rejects access tokens issued without a session', async () => {
+  const { user } = signIn();
+  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+  const { res, nextCalled } = await call(token);
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+});
@@ -0,0 +1,116 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { CURSOR_SCOPES, itemScope, encodeCursor, decodeCursor, pageNewestFirst } = require('../utils/cursor');
+const { validatePagination } = require('../middlewares/validatePagination');
+
+const userId = new mongoose.Types.ObjectId();
+
+const call = (middleware, query, user = { _id: userId }) => {
+  const req = { query, user };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+test('round-trips dates and ObjectIds through a cursor', () => {
+  const keys = { createdAt: new Date('2026-01-02T03:04:05Z'), id: new mongoose.Types.ObjectId() };
+  const cursor = encodeCursor(CURSOR_SCOPES.NOTIFICATIONS, keys, userId);
+  const decoded = decodeCursor(cursor, CURSOR_SCOPES.NOTIFICATIONS, userId);
+
+  assert.ok(decoded.createdAt instanceof Date);
+  assert.strictEqual(decoded.createdAt.getTime(), keys.createdAt.getTime());
+  assert.ok(decoded.id.equals(keys.id));
+});
+
+test('rejects a cursor whose body or signature was edited', () => {
+  const cursor = encodeCursor(CURSOR_SCOPES.MATCHES, { index: 3 }, userId);
+  const [body, signature] = cursor.split('.');
+
+  const forgedBody = Buffer.from(JSON.stringify({ s: CURSOR_SCOPES.MATCHES, u: userId.toString(), k: { index: 0 } }))
+    .toString('base64url');
+  assert.strictEqual(decodeCursor(`${forgedBody}.${signature}`, CURSOR_SCOPES.MATCHES, userId), null);
+  assert.strictEqual(decodeCursor(`${body}.${signature.slice(1)}x`, CURSOR_SCOPES.MATCHES, userId), null);
+  assert.strictEqual(decodeCursor(body, CURSOR_SCOPES.MATCHES, userId), null);
+  assert.strictEqual(decodeCursor(undefined, CURSOR_SCOPES.MATCHES, userId), null);
+});
+
+test('binds a cursor to its list, item and user', () => {
+  const photoId = new mongoose.Types.ObjectId();
+  const scope = itemScope(CURSOR_SCOPES.PHOTO_LIKERS, photoId);
+  const cursor = encodeCursor(scope, { index: 3 }, userId);
+
+  assert.deepStrictEqual(decodeCursor(cursor, scope, userId), { index: 3 });
+  assert.strictEqual(decodeCursor(cursor, CURSOR_SCOPES.MATCHES, userId), null);
+  assert.strictEqual(decodeCursor(cursor, itemScope(CURSOR_SCOPES.PHOTO_LIKERS, new mongoose.Types.ObjectId()), userId), null);
+  assert.strictEqual(decodeCursor(cursor, scope, new mongoose.Types.ObjectId()), null);
+});
+
+test('pages an append-only array newest first and survives removals', () => {
+  const ids = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId());
+
+  const first = pageNewestFirst(ids, { limit: 2 });
+  assert.deepStrictEqual(first.ids, [ids[4], ids[3]]);
+  assert.strictEqual(first.hasMore, true);
+
+  const second = pageNewestFirst(ids, { cursor: first.last, limit: 2 });
+  assert.deepStrictEqual(second.ids, [ids[2], ids[1]]);
+
+  // The last id sent is gone: fall back to its old index
+  const shrunk = ids.filter(id => !id.equals(ids[3]));
+  const afterRemoval = pageNewestFirst(shrunk, { cursor: first.last, limit: 2 });
+  assert.deepStrictEqual(afterRemoval.ids, [ids[2], ids[1]]);
+
+  const last = pageNewestFirst(ids, { cursor: second.last, limit: 2 });
+  assert.deepStrictEqual(last.ids, [ids[0]]);
+  assert.strictEqual(last.hasMore, false);
+});
+
+test('validatePagination decodes cursors for its scope only', () => {
+  const middleware = validatePagination({ CURSOR_SCOPE: CURSOR_SCOPES.NOTIFICATIONS });
+
+  const valid = call(middleware, { cursor: encodeCursor(CURSOR_SCOPES.NOTIFICATIONS, { index: 7 }, userId) });
+  assert.strictEqual(valid.nextCalled, true);
+  assert.deepStrictEqual(valid.req.pagination.cursor, { index: 7 });
+
+  const otherList = call(middleware, { cursor: encodeCursor(CURSOR_SCOPES.MATCHES, { index: 7 }, userId) });
+  assert.strictEqual(otherList.nextCalled, false);
+  assert.strictEqual(otherList.res.statusCode, 400);
+  assert.strictEqual(otherList.res.body.error.code, 'INVALID_CURSOR');
+
+  const otherUser = call(middleware, { cursor: valid.req.query.cursor }, { _id: new mongoose.Types.ObjectId() });
+  assert.strictEqual(otherUser.res.statusCode, 400);
+});
+
+test('validatePagination resolves per-request scopes', () => {
+  const photoId = new mongoose.Types.ObjectId();
+  const middleware = validatePagination({
+    CURSOR_SCOPE: req => itemScope(CURSOR_SCOPES.PHOTO_LIKERS, req.params.photoId)
+  });
+  const cursor = encodeCursor(itemScope(CURSOR_SCOPES.PHOTO_LIKERS, photoId), { index: 1 }, userId);
+
+  const req = { query: { cursor }, params: { photoId: photoId.toString() }, user: { _id: userId } };
+  let nextCalled = false;
+  middleware(req, { status() { return this; }, json() { return this; } }, () => { nextCalled = true; });
+  assert.strictEqual(nextCalled, true);
+  assert.deepStrictEqual(req.pagination.cursor, { index: 1 });
+});
+
+test('validatePagination rejects out-of-range limits and pages', () => {
+  const middleware = validatePagination();
+
+  assert.strictEqual(call(middleware, { limit: '500' }).res.body.error.code, 'INVALID_LIMIT');
+  assert.strictEqual(call(middleware, { page: '-1' }).res.body.error.code, 'INVALID_PAGE');
+
+  const { req, nextCalled } = call(middleware, { page: '3', limit: '10' });
+  assert.strictEqual(nextCalled, true);
+  assert.deepStrictEqual(req.pagination, { page: 3, limit: 10, skip: 20 });
+});
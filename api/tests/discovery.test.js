@@ -0,0 +1,109 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { getDiscoveryPool } = require('../utils/discovery');
+
+// No database here: the pipeline discovery would run is captured instead
+const DISCOVERABLE = { discoverable: true };
+let pipeline;
+
+User.discoverableFilterFor = async () => DISCOVERABLE;
+User.aggregate = async (stages) => { pipeline = stages; return []; };
+
+const KISUMU = [34.7617, -0.0917];
+
+const viewer = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  age: 30,
+  location: { type: 'Point', coordinates: KISUMU },
+  preferences: { ageRange: { min: 25, max: 35 }, distance: 40 },
+  ...overrides
+});
+
+const candidateMatch = () => {
+  const geoNear = pipeline.find(stage => stage.$geoNear);
+  const match = geoNear ? geoNear.$geoNear.query.$and[0] : pipeline[0].$match;
+  return match.$and;
+};
+
+beforeEach(() => {
+  pipeline = null;
+});
+
+test('keeps candidates inside the viewer\'s age range', async () => {
+  await getDiscoveryPool(viewer());
+
+  assert.deepStrictEqual(candidateMatch().find(clause => clause.age), { age: { $gte: 25, $lte: 35 } });
+});
+
+test('keeps the viewer inside each candidate\'s age range', async () => {
+  await getDiscoveryPool(viewer());
+  const clauses = candidateMatch();
+
+  assert.deepStrictEqual(clauses.find(clause => clause['preferences.ageRange.min']), {
+    'preferences.ageRange.min': { $not: { $gt: 30 } }
+  });
+  assert.deepStrictEqual(clauses.find(clause => clause['preferences.ageRange.max']), {
+    'preferences.ageRange.max': { $not: { $lt: 30 } }
+  });
+});
+
+test('falls back to the default age range and skips the reverse check without an age', async () => {
+  await getDiscoveryPool(viewer({ age: undefined, preferences: {} }));
+  const clauses = candidateMatch();
+
+  assert.deepStrictEqual(clauses.find(clause => clause.age), { age: { $gte: 18, $lte: 100 } });
+  assert.ok(!clauses.some(clause => clause['preferences.ageRange.min'] || clause['preferences.ageRange.max']));
+});
+
+test('excludes the viewer, decided profiles and hidden accounts', async () => {
+  const excluded = [new mongoose.Types.ObjectId()];
+  const current = viewer();
+  await getDiscoveryPool(current, { excludeIds: excluded });
+  const clauses = candidateMatch();
+
+  assert.deepStrictEqual(clauses[0], { _id: { $ne: current._id, $nin: excluded } });
+  assert.ok(clauses.includes(DISCOVERABLE));
+});
+
+test('searches within the viewer\'s max distance from their location', async () => {
+  await getDiscoveryPool(viewer());
+  const { $geoNear } = pipeline[0];
+
+  assert.deepStrictEqual($geoNear.near.coordinates, KISUMU);
+  assert.strictEqual($geoNear.key, 'location');
+  assert.strictEqual($geoNear.maxDistance, 40 * 1000);
+});
+
+test('requires the viewer to be within each candidate\'s max distance too', async () => {
+  await getDiscoveryPool(viewer());
+  const reverse = pipeline.find(stage => stage.$match?.$expr);
+
+  assert.deepStrictEqual(reverse.$match.$expr, {
+    $lte: ['$distanceMeters', { $multiply: [{ $ifNull: ['$preferences.distance', 50] }, 1000] }]
+  });
+  assert.ok(pipeline.indexOf(reverse) > pipeline.findIndex(stage => stage.$geoNear));
+});
+
+test('only unions in passport cities within the viewer\'s max distance', async () => {
+  await getDiscoveryPool(viewer());
+  const union = pipeline.find(stage => stage.$unionWith);
+  const cityClause = union.$unionWith.pipeline[0].$match.$and.find(clause => clause['passport.city']);
+
+  // Kisumu is the only passport city within 40 km of Kisumu
+  assert.deepStrictEqual(cityClause, { 'passport.city': { $in: ['kisumu'] } });
+
+  await getDiscoveryPool(viewer({ preferences: { distance: 1 }, location: { type: 'Point', coordinates: [35.5, 0.5] } }));
+  assert.ok(!pipeline.some(stage => stage.$unionWith));
+});
+
+test('viewers without a shared location skip the distance filters', async () => {
+  await getDiscoveryPool(viewer({ location: { type: 'Point', coordinates: [36.8219, -1.2921] } }));
+
+  assert.ok(!pipeline.some(stage => stage.$geoNear || stage.$match?.$expr));
+  assert.ok(candidateMatch().some(clause => clause.age));
+});
@@ -0,0 +1,98 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/user');
+const { checkGenderCompatibility } = require('../middlewares/genderMiddleware');
+
+// No database here: target users live in memory
+const users = new Map();
+User.findById = async (id) => users.get(String(id)) || null;
+
+const createUser = (gender, genderPreference, overrides = {}) => {
+  const user = new User({ name: 'Test', email: 'test@example.com', gender, genderPreference, ...overrides });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const call = async (currentUser, target) => {
+  const req = { user: currentUser, path: `/${target._id}/like`, params: { userId: target._id.toString() }, body: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await checkGenderCompatibility(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+beforeEach(() => {
+  users.clear();
+});
+
+test('both sides have to want the other\'s gender', () => {
+  const woman = createUser('female', ['male']);
+  const man = createUser('male', ['female']);
+  const manSeekingMen = createUser('male', ['male']);
+
+  assert.strictEqual(User.isGenderCompatible(woman, man), true);
+  assert.strictEqual(User.isGenderCompatible(man, woman), true);
+  assert.strictEqual(User.isGenderCompatible(woman, manSeekingMen), false);
+  assert.strictEqual(User.isGenderCompatible(manSeekingMen, woman), false);
+});
+
+test('supports non-binary users and same-gender matching', () => {
+  const nonBinary = createUser('non-binary', ['female', 'non-binary']);
+  const woman = createUser('female', ['non-binary']);
+  const otherNonBinary = createUser('non-binary', ['non-binary']);
+  const womanSeekingMen = createUser('female', ['male']);
+
+  assert.strictEqual(User.isGenderCompatible(nonBinary, woman), true);
+  assert.strictEqual(User.isGenderCompatible(nonBinary, otherNonBinary), true);
+  assert.strictEqual(User.isGenderCompatible(nonBinary, womanSeekingMen), false);
+
+  const womenSeekingWomen = [createUser('female', ['female']), createUser('female', ['female'])];
+  assert.strictEqual(User.isGenderCompatible(...womenSeekingWomen), true);
+});
+
+test('users without a gender match nobody', () => {
+  const woman = createUser('female', ['male']);
+
+  assert.strictEqual(User.isGenderCompatible(woman, { genderPreference: ['female'] }), false);
+  assert.strictEqual(User.isGenderCompatible(woman, null), false);
+});
+
+test('the query filter applies the same check from the viewer\'s side', () => {
+  const viewer = createUser('non-binary', ['female', 'male']);
+  const filter = User.genderMatchFilter(viewer);
+
+  assert.deepStrictEqual(filter.gender.$in.slice(), ['female', 'male']);
+  assert.strictEqual(filter.genderPreference, 'non-binary');
+});
+
+test('checkGenderCompatibility blocks one-sided interest and attaches compatible targets', async () => {
+  const man = createUser('male', ['female']);
+  const woman = createUser('female', ['male']);
+  const womanSeekingWomen = createUser('female', ['female']);
+
+  const allowed = await call(man, woman);
+  assert.strictEqual(allowed.nextCalled, true);
+  assert.strictEqual(allowed.req.targetUser, woman);
+
+  const blocked = await call(man, womanSeekingWomen);
+  assert.strictEqual(blocked.nextCalled, false);
+  assert.strictEqual(blocked.res.statusCode, 403);
+  assert.strictEqual(blocked.res.body.code, 'GENDER_PREFERENCE_MISMATCH');
+});
+
+test('checkGenderCompatibility hides paused profiles before comparing genders', async () => {
+  const man = createUser('male', ['female']);
+  const pausedWoman = createUser('female', ['male'], { pause: { isPaused: true } });
+
+  const { res, nextCalled } = await call(man, pausedWoman);
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(res.body.code, 'USER_UNAVAILABLE');
+});
@@ -0,0 +1,143 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.SMS_PROVIDER = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const PhoneOtp = require('../models/PhoneOtp');
+const { getSentMessages, clearSentMessages } = require('../utils/sms');
+const { sendPhoneOtp, verifyPhoneOtp } = require('../controllers/authController');
+
+// No database here: users and pending codes live in memory
+const users = new Map();
+const otps = new Map();
+
+const query = (result) => ({
+  select: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+User.findById = (id) => query(users.get(String(id)) || null);
+User.updateOne = async () => ({});
+Photo.find = () => ({ select: () => ({ lean: async () => [] }) });
+
+PhoneOtp.findOne = ({ user }) => query(otps.get(String(user)) || null);
+PhoneOtp.deleteOne = async ({ _id }) => {
+  for (const [key, otp] of otps) if (otp._id.equals(_id)) otps.delete(key);
+};
+PhoneOtp.findOneAndUpdate = async ({ user }, { $set, $inc }) => {
+  let otp = otps.get(String(user));
+  if (!otp) {
+    otp = new PhoneOtp({ user, sendCount: 0 });
+    otp.save = async () => otp;
+    otps.set(String(user), otp);
+  }
+  otp.set($set);
+  otp.sendCount += $inc.sendCount;
+  return otp;
+};
+
+const createUser = () => {
+  const user = new User({
+    name: 'Test',
+    email: 'test@example.com',
+    phoneNumber: '0712345678',
+    gender: 'female',
+    genderPreference: ['male']
+  });
+  user.save = async () => user;
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const call = async (handler, user, body = {}) => {
+  const req = { user: { _id: user._id }, body, headers: {} };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler(req, res);
+  return res;
+};
+
+const lastCode = () => getSentMessages().at(-1).message.match(/\d{6}/)[0];
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+beforeEach(() => {
+  users.clear();
+  otps.clear();
+  clearSentMessages();
+});
+
+test('sends a code by SMS and verifies the phone with it', async () => {
+  const user = createUser();
+
+  const sent = await call(sendPhoneOtp, user);
+  assert.strictEqual(sent.statusCode, 200);
+  assert.strictEqual(getSentMessages().length, 1);
+
+  const verified = await call(verifyPhoneOtp, user, { code: lastCode() });
+  assert.strictEqual(verified.statusCode, 200);
+  assert.strictEqual(user.phoneVerified, true);
+  assert.strictEqual(otps.size, 0);
+});
+
+test('refuses a resend inside the cooldown', async () => {
+  const user = createUser();
+  await call(sendPhoneOtp, user);
+
+  const resent = await call(sendPhoneOtp, user);
+  assert.strictEqual(resent.statusCode, 429);
+  assert.strictEqual(resent.body.code, 'OTP_COOLDOWN');
+  assert.ok(resent.body.retryAfter > 0);
+  assert.strictEqual(getSentMessages().length, 1);
+
+  // Once the cooldown has passed a new code replaces the old one
+  otps.get(user._id.toString()).lastSentAt = new Date(Date.now() - 61 * 1000);
+  assert.strictEqual((await call(sendPhoneOtp, user)).statusCode, 200);
+  assert.strictEqual(getSentMessages().length, 2);
+});
+
+test('locks the code after five wrong attempts, even for the right code', async () => {
+  const user = createUser();
+  await call(sendPhoneOtp, user);
+  const code = lastCode();
+
+  for (let remaining = 4; remaining >= 0; remaining--) {
+    const res = await call(verifyPhoneOtp, user, { code: wrongCode(code) });
+    assert.strictEqual(res.body.code, 'INVALID_OTP');
+    assert.strictEqual(res.body.attemptsRemaining, remaining);
+  }
+
+  const locked = await call(verifyPhoneOtp, user, { code });
+  assert.strictEqual(locked.statusCode, 429);
+  assert.strictEqual(locked.body.code, 'OTP_ATTEMPTS_EXCEEDED');
+  assert.notStrictEqual(user.phoneVerified, true);
+});
+
+test('a resend resets the attempt counter', async () => {
+  const user = createUser();
+  await call(sendPhoneOtp, user);
+  for (let i = 0; i < 5; i++) await call(verifyPhoneOtp, user, { code: wrongCode(lastCode()) });
+
+  otps.get(user._id.toString()).lastSentAt = new Date(Date.now() - 61 * 1000);
+  await call(sendPhoneOtp, user);
+
+  assert.strictEqual((await call(verifyPhoneOtp, user, { code: lastCode() })).statusCode, 200);
+});
+
+test('rejects expired codes and codes sent to a previous number', async () => {
+  const user = createUser();
+  await call(sendPhoneOtp, user);
+  otps.get(user._id.toString()).expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual((await call(verifyPhoneOtp, user, { code: lastCode() })).body.code, 'OTP_EXPIRED');
+
+  const other = createUser();
+  await call(sendPhoneOtp, other);
+  other.phoneNumber = '0798765432';
+  assert.strictEqual((await call(verifyPhoneOtp, other, { code: lastCode() })).body.code, 'OTP_EXPIRED');
+});
@@ -0,0 +1,126 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const { refreshToken } = require('../controllers/authController');
+
+// No database here: users, sessions and security events live in memory.
+// Each session lookup gets its own copy, as separate requests would.
+const users = new Map();
+const sessions = new Map();
+const securityEvents = [];
+
+const loadSession = (id) => {
+  const stored = sessions.get(String(id));
+  if (!stored) return null;
+  const copy = Session.hydrate(stored.toObject());
+  copy.save = async () => { sessions.set(String(id), copy); return copy; };
+  return copy;
+};
+
+User.findById = async (id) => users.get(String(id)) || null;
+Session.findById = (id) => ({ select: async () => loadSession(id) });
+Session.findOneAndUpdate = async ({ _id, tokenHash, revokedAt }, { $set, $inc }) => {
+  const session = sessions.get(String(_id));
+  if (!session || session.tokenHash !== tokenHash || (session.revokedAt || null) !== revokedAt) return null;
+  session.set($set);
+  session.rotationCount = (session.rotationCount || 0) + $inc.rotationCount;
+  return session;
+};
+SecurityEvent.create = async (event) => { securityEvents.push(event); return event; };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signIn = () => {
+  const user = new User({ name: 'Test', email: 'test@example.com', gender: 'female', genderPreference: ['male'] });
+  users.set(user._id.toString(), user);
+
+  const session = new Session({ user: user._id, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  sessions.set(session._id.toString(), session);
+
+  const token = jwt.sign({ userId: user._id, sid: session._id }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: '7d',
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+  session.tokenHash = hashToken(token);
+  return { user, sessionId: session._id.toString(), token };
+};
+
+const call = async (token) => {
+  const req = { body: { refreshToken: token }, headers: { 'user-agent': 'node-test' }, ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await refreshToken(req, res);
+  return res;
+};
+
+beforeEach(() => {
+  users.clear();
+  sessions.clear();
+  securityEvents.length = 0;
+});
+
+test('rotates the refresh token and keeps the session', async () => {
+  const { sessionId, token } = signIn();
+
+  const res = await call(token);
+  const session = sessions.get(sessionId);
+  assert.strictEqual(res.statusCode, 200);
+  assert.notStrictEqual(res.body.refreshToken, token);
+  assert.strictEqual(session.tokenHash, hashToken(res.body.refreshToken));
+  assert.strictEqual(session.rotationCount, 1);
+  assert.strictEqual(jwt.decode(res.body.token).sid, sessionId);
+
+  assert.strictEqual((await call(res.body.refreshToken)).statusCode, 200);
+});
+
+test('revokes the session when a rotated-out token is replayed', async () => {
+  const { sessionId, token } = signIn();
+  const { body } = await call(token);
+
+  const replay = await call(token);
+  const session = sessions.get(sessionId);
+  assert.strictEqual(replay.statusCode, 403);
+  assert.strictEqual(replay.body.code, 'TOKEN_REUSE_DETECTED');
+  assert.strictEqual(session.revokedReason, 'reuse_detected');
+  assert.strictEqual(session.tokenHash, undefined);
+  assert.strictEqual(securityEvents.length, 1);
+  assert.strictEqual(securityEvents[0].type, 'session_revoked');
+
+  // The token the thief or the user rotated to is dead as well
+  const next = await call(body.refreshToken);
+  assert.strictEqual(next.statusCode, 403);
+  assert.strictEqual(next.body.code, 'SESSION_REVOKED');
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async () => {
+  const { token } = signIn();
+
+  const results = await Promise.all([call(token), call(token)]);
+  const codes = results.map(res => res.statusCode).sort();
+  assert.deepStrictEqual(codes, [200, 403]);
+});
+
+test('rejects tokens without a session or for another user', async () => {
+  const { user, sessionId } = signIn();
+
+  const legacy = jwt.sign({ userId: user._id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+  assert.strictEqual((await call(legacy)).body.code, 'TOKEN_MISMATCH');
+
+  const stranger = signIn().user;
+  const foreign = jwt.sign({ userId: stranger._id, sid: sessionId }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+  assert.strictEqual((await call(foreign)).body.code, 'TOKEN_MISMATCH');
+
+  const forged = jwt.sign({ userId: user._id, sid: sessionId }, 'not-the-secret', { expiresIn: '7d' });
+  assert.strictEqual((await call(forged)).body.code, 'INVALID_TOKEN');
+});
@@ -0,0 +1,136 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Swipe = require('../models/Swipe');
+const { FREE_REWINDS_PER_DAY } = require('../config/swipes');
+const { rewindLastPass } = require('../controllers/matchController');
+
+// No database here: the rewind allowance and passes live in memory
+const rewinds = new Map();
+let swipes = [];
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Just enough of findOneAndUpdate for the allowance check: an $or of $ne/$lt
+// conditions, then the pipeline's $cond on whether the stored day is today
+User.findOneAndUpdate = async (filter, [{ $set }]) => {
+  const doc = { swipeRewinds: rewinds.get(String(filter._id)) || {} };
+  const matches = filter.$or.some(condition => Object.entries(condition).every(([path, op]) => {
+    const value = valueAt(doc, path);
+    if ('$ne' in op) return value !== op.$ne;
+    return value !== undefined && value < op.$lt;
+  }));
+  if (!matches) return null;
+
+  const { day } = $set.swipeRewinds;
+  const count = doc.swipeRewinds.day === day ? doc.swipeRewinds.count + 1 : 1;
+  rewinds.set(String(filter._id), { day, count });
+  return { swipeRewinds: { day, count } };
+};
+User.findById = () => ({ select: () => ({ lean: async () => ({ name: 'Passed', age: 30, profileImages: [] }) }) });
+
+Swipe.findOne = ({ user, decision }) => ({
+  sort: async () => swipes
+    .filter(swipe => swipe.user.equals(user) && swipe.decision === decision)
+    .sort((a, b) => b.decidedAt - a.decidedAt)[0] || null
+});
+Swipe.deleteOne = async ({ _id }) => {
+  swipes = swipes.filter(swipe => !swipe._id.equals(_id));
+};
+
+const pass = (userId, minutesAgo = 0) => {
+  const swipe = new Swipe({
+    user: userId,
+    target: new mongoose.Types.ObjectId(),
+    decision: 'pass',
+    decidedAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+  });
+  swipes.push(swipe);
+  return swipe;
+};
+
+const call = async (user) => {
+  const req = { user };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await rewindLastPass(req, res);
+  return res;
+};
+
+beforeEach(() => {
+  rewinds.clear();
+  swipes = [];
+});
+
+afterEach(() => mock.timers.reset());
+
+test('undoes the most recent pass and reports what is left today', async () => {
+  const user = { _id: new mongoose.Types.ObjectId(), isSubscribed: false };
+  pass(user._id, 10);
+  const latest = pass(user._id, 1);
+
+  const res = await call(user);
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.data.rewound.userId.equals(latest.target));
+  assert.strictEqual(res.body.data.rewindsLeft, FREE_REWINDS_PER_DAY - 1);
+  assert.strictEqual(swipes.length, 1);
+});
+
+test('free accounts hit the daily limit and keep their pass', async () => {
+  const user = { _id: new mongoose.Types.ObjectId(), isSubscribed: false };
+  for (let i = 0; i <= FREE_REWINDS_PER_DAY; i++) pass(user._id, i);
+
+  for (let i = 0; i < FREE_REWINDS_PER_DAY; i++) {
+    assert.strictEqual((await call(user)).statusCode, 200);
+  }
+
+  const limited = await call(user);
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.body.code, 'REWIND_LIMIT_REACHED');
+  assert.strictEqual(swipes.length, 1);
+
+  const nextRewindAt = new Date(limited.body.data.nextRewindAt);
+  assert.strictEqual(nextRewindAt.getUTCHours(), 0);
+  assert.ok(nextRewindAt > new Date());
+});
+
+test('the allowance resets on the next UTC day', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T23:50:00Z') });
+  const user = { _id: new mongoose.Types.ObjectId(), isSubscribed: false };
+  for (let i = 0; i <= FREE_REWINDS_PER_DAY; i++) pass(user._id, i);
+
+  for (let i = 0; i < FREE_REWINDS_PER_DAY; i++) await call(user);
+  assert.strictEqual((await call(user)).statusCode, 429);
+
+  mock.timers.setTime(new Date('2026-03-02T00:05:00Z').getTime());
+  assert.strictEqual((await call(user)).statusCode, 200);
+  assert.deepStrictEqual(rewinds.get(user._id.toString()), { day: '2026-03-02', count: 1 });
+});
+
+test('subscribers rewind without a limit', async () => {
+  const user = { _id: new mongoose.Types.ObjectId(), isSubscribed: true };
+  for (let i = 0; i < 5; i++) pass(user._id, i);
+
+  for (let i = 0; i < 5; i++) {
+    const res = await call(user);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.data.rewindsLeft, null);
+  }
+  assert.strictEqual(rewinds.size, 0);
+});
+
+test('reports when there is nothing to undo', async () => {
+  const user = { _id: new mongoose.Types.ObjectId(), isSubscribed: false };
+
+  const res = await call(user);
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(res.body.code, 'NOTHING_TO_REWIND');
+  assert.strictEqual(rewinds.size, 0);
+});
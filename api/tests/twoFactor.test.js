@@ -0,0 +1,69 @@
+// Run with: npm test
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { authenticator } = require('otplib');
+const {
+  encryptSecret,
+  decryptSecret,
+  createEnrolment,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode
+} = require('../utils/twoFactor');
+
+test('encrypts secrets at rest and refuses tampered ciphertext', () => {
+  const secret = authenticator.generateSecret();
+  const stored = encryptSecret(secret);
+
+  assert.ok(!stored.includes(secret));
+  assert.notStrictEqual(encryptSecret(secret), stored);
+  assert.strictEqual(decryptSecret(stored), secret);
+
+  const [iv, tag, encrypted] = stored.split(':');
+  const flipped = `${encrypted.slice(0, -1)}${encrypted.endsWith('0') ? '1' : '0'}`;
+  assert.throws(() => decryptSecret([iv, tag, flipped].join(':')));
+});
+
+test('enrolment returns an otpauth URI and QR code for the secret', async () => {
+  const { secret, otpauthUri, qrCode } = await createEnrolment('test@example.com');
+
+  assert.ok(otpauthUri.startsWith('otpauth://totp/'));
+  assert.ok(otpauthUri.includes(`secret=${secret}`));
+  assert.ok(qrCode.startsWith('data:image/png;base64,'));
+});
+
+test('accepts the current code once and rejects replays and wrong codes', () => {
+  const secret = authenticator.generateSecret();
+  const code = authenticator.generate(secret);
+
+  const step = verifyTotp(code, secret);
+  assert.strictEqual(typeof step, 'number');
+  assert.strictEqual(verifyTotp(code, secret, step), null);
+
+  const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+  assert.strictEqual(verifyTotp(wrong, secret), null);
+  assert.strictEqual(verifyTotp(code, authenticator.generateSecret()), null);
+});
+
+test('backup codes are single use and only stored as hashes', () => {
+  const { codes, hashes } = generateBackupCodes();
+
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(new Set(codes).size, 10);
+  assert.ok(codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+  assert.ok(hashes.every(hash => !codes.includes(hash)));
+
+  const remaining = consumeBackupCode(codes[3], hashes);
+  assert.strictEqual(remaining.length, 9);
+  assert.strictEqual(consumeBackupCode(codes[3], remaining), null);
+});
+
+test('backup codes ignore case and separators', () => {
+  const { codes, hashes } = generateBackupCodes();
+  const typed = ` ${codes[0].replace('-', '').toUpperCase()} `;
+
+  assert.strictEqual(consumeBackupCode(typed, hashes).length, 9);
+  assert.strictEqual(consumeBackupCode('00000-00000', hashes), null);
+});
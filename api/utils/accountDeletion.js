@@ -0,0 +1,243 @@
+// utils/accountDeletion.js
+const fs = require('fs');
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const Chat = require('../models/Chat');
+const Payment = require('../models/Payment');
+const Subscription = require('../models/Subscription');
+const Notification = require('../models/notification');
+const Session = require('../models/Session');
+const PhoneOtp = require('../models/PhoneOtp');
+const DataExport = require('../models/DataExport');
+const SecurityEvent = require('../models/SecurityEvent');
+const VerificationRequest = require('../models/VerificationRequest');
+const ProfileView = require('../models/ProfileView');
+const Swipe = require('../models/Swipe');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const GRACE_PERIOD_DAYS = 14;
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const PURGE_BATCH_SIZE = 20;
+
+// Completed M-Pesa transactions are financial records we must keep;
+// everything else about the account is removed.
+const RETAINED_PAYMENT_STATUSES = ['completed'];
+
+// ======================
+// SCHEDULING
+// ======================
+
+/**
+ * Hides the account immediately and schedules the purge after the grace period
+ */
+const scheduleAccountDeletion = async (userId, reason) => {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  return User.findOneAndUpdate(
+    { _id: userId, 'deletion.requestedAt': null },
+    {
+      $set: {
+        deletion: { requestedAt, scheduledFor, reason, purgeAttempts: 0 },
+        isOnline: false
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Restores an account during the grace period (null when nothing was pending)
+ */
+const cancelAccountDeletion = (userId) => User.findOneAndUpdate(
+  { _id: userId, 'deletion.requestedAt': { $ne: null } },
+  { $unset: { deletion: 1 } },
+  { new: true }
+);
+
+// ======================
+// PURGE
+// ======================
+
+// config/cloudinary validates its credentials on load, so require it lazily
+const destroyCloudinaryAssets = async (publicIds, options = {}) => {
+  const { deletePhoto } = require('../config/cloudinary');
+  const failed = [];
+
+  for (const publicId of publicIds) {
+    try {
+      await deletePhoto(publicId, options);
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== 'RESOURCE_NOT_FOUND') failed.push(publicId);
+    }
+  }
+
+  if (failed.length) {
+    throw new Error(`Failed to delete ${failed.length} Cloudinary asset(s): ${failed.join(', ')}`);
+  }
+};
+
+/**
+ * Permanently removes an account whose grace period has ended.
+ * Cloudinary assets go first so a failure leaves the account intact for the next run.
+ */
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId).select('profileImages deletion');
+  if (!user || !user.deletion?.requestedAt) return false;
+
+  const photos = await Photo.find({ $or: [{ user: userId }, { uploader: userId }] }).select('publicId');
+  const publicIds = [...new Set([
+    ...photos.map(photo => photo.publicId),
+    ...user.profileImages.map(image => image.publicId)
+  ].filter(Boolean))];
+
+  await destroyCloudinaryAssets(publicIds);
+
+  // Verification selfies are private assets
+  const selfies = await VerificationRequest.find({ user: userId }).select('+publicId');
+  await destroyCloudinaryAssets(selfies.map(request => request.publicId), { type: 'authenticated' });
+  await Photo.deleteMany({ _id: { $in: photos.map(photo => photo._id) } });
+
+  // Remove every trace of the user from other people's profiles and photos
+  await Promise.all([
+    Photo.updateMany(
+      { likedBy: userId },
+      { $pull: { likedBy: userId }, $inc: { likes: -1 } }
+    ),
+    User.updateMany(
+      {
+        $or: [
+          { likesReceived: userId },
+          { matches: userId },
+          { blockedUsers: userId },
+          { 'likedPhotos.ownerId': userId }
+        ]
+      },
+      {
+        $pull: {
+          likesReceived: userId,
+          matches: userId,
+          blockedUsers: userId,
+          likedPhotos: { ownerId: userId }
+        }
+      }
+    ),
+    User.updateMany(
+      { 'profileImages.likedBy': userId },
+      { $pull: { 'profileImages.$[].likedBy': userId } }
+    ),
+    User.updateMany(
+      { 'prompts.likedBy': userId },
+      { $pull: { 'prompts.$[].likedBy': userId } }
+    )
+  ]);
+
+  // The other person keeps the conversation, but nothing in it points back to the user
+  await Chat.updateMany(
+    { sender: userId },
+    {
+      $set: { senderAnonymized: true },
+      $unset: { deviceInfo: 1, ipAddress: 1, photoPreviewUrl: 1 }
+    }
+  );
+  await Chat.updateMany(
+    { recipient: userId },
+    { $set: { recipientAnonymized: true } }
+  );
+
+  const exports = await DataExport.find({ user: userId }).select('+filePath');
+  await Promise.all(exports
+    .filter(dataExport => dataExport.filePath)
+    .map(dataExport => fs.promises.unlink(dataExport.filePath).catch(() => {})));
+
+  await Promise.all([
+    Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }),
+    Session.deleteMany({ user: userId }),
+    PhoneOtp.deleteMany({ user: userId }),
+    DataExport.deleteMany({ user: userId }),
+    SecurityEvent.deleteMany({ user: userId }),
+    VerificationRequest.deleteMany({ user: userId }),
+    ProfileView.deleteMany({ $or: [{ owner: userId }, { viewer: userId }] }),
+    Swipe.deleteMany({ $or: [{ user: userId }, { target: userId }] }),
+    FeedSnapshot.deleteMany({ user: userId }),
+    Subscription.deleteMany({ user: userId }),
+    Payment.deleteMany({ user: userId, status: { $nin: RETAINED_PAYMENT_STATUSES } }),
+    Payment.updateMany(
+      { user: userId, status: { $in: RETAINED_PAYMENT_STATUSES } },
+      { $unset: { deviceInfo: 1 } }
+    )
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  return true;
+};
+
+/**
+ * Purges every account whose grace period has ended
+ */
+const purgeDueAccounts = async () => {
+  try {
+    const due = await User.find({
+      'deletion.requestedAt': { $ne: null },
+      'deletion.scheduledFor': { $lte: new Date() }
+    })
+      .select('_id')
+      .sort({ 'deletion.scheduledFor': 1 })
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    let purgedCount = 0;
+    for (const { _id } of due) {
+      try {
+        if (await purgeAccount(_id)) purgedCount++;
+      } catch (error) {
+        logError('Account purge failed', error, { userId: _id.toString() });
+        await User.updateOne(
+          { _id },
+          {
+            $inc: { 'deletion.purgeAttempts': 1 },
+            $set: { 'deletion.lastPurgeError': error.message }
+          }
+        );
+      }
+    }
+
+    return { checked: true, purgedCount, dueCount: due.length };
+  } catch (error) {
+    logError('Account purge check failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start periodic purging of accounts past their grace period
+ */
+const startAccountPurger = () => {
+  setInterval(async () => {
+    const result = await purgeDueAccounts();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Account Purge] Purged: ${result.purgedCount || 0}`);
+    }
+  }, CHECK_INTERVAL);
+
+  purgeDueAccounts().then(result => {
+    console.log(`Initial account purge completed. Purged: ${result.purgedCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountPurger
+};
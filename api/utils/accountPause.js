@@ -0,0 +1,98 @@
+// utils/accountPause.js
+const User = require('../models/user');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const MAX_PAUSE_DAYS = 90;
+const CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Hides the profile from discovery, optionally until resumeAt
+ */
+const pauseAccount = (userId, resumeAt = null) => User.findByIdAndUpdate(
+  userId,
+  {
+    $set: {
+      pause: {
+        isPaused: true,
+        pausedAt: new Date(),
+        resumeAt: resumeAt || undefined
+      }
+    }
+  },
+  { new: true }
+);
+
+/**
+ * Makes a paused profile visible again (null when it wasn't paused)
+ */
+const resumeAccount = (userId) => User.findOneAndUpdate(
+  { _id: userId, 'pause.isPaused': true },
+  { $set: { pause: { isPaused: false } } },
+  { new: true }
+);
+
+/**
+ * Resume every pause whose resumeAt has passed
+ */
+const resumeExpiredPauses = async () => {
+  try {
+    const due = await User.find({
+      'pause.isPaused': true,
+      'pause.resumeAt': { $lte: new Date() }
+    }).select('_id').lean();
+
+    if (due.length === 0) {
+      return { checked: true, resumedCount: 0 };
+    }
+
+    const result = await User.updateMany(
+      { _id: { $in: due.map(u => u._id) } },
+      { $set: { pause: { isPaused: false } } }
+    );
+
+    if (global.io) {
+      due.forEach(user => {
+        global.io.to(`user-${user._id}`).emit('account-resumed', { automatic: true });
+      });
+    }
+
+    return { checked: true, resumedCount: result.modifiedCount };
+  } catch (error) {
+    logError('Pause auto-resume check failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start periodic auto-resume of paused accounts
+ */
+const startPauseResumer = () => {
+  setInterval(async () => {
+    const result = await resumeExpiredPauses();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Pause Check] Resumed: ${result.resumedCount || 0}`);
+    }
+  }, CHECK_INTERVAL);
+
+  resumeExpiredPauses().then(result => {
+    console.log(`Initial pause check completed. Resumed: ${result.resumedCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  MAX_PAUSE_DAYS,
+  pauseAccount,
+  resumeAccount,
+  resumeExpiredPauses,
+  startPauseResumer
+};
@@ -0,0 +1,96 @@
+// utils/age.js
+const mongoose = require('mongoose');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const MINIMUM_AGE = 18;
+const MAXIMUM_AGE = 100;
+const CHECK_INTERVAL = 24 * 60 * 60 * 1000; // daily
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Whole years between birthDate and `on` (UTC calendar dates)
+ */
+const calculateAge = (birthDate, on = new Date()) => {
+  const birth = new Date(birthDate);
+  let age = on.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayPassed =
+    on.getUTCMonth() > birth.getUTCMonth() ||
+    (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() >= birth.getUTCDate());
+  if (!birthdayPassed) age--;
+  return age;
+};
+
+const isOfAge = (birthDate) => calculateAge(birthDate) >= MINIMUM_AGE;
+
+/**
+ * Recompute the stored `age` (used by feed filters) for everyone whose
+ * birthday moved them into a new year since the last run
+ */
+const refreshAges = async () => {
+  try {
+    const now = new Date();
+    const monthDay = (date) => ({
+      $add: [{ $multiply: [{ $month: date }, 100] }, { $dayOfMonth: date }]
+    });
+    const computedAge = {
+      $subtract: [
+        { $subtract: [now.getUTCFullYear(), { $year: '$birthDate' }] },
+        {
+          $cond: [
+            { $lt: [(now.getUTCMonth() + 1) * 100 + now.getUTCDate(), monthDay('$birthDate')] },
+            1,
+            0
+          ]
+        }
+      ]
+    };
+
+    // Looked up lazily: the User model itself uses calculateAge
+    const result = await mongoose.model('User').updateMany(
+      {
+        birthDate: { $type: 'date' },
+        $expr: { $ne: ['$age', computedAge] }
+      },
+      [{ $set: { age: computedAge } }]
+    );
+
+    return { checked: true, updatedCount: result.modifiedCount };
+  } catch (error) {
+    logError('Age refresh failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start the daily age refresh
+ */
+const startAgeRefresher = () => {
+  setInterval(async () => {
+    const result = await refreshAges();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Age Refresh] Updated: ${result.updatedCount || 0}`);
+    }
+  }, CHECK_INTERVAL);
+
+  refreshAges().then(result => {
+    console.log(`Initial age refresh completed. Updated: ${result.updatedCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  MINIMUM_AGE,
+  MAXIMUM_AGE,
+  calculateAge,
+  isOfAge,
+  refreshAges,
+  startAgeRefresher
+};
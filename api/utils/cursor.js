@@ -0,0 +1,120 @@
+// utils/cursor.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// ======================
+// CONFIGURATION
+// ======================
+
+// A cursor only works on the list it came from
+const CURSOR_SCOPES = Object.freeze({
+  PHOTO_FEED: 'photo-feed',
+  MATCHES: 'matches',
+  PHOTO_LIKERS: 'photo-likers',
+  NOTIFICATIONS: 'notifications',
+  CHAT_HISTORY: 'chat-history'
+});
+
+// Lists that belong to one item (a photo's likers) are scoped to that item's id
+const itemScope = (scope, itemId) => `${scope}:${itemId}`;
+
+const getSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+// Dates and ObjectIds don't survive JSON on their own, so they're tagged
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value;
+};
+
+const reviveValue = (value) => {
+  if (value && typeof value.$d === 'number') return new Date(value.$d);
+  if (value && typeof value.$o === 'string' && mongoose.Types.ObjectId.isValid(value.$o)) {
+    return new mongoose.Types.ObjectId(value.$o);
+  }
+  return value;
+};
+
+const sign = (body) => crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+
+/**
+ * Opaque token for the sort keys of the last item a user was sent from a list.
+ * Signed, so clients can't edit it, and bound to the scope and user.
+ */
+const encodeCursor = (scope, keys, userId) => {
+  const body = Buffer.from(JSON.stringify({
+    s: scope,
+    u: userId.toString(),
+    k: Object.fromEntries(Object.entries(keys).map(([key, value]) => [key, serializeValue(value)]))
+  })).toString('base64url');
+
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * The sort keys inside a cursor, or null if it's malformed, tampered with,
+ * or from another list or user
+ */
+const decodeCursor = (token, scope, userId) => {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.s !== scope || payload.u !== userId.toString() || !payload.k) return null;
+    return Object.fromEntries(Object.entries(payload.k).map(([key, value]) => [key, reviveValue(value)]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Query fragment for items after { value, id } in a (field desc, _id desc) sort
+ */
+const afterDescending = (field, { value, id }) => ({
+  $or: [
+    { [field]: { $lt: value } },
+    { [field]: value, _id: { $lt: id } }
+  ]
+});
+
+/**
+ * Newest-first page of an array that only grows at the end (matches, likers).
+ * The cursor holds the last id sent and its array index, used if that id was removed.
+ * Without a cursor, `skip` counts from the newest end.
+ */
+const pageNewestFirst = (ids, { cursor, skip = 0, limit }) => {
+  let end = Math.max(ids.length - skip, 0);
+  if (cursor) {
+    const index = ids.findIndex(id => id.equals(cursor.id));
+    end = index === -1 ? Math.min(cursor.index, ids.length) : index;
+  }
+
+  const start = Math.max(end - limit, 0);
+  return {
+    ids: ids.slice(start, end).reverse(),
+    last: start < end ? { id: ids[start], index: start } : null,
+    hasMore: start > 0
+  };
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  CURSOR_SCOPES,
+  itemScope,
+  encodeCursor,
+  decodeCursor,
+  afterDescending,
+  pageNewestFirst
+};
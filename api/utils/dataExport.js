@@ -0,0 +1,319 @@
+// utils/dataExport.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const archiver = require('archiver');
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const Chat = require('../models/Chat');
+const Payment = require('../models/Payment');
+const Notification = require('../models/notification');
+const DataExport = require('../models/DataExport');
+const { sendDataExportReadyEmail } = require('./mailer');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const EXPORTS_DIR = process.env.EXPORTS_DIR || path.join(__dirname, '..', 'logs', 'exports');
+const DOWNLOAD_TTL_HOURS = 48;
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const STALE_PROCESSING_AFTER = 60 * 60 * 1000; // builds still running after an hour are assumed dead
+const PHOTO_DOWNLOAD_TIMEOUT = 15000;
+const MAX_PHOTO_BYTES = 20 * 1024 * 1024;
+
+// Never leave the server, even inside the owner's own archive
+const USER_PRIVATE_FIELDS = [
+  'password', 'refreshToken', 'socketId', 'activeSessions',
+  'verificationToken', 'verificationTokenExpires',
+  'resetToken', 'resetTokenExpires', 'resetTokenAttempts', 'twoFactor'
+];
+
+// ======================
+// DATA COLLECTION
+// ======================
+
+/**
+ * Gathers everything stored about a user, grouped by archive file
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('likesReceived', 'name')
+    .populate('matches', 'name')
+    .lean();
+
+  if (!user) throw new Error(`User ${userId} not found`);
+
+  const { likesReceived = [], matches = [], ...profile } = user;
+  USER_PRIVATE_FIELDS.forEach(field => delete profile[field]);
+
+  const [photos, likedPhotos, likedUsers, messages, notifications, payments] = await Promise.all([
+    Photo.find({ $or: [{ user: userId }, { uploader: userId }] })
+      .populate('likedBy', 'name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Photo.find({ likedBy: userId }).select('url user caption createdAt').lean(),
+    User.find({ likesReceived: userId }).select('name').lean(),
+    Chat.find({ $or: [{ sender: userId }, { recipient: userId }] })
+      .select('-deviceInfo -ipAddress')
+      .populate('sender', 'name')
+      .populate('recipient', 'name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean(),
+    Payment.find({ user: userId }).select('-callbackData').sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    profile,
+    photos,
+    likes: {
+      given: {
+        users: likedUsers,
+        photos: likedPhotos,
+        photoHistory: profile.likedPhotos || []
+      },
+      received: {
+        users: likesReceived,
+        photos: photos
+          .filter(photo => photo.likedBy?.length)
+          .map(photo => ({ photoId: photo._id, url: photo.url, likedBy: photo.likedBy }))
+      }
+    },
+    matches,
+    messages,
+    notifications,
+    payments
+  };
+};
+
+// A malformed stored URL shouldn't fail the whole export; its download fails and is listed as missing
+const photoExtension = (url) => {
+  try {
+    return path.extname(new URL(url).pathname) || '.jpg';
+  } catch (error) {
+    return '.jpg';
+  }
+};
+
+/**
+ * Every original photo file linked to the account (feed photos and profile images)
+ */
+const listPhotoFiles = (data) => {
+  const files = new Map();
+  data.photos.forEach(photo => files.set(photo.url, `photos/${photo._id}`));
+  (data.profile.profileImages || []).forEach(image => {
+    if (!files.has(image.url)) files.set(image.url, `profile-images/${image._id}`);
+  });
+  return [...files].map(([url, name]) => ({ url, name: `${name}${photoExtension(url)}` }));
+};
+
+const downloadPhoto = async (url) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: PHOTO_DOWNLOAD_TIMEOUT,
+    maxContentLength: MAX_PHOTO_BYTES
+  });
+  return Buffer.from(response.data);
+};
+
+// ======================
+// ARCHIVE BUILDER
+// ======================
+
+const writeArchive = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+    output.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const addJson = (name, value) => archive.append(JSON.stringify(value, null, 2), { name });
+  addJson('profile.json', data.profile);
+  addJson('photos.json', data.photos);
+  addJson('likes.json', data.likes);
+  addJson('matches.json', data.matches);
+  addJson('messages.json', data.messages);
+  addJson('notifications.json', data.notifications);
+  addJson('payments.json', data.payments);
+
+  // Download sequentially so a large gallery doesn't hold every image in memory
+  const missingFiles = [];
+  for (const file of listPhotoFiles(data)) {
+    try {
+      archive.append(await downloadPhoto(file.url), { name: file.name });
+    } catch (error) {
+      missingFiles.push({ name: file.name, url: file.url, reason: error.message });
+    }
+  }
+
+  addJson('manifest.json', {
+    generatedAt: new Date(),
+    userId: data.profile._id,
+    counts: {
+      photos: data.photos.length,
+      likesGiven: data.likes.given.users.length + data.likes.given.photos.length,
+      likesReceived: data.likes.received.users.length,
+      matches: data.matches.length,
+      messages: data.messages.length,
+      notifications: data.notifications.length,
+      payments: data.payments.length
+    },
+    missingFiles
+  });
+
+  await archive.finalize();
+  await finished;
+  return archive.pointer();
+};
+
+/**
+ * Builds the archive for an export request and notifies the owner.
+ * Runs in the background; failures are recorded on the export document.
+ */
+const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const size = await writeArchive(filePath, data);
+
+    const expiresAt = new Date(Date.now() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+    dataExport.set({
+      status: 'ready',
+      filePath,
+      size,
+      completedAt: new Date(),
+      expiresAt
+    });
+    await dataExport.save();
+
+    await notifyExportReady(data.profile, dataExport);
+
+    return dataExport;
+  } catch (error) {
+    logError('Data export failed', error, { exportId: dataExport._id.toString() });
+    await fs.promises.unlink(filePath).catch(() => {});
+    dataExport.set({ status: 'failed', error: error.message });
+    await dataExport.save();
+    return dataExport;
+  }
+};
+
+// No link goes out: notifications and email are easy to forward, so the archive
+// is only served to its owner's signed-in session
+const notifyExportReady = async (user, dataExport) => {
+  try {
+    const notification = await Notification.createDataExportReady(
+      user._id,
+      dataExport._id,
+      dataExport.expiresAt
+    );
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('new-notification', notification);
+      global.io.to(`user-${user._id}`).emit('data-export-ready', {
+        exportId: dataExport._id,
+        expiresAt: dataExport.expiresAt
+      });
+    }
+  } catch (error) {
+    logError('Failed to create data export notification', error, { userId: user._id.toString() });
+  }
+
+  if (user.email) {
+    sendDataExportReadyEmail(user, DOWNLOAD_TTL_HOURS).catch(() => {});
+  }
+};
+
+// ======================
+// DOWNLOAD
+// ======================
+
+/**
+ * The user's export if it's ready and not expired (null otherwise)
+ */
+const findDownloadableExport = async (userId, exportId) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, user: userId }).select('+filePath');
+  if (!dataExport || !dataExport.isDownloadable) return null;
+  return dataExport;
+};
+
+// ======================
+// CLEANUP
+// ======================
+
+/**
+ * Deletes expired archives and fails builds that never finished
+ */
+const cleanupDataExports = async () => {
+  try {
+    const now = new Date();
+    const expired = await DataExport.find({
+      status: 'ready',
+      expiresAt: { $lt: now }
+    }).select('+filePath');
+
+    for (const dataExport of expired) {
+      if (dataExport.filePath) {
+        await fs.promises.unlink(dataExport.filePath).catch(() => {});
+      }
+      dataExport.status = 'expired';
+      dataExport.filePath = undefined;
+      await dataExport.save();
+    }
+
+    const stale = await DataExport.updateMany(
+      {
+        status: { $in: ['pending', 'processing'] },
+        createdAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_AFTER) }
+      },
+      { $set: { status: 'failed', error: 'Export did not complete' } }
+    );
+
+    return { checked: true, expiredCount: expired.length, staleCount: stale.modifiedCount };
+  } catch (error) {
+    logError('Data export cleanup failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start periodic removal of expired export archives
+ */
+const startDataExportCleanup = () => {
+  setInterval(async () => {
+    const result = await cleanupDataExports();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Data Export Cleanup] Expired: ${result.expiredCount || 0}`);
+    }
+  }, CLEANUP_INTERVAL);
+
+  cleanupDataExports().then(result => {
+    console.log(`Initial data export cleanup completed. Expired: ${result.expiredCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  buildDataExport,
+  findDownloadableExport,
+  cleanupDataExports,
+  startDataExportCleanup,
+  DOWNLOAD_TTL_HOURS
+};
@@ -0,0 +1,187 @@
+// utils/discovery.js
+const User = require('../models/user');
+const { PASSPORT_CITIES } = require('../config/passportCities');
+const { hasSharedLocation, discoveryLocation, distanceKm, bucketDistance } = require('./geo');
+const { CANDIDATE_FIELDS, rankCandidates } = require('./ranking');
+
+// ======================
+// CONFIGURATION
+// ======================
+
+// Fields discovery and ranking need on the viewer
+const VIEWER_FIELDS = 'age interests location passport subscription.expiresAt preferences';
+
+// Fallbacks for accounts created before preferences had defaults
+const DEFAULT_MAX_DISTANCE_KM = 50;
+const DEFAULT_AGE_RANGE = Object.freeze({ min: 18, max: 100 });
+
+// Only this many of the nearest people are ranked; results past them aren't shown
+const POOL_LIMIT = 1000;
+
+// The photo feed ranks at most this many of the pool's most recent photos
+const FEED_PHOTO_LIMIT = 2000;
+
+const toProjection = (fields) => Object.fromEntries(
+  fields.split(/\s+/).filter(Boolean).map(field => [field, 1])
+);
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Who the viewer may be shown: discoverable, inside the viewer's age range,
+ * and the viewer inside theirs
+ */
+const buildCandidateMatch = async (viewer, { excludeIds = [], extraMatch = {} } = {}) => {
+  const { min = DEFAULT_AGE_RANGE.min, max = DEFAULT_AGE_RANGE.max } = viewer.preferences?.ageRange || {};
+
+  return {
+    $and: [
+      { _id: { $ne: viewer._id, $nin: excludeIds } },
+      await User.discoverableFilterFor(viewer._id),
+      { age: { $gte: min, $lte: max } },
+      ...(viewer.age ? [
+        { 'preferences.ageRange.min': { $not: { $gt: viewer.age } } },
+        { 'preferences.ageRange.max': { $not: { $lt: viewer.age } } }
+      ] : []),
+      extraMatch
+    ]
+  };
+};
+
+/**
+ * Candidates nearest first, each with distanceMeters. Travellers in passport mode
+ * are placed at their passport city, and both sides' max distance has to fit.
+ * Viewers without a shared location get everyone, most recently active first.
+ */
+const buildDiscoveryPipeline = async (viewer, options = {}) => {
+  const candidateMatch = await buildCandidateMatch(viewer, options);
+  const origin = discoveryLocation(viewer);
+
+  if (!hasSharedLocation(origin)) {
+    return [
+      { $match: candidateMatch },
+      { $addFields: { distanceMeters: null } },
+      { $sort: { lastActive: -1, _id: 1 } }
+    ];
+  }
+
+  const now = new Date();
+  const maxMeters = (viewer.preferences?.distance || DEFAULT_MAX_DISTANCE_KM) * 1000;
+  const passportFilter = User.passportFilter(now);
+
+  // Passport cities close enough to the viewer, with their distance precomputed
+  const nearbyCities = PASSPORT_CITIES
+    .map(city => ({ id: city.id, meters: distanceKm(origin.coordinates, city.coordinates) * 1000 }))
+    .filter(city => city.meters <= maxMeters);
+
+  return [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: origin.coordinates },
+        key: 'location',
+        distanceField: 'distanceMeters',
+        maxDistance: maxMeters,
+        spherical: true,
+        query: { $and: [candidateMatch, { $nor: [passportFilter] }] }
+      }
+    },
+    ...(nearbyCities.length > 0 ? [{
+      $unionWith: {
+        coll: User.collection.name,
+        pipeline: [
+          {
+            $match: {
+              $and: [candidateMatch, passportFilter, { 'passport.city': { $in: nearbyCities.map(city => city.id) } }]
+            }
+          },
+          {
+            $addFields: {
+              distanceMeters: {
+                $switch: {
+                  branches: nearbyCities.map(city => ({
+                    case: { $eq: ['$passport.city', city.id] },
+                    then: city.meters
+                  })),
+                  default: null
+                }
+              }
+            }
+          }
+        ]
+      }
+    }] : []),
+    // Two-way: the viewer has to be within the candidate's max distance too
+    {
+      $match: {
+        $expr: {
+          $lte: ['$distanceMeters', { $multiply: [{ $ifNull: ['$preferences.distance', DEFAULT_MAX_DISTANCE_KM] }, 1000] }]
+        }
+      }
+    },
+    { $sort: { distanceMeters: 1, _id: 1 } }
+  ];
+};
+
+/**
+ * Distance bucket for a discovery result. Null when either side hasn't shared a location.
+ */
+const describeResultDistance = (viewer, candidate) => {
+  if (candidate.distanceMeters === null || candidate.distanceMeters === undefined) return null;
+  if (!hasSharedLocation(discoveryLocation(candidate))) return null;
+  return bucketDistance(candidate.distanceMeters / 1000, viewer._id, candidate._id);
+};
+
+/**
+ * Ranks pool candidates (or anything carrying their fields) for the viewer.
+ * See utils/ranking for the options.
+ */
+const rankForViewer = (viewer, candidates, options = {}) => rankCandidates(viewer, candidates, {
+  maxDistanceKm: viewer.preferences?.distance || DEFAULT_MAX_DISTANCE_KM,
+  ...options
+});
+
+/**
+ * The nearest discoverable users with what ranking needs, as
+ * [{ _id, distance, candidate }] (candidate is the raw document)
+ */
+const getDiscoveryPool = async (viewer, { limit = POOL_LIMIT, fields = '', ...options } = {}) => {
+  const pool = await User.aggregate([
+    ...(await buildDiscoveryPipeline(viewer, options)),
+    { $limit: limit },
+    { $project: toProjection(`${fields} ${CANDIDATE_FIELDS} location passport subscription.expiresAt distanceMeters`) }
+  ]);
+
+  return pool.map(doc => ({ _id: doc._id, distance: describeResultDistance(viewer, doc), candidate: doc }));
+};
+
+/**
+ * A page of the viewer's pool, best ranked first, as User documents with their
+ * distance bucket (and the ranking explanation when asked for)
+ */
+const findDiscoverableUsers = async (viewer, { skip = 0, limit = 20, weights, explain = false, ...options } = {}) => {
+  const pool = await getDiscoveryPool(viewer, options);
+  const ranked = rankForViewer(viewer, pool.map(entry => entry.candidate), { weights, explain });
+  const distances = new Map(pool.map(entry => [entry._id.toString(), entry.distance]));
+
+  return {
+    total: ranked.length,
+    users: ranked.slice(skip, skip + limit).map(({ candidate, explanation }) => ({
+      user: User.hydrate(candidate),
+      distance: distances.get(candidate._id.toString()),
+      ...(explain && { ranking: explanation })
+    }))
+  };
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  VIEWER_FIELDS,
+  FEED_PHOTO_LIMIT,
+  findDiscoverableUsers,
+  getDiscoveryPool,
+  rankForViewer
+};
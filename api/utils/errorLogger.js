@@ -89,5 +89,6 @@ const logRequestError = (err, req) => {
 // ======================
 module.exports = {
   error: logError,
+  logError,
   logRequestError
 };
\ No newline at end of file
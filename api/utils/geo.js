@@ -0,0 +1,146 @@
+// utils/geo.js
+const crypto = require('crypto');
+const { PASSPORT_CITIES, HOME_CITY_RADIUS_KM, getPassportCity } = require('../config/passportCities');
+
+// ======================
+// CONFIGURATION
+// ======================
+
+// Placeholder coordinates given at registration until the app shares a real location
+const DEFAULT_COORDINATES = [36.8219, -1.2921];
+
+// Location updates closer together than this are ignored unless the user moved far enough
+const MIN_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const MIN_MOVE_KM = 0.2;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Distances are shifted by up to this fraction before rounding, so repeated
+// lookups from spoofed positions can't be combined to pinpoint someone
+const MAX_JITTER = 0.1;
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * True when the location holds coordinates the user actually shared
+ */
+const hasSharedLocation = (location) => {
+  const coordinates = location?.coordinates || [];
+  return coordinates.length === 2 &&
+    !(coordinates[0] === DEFAULT_COORDINATES[0] && coordinates[1] === DEFAULT_COORDINATES[1]);
+};
+
+/**
+ * Great-circle distance in km between two [longitude, latitude] pairs
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Same pair, same day -> same jitter, so refreshing doesn't reveal anything new
+const pairJitter = (idA, idB) => {
+  const [first, second] = [String(idA), String(idB)].sort();
+  const day = new Date().toISOString().slice(0, 10);
+  const hash = crypto.createHash('sha256').update(`${first}:${second}:${day}`).digest();
+  return (hash.readUInt16BE(0) / 0xffff * 2 - 1) * MAX_JITTER;
+};
+
+/**
+ * Rounds a distance into a coarse, human-readable bucket
+ */
+const roundDistance = (km) => {
+  if (km < 1) return { km: 1, label: 'Less than 1 km away' };
+  if (km < 10) return { km: Math.round(km), label: `~${Math.round(km)} km away` };
+  if (km < 50) return { km: Math.round(km / 5) * 5, label: `~${Math.round(km / 5) * 5} km away` };
+  if (km < 200) return { km: Math.round(km / 10) * 10, label: `~${Math.round(km / 10) * 10} km away` };
+  return { km: 200, label: 'More than 200 km away' };
+};
+
+/**
+ * Bucketed distance for a pair of users, with the pair's daily jitter applied
+ */
+const bucketDistance = (km, viewerId, targetId) => roundDistance(km * (1 + pairJitter(viewerId, targetId)));
+
+/**
+ * Passport mode only counts while it hasn't expired and the subscription that unlocked it is still running.
+ * Needs `passport` and `subscription.expiresAt` on the user.
+ */
+const isPassportActive = (user, now = new Date()) => {
+  const passport = user?.passport;
+  if (!passport?.enabled || !getPassportCity(passport.city)) return false;
+  if (!passport.expiresAt || new Date(passport.expiresAt) <= now) return false;
+  return !!user.subscription?.expiresAt && new Date(user.subscription.expiresAt) > now;
+};
+
+/**
+ * Where discovery places the user: the passport city while one is active, otherwise their own location
+ */
+const discoveryLocation = (user) => {
+  if (!isPassportActive(user)) return user?.location;
+  return { type: 'Point', coordinates: getPassportCity(user.passport.city).coordinates };
+};
+
+/**
+ * "Visiting from" label for a user in passport mode, null otherwise.
+ * Names the supported city nearest their real location, never anything finer.
+ */
+const describeTravel = (user) => {
+  if (!isPassportActive(user)) return null;
+
+  const city = getPassportCity(user.passport.city);
+  const home = hasSharedLocation(user.location)
+    ? PASSPORT_CITIES
+      .map(candidate => ({ candidate, km: distanceKm(user.location.coordinates, candidate.coordinates) }))
+      .filter(({ candidate, km }) => candidate.id !== city.id && km <= HOME_CITY_RADIUS_KM)
+      .sort((a, b) => a.km - b.km)[0]?.candidate
+    : null;
+
+  return {
+    city: city.name,
+    label: home ? `Visiting from ${home.name}` : `Visiting ${city.name}`
+  };
+};
+
+/**
+ * Fuzzed distance between two users, safe to show to either of them.
+ * Uses passport cities where active. Null when either hasn't shared a location. Never exposes coordinates.
+ */
+const describeDistance = (viewer, target) => {
+  const from = discoveryLocation(viewer);
+  const to = discoveryLocation(target);
+  if (!hasSharedLocation(from) || !hasSharedLocation(to)) return null;
+
+  return bucketDistance(distanceKm(from.coordinates, to.coordinates), viewer._id, target._id);
+};
+
+/**
+ * Whether a new position is worth storing, given the last stored one
+ */
+const shouldStoreLocation = (current, coordinates, now = Date.now()) => {
+  if (!hasSharedLocation(current) || !current.lastUpdated) return true;
+  if (now - new Date(current.lastUpdated).getTime() >= MIN_UPDATE_INTERVAL_MS) return true;
+  return distanceKm(current.coordinates, coordinates) >= MIN_MOVE_KM;
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  DEFAULT_COORDINATES,
+  MIN_UPDATE_INTERVAL_MS,
+  hasSharedLocation,
+  distanceKm,
+  bucketDistance,
+  isPassportActive,
+  discoveryLocation,
+  describeTravel,
+  describeDistance,
+  shouldStoreLocation
+};
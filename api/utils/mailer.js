@@ -0,0 +1,166 @@
+// utils/mailer.js
+const path = require('path');
+const fs = require('fs');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const isProduction = process.env.NODE_ENV === 'production';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../logs/mail');
+const DEFAULT_FROM = process.env.SMTP_FROM || `Ruda Dating <${process.env.SMTP_USER || 'no-reply@ruda.app'}>`;
+const APP_LINK_BASE = process.env.FRONTEND_URL || 'ruda-dating://';
+
+// ======================
+// TRANSPORTS
+// ======================
+// Every transport exposes the same `send(message)` contract so the rest of
+// the app never cares where mail actually goes.
+
+/** Real delivery through SMTP (Zoho/Gmail settings from .env) */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 465,
+    secure: process.env.SMTP_SECURE !== 'false',
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/** Local dev: drop each message as a JSON file in logs/mail */
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    const filePath = path.join(MAIL_OUTBOX_DIR, filename);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { messageId: filename, path: filePath };
+  }
+});
+
+/** Local dev: print the message to the console */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 [mailer] Outgoing email');
+    console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST && process.env.SMTP_USER) return 'smtp';
+  return isProduction ? 'smtp' : 'console';
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = resolveTransportName();
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  transport = factory();
+  return transport;
+};
+
+/** Swap the active transport (custom providers, scripts) */
+const setTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = customTransport;
+};
+
+// ======================
+// CORE SENDER
+// ======================
+const sendMail = async ({ to, subject, text, html }) => {
+  const activeTransport = getTransport();
+  try {
+    return await activeTransport.send({ from: DEFAULT_FROM, to, subject, text, html });
+  } catch (error) {
+    logError('Email delivery failed', error, { to, subject, transport: activeTransport.name });
+    throw error;
+  }
+};
+
+const buildAppLink = (route, params) => {
+  const query = new URLSearchParams(params).toString();
+  const base = APP_LINK_BASE.endsWith('/') ? APP_LINK_BASE : `${APP_LINK_BASE}/`;
+  return `${base}${route}?${query}`;
+};
+
+// ======================
+// TEMPLATES
+// ======================
+// Names are free text: escape anything user-supplied before it goes into html
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const link = buildAppLink('verify-email', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n${link}\n\nThe link expires in ${expiresInHours} hours. If you did not create an account, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${expiresInHours} hours. If you did not create an account, ignore this email.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = buildAppLink('forgot-password', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordChangedEmail = (user) => sendMail({
+  to: user.email,
+  subject: 'Your password was changed',
+  text: `Hi ${user.name},\n\nThe password for your account was just changed and all devices were signed out. If this wasn't you, reset your password immediately.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p><p>The password for your account was just changed and all devices were signed out. If this wasn't you, reset your password immediately.</p>`
+});
+
+const sendDataExportReadyEmail = (user, expiresInHours) => sendMail({
+  to: user.email,
+  subject: 'Your data export is ready',
+  text: `Hi ${user.name},\n\nThe copy of your data you requested is ready. Sign in to the Ruda app to download it.\n\nIt will be available for ${expiresInHours} hours. If you did not request an export, secure your account by changing your password.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p><p>The copy of your data you requested is ready. Sign in to the Ruda app to download it.</p><p>It will be available for ${expiresInHours} hours. If you did not request an export, secure your account by changing your password.</p>`
+});
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  sendMail,
+  setTransport,
+  buildAppLink,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendDataExportReadyEmail
+};
@@ -0,0 +1,118 @@
+// utils/passport.js
+const User = require('../models/user');
+const { getPassportCity } = require('../config/passportCities');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Puts the user in passport mode for cityId until expiresAt
+ */
+const startPassport = (userId, cityId, expiresAt) => User.findByIdAndUpdate(
+  userId,
+  {
+    $set: {
+      passport: {
+        enabled: true,
+        city: cityId,
+        startedAt: new Date(),
+        expiresAt
+      }
+    }
+  },
+  { new: true, runValidators: true }
+);
+
+/**
+ * Returns the user to their own location (null when no passport was on)
+ */
+const endPassport = (userId) => User.findOneAndUpdate(
+  { _id: userId, 'passport.enabled': true },
+  { $set: { passport: { enabled: false } } },
+  { new: true }
+);
+
+/**
+ * What the owner sees about their own passport
+ */
+const formatPassport = (passport) => {
+  if (!passport?.enabled) return { enabled: false };
+  return {
+    enabled: true,
+    city: passport.city,
+    cityName: getPassportCity(passport.city)?.name || null,
+    startedAt: passport.startedAt,
+    expiresAt: passport.expiresAt
+  };
+};
+
+/**
+ * End every passport whose date has passed or whose subscription has run out.
+ * Discovery already ignores these; this just tidies up and tells the user.
+ */
+const expirePassports = async () => {
+  try {
+    const now = new Date();
+    const due = await User.find({
+      'passport.enabled': true,
+      $or: [
+        { 'passport.expiresAt': { $lte: now } },
+        { 'subscription.expiresAt': { $not: { $gt: now } } }
+      ]
+    }).select('_id').lean();
+
+    if (due.length === 0) {
+      return { checked: true, expiredCount: 0 };
+    }
+
+    const result = await User.updateMany(
+      { _id: { $in: due.map(u => u._id) } },
+      { $set: { passport: { enabled: false } } }
+    );
+
+    if (global.io) {
+      due.forEach(user => {
+        global.io.to(`user-${user._id}`).emit('passport-ended', { automatic: true });
+      });
+    }
+
+    return { checked: true, expiredCount: result.modifiedCount };
+  } catch (error) {
+    logError('Passport expiry check failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start periodic passport expiry
+ */
+const startPassportExpirer = () => {
+  setInterval(async () => {
+    const result = await expirePassports();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Passport Check] Expired: ${result.expiredCount || 0}`);
+    }
+  }, CHECK_INTERVAL);
+
+  expirePassports().then(result => {
+    console.log(`Initial passport check completed. Expired: ${result.expiredCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  startPassport,
+  endPassport,
+  formatPassport,
+  expirePassports,
+  startPassportExpirer
+};
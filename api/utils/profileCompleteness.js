@@ -0,0 +1,175 @@
+// utils/profileCompleteness.js
+const User = require('../models/user');
+const Photo = require('../models/photo');
+const { MAX_PROMPTS } = require('../config/profilePrompts');
+const { hasSharedLocation } = require('./geo');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const TARGET_PHOTO_COUNT = 4;
+const TARGET_BIO_LENGTH = 100;
+const TARGET_INTEREST_COUNT = 3;
+
+// Weights add up to 100. `earned` returns 0..1, `tip` is shown when it's below 1.
+const CHECKS = [
+  {
+    id: 'photos',
+    action: 'add_photo',
+    weight: 15,
+    earned: ({ photoCount }) => Math.min(photoCount, TARGET_PHOTO_COUNT) / TARGET_PHOTO_COUNT,
+    tip: ({ photoCount }) => (photoCount === 0
+      ? 'Add your first photo'
+      : `Add ${TARGET_PHOTO_COUNT - photoCount} more photo${TARGET_PHOTO_COUNT - photoCount === 1 ? '' : 's'}`)
+  },
+  {
+    id: 'approved_photo',
+    action: 'add_photo',
+    weight: 5,
+    earned: ({ approvedCount }) => (approvedCount > 0 ? 1 : 0),
+    tip: () => 'Get a photo approved so you show up in Discover'
+  },
+  {
+    id: 'primary_photo',
+    action: 'set_primary_photo',
+    weight: 5,
+    earned: ({ hasPrimary }) => (hasPrimary ? 1 : 0),
+    tip: () => 'Choose your main photo'
+  },
+  {
+    id: 'bio',
+    action: 'edit_bio',
+    weight: 15,
+    earned: ({ user }) => Math.min((user.bio || '').trim().length, TARGET_BIO_LENGTH) / TARGET_BIO_LENGTH,
+    tip: ({ user }) => (user.bio?.trim()
+      ? `Add a little more to your bio (aim for ${TARGET_BIO_LENGTH}+ characters)`
+      : 'Write a short bio')
+  },
+  {
+    id: 'prompts',
+    action: 'add_prompt',
+    weight: 15,
+    earned: ({ user }) => Math.min(user.prompts?.length || 0, MAX_PROMPTS) / MAX_PROMPTS,
+    tip: ({ user }) => (user.prompts?.length
+      ? `Answer ${MAX_PROMPTS - user.prompts.length} more prompt${MAX_PROMPTS - user.prompts.length === 1 ? '' : 's'}`
+      : 'Answer a prompt to give people something to talk about')
+  },
+  {
+    id: 'interests',
+    action: 'add_interests',
+    weight: 10,
+    earned: ({ user }) => Math.min(user.interests?.length || 0, TARGET_INTEREST_COUNT) / TARGET_INTEREST_COUNT,
+    tip: () => `Pick at least ${TARGET_INTEREST_COUNT} interests`
+  },
+  {
+    id: 'location',
+    action: 'update_location',
+    weight: 10,
+    earned: ({ user }) => (hasSharedLocation(user.location) ? 1 : 0),
+    tip: () => 'Share your location to see people nearby'
+  },
+  {
+    id: 'email_verified',
+    action: 'verify_email',
+    weight: 5,
+    earned: ({ user }) => (user.isVerified ? 1 : 0),
+    tip: () => 'Verify your email address'
+  },
+  {
+    id: 'phone_verified',
+    action: 'verify_phone',
+    weight: 10,
+    earned: ({ user }) => (user.phoneVerified ? 1 : 0),
+    tip: () => 'Verify your phone number'
+  },
+  {
+    id: 'photo_verified',
+    action: 'verify_photo',
+    weight: 10,
+    earned: ({ user }) => (user.verifiedPhoto ? 1 : 0),
+    tip: ({ user }) => (user.photoVerification?.status === 'pending'
+      ? 'Your verification selfie is being reviewed'
+      : 'Take a quick selfie to get the verified badge')
+  }
+];
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Scores a profile out of 100 and lists what's missing, biggest gains first
+ */
+const scoreProfile = (user, photos = []) => {
+  const livePhotos = photos.filter(photo => photo.status !== 'rejected');
+  const context = {
+    user,
+    photoCount: Math.max(livePhotos.length, user.profileImages?.length || 0),
+    approvedCount: photos.filter(photo => photo.status === 'approved').length,
+    hasPrimary: photos.some(photo => photo.isPrimary && photo.status === 'approved')
+  };
+
+  let score = 0;
+  const completed = [];
+  const missing = [];
+
+  CHECKS.forEach(check => {
+    const earned = Math.max(0, Math.min(1, check.earned(context)));
+    score += earned * check.weight;
+
+    if (earned >= 1) {
+      completed.push(check.id);
+    } else {
+      missing.push({
+        id: check.id,
+        action: check.action,
+        tip: check.tip(context),
+        points: Math.round((1 - earned) * check.weight)
+      });
+    }
+  });
+
+  missing.sort((a, b) => b.points - a.points);
+
+  return {
+    score: Math.round(score),
+    completed,
+    missing
+  };
+};
+
+/**
+ * Scores a user and stores the result for feed ranking
+ */
+const refreshCompleteness = async (userId) => {
+  const [user, photos] = await Promise.all([
+    User.findById(userId).select('bio prompts interests location isVerified phoneVerified verifiedPhoto photoVerification.status profileImages'),
+    Photo.find({ user: userId }).select('status isPrimary').lean()
+  ]);
+  if (!user) return null;
+
+  const result = scoreProfile(user, photos);
+  await User.updateOne(
+    { _id: userId },
+    { $set: { completeness: { score: result.score, updatedAt: new Date() } } }
+  );
+  return result;
+};
+
+/**
+ * Fire-and-forget refresh after a profile change; never throws
+ */
+const queueCompletenessRefresh = (userId) => {
+  refreshCompleteness(userId)
+    .catch(error => logError('Completeness refresh failed', error, { userId: userId?.toString() }));
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  scoreProfile,
+  refreshCompleteness,
+  queueCompletenessRefresh
+};
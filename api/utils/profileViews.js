@@ -0,0 +1,131 @@
+// utils/profileViews.js
+const User = require('../models/user');
+const ProfileView = require('../models/ProfileView');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const VIEWERS_WINDOW_DAYS = 30;
+const VIEWER_FIELDS = 'name age gender profileImages verifiedPhoto isOnline lastActive incognito subscription.expiresAt deletion';
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Viewer card for the owner. Free users get nothing that identifies the viewer, not even
+ * a blurred photo: any URL built from the viewer's image leads back to the original.
+ */
+const formatViewerCard = (viewer, viewedAt, unlocked) => {
+  const image = viewer.profileImages?.[0];
+
+  if (!unlocked) {
+    return {
+      photo: null,
+      viewedAt,
+      locked: true
+    };
+  }
+
+  return {
+    id: viewer._id,
+    name: viewer.name,
+    age: viewer.age,
+    gender: viewer.gender,
+    photo: image?.url || null,
+    verifiedPhoto: !!viewer.verifiedPhoto,
+    isOnline: !!viewer.isOnline,
+    viewedAt,
+    locked: false
+  };
+};
+
+/**
+ * Records that viewerId opened owner's profile and tells the owner in real time.
+ * Incognito viewers leave no trace, unless they've liked the owner. Never throws.
+ */
+const recordProfileView = async (owner, viewerId) => {
+  try {
+    if (owner._id.equals(viewerId)) return;
+
+    const viewer = await User.findById(viewerId).select(VIEWER_FIELDS);
+    if (!viewer) return;
+    if (viewer.isIncognito() && !(await User.getLikerIds(owner._id)).some(id => id.equals(viewerId))) return;
+
+    const isFirstToday = await ProfileView.record(owner._id, viewerId);
+    if (!isFirstToday || !global.io) return;
+
+    global.io.to(`user-${owner._id}`).emit('profile-viewed', {
+      viewer: formatViewerCard(viewer, new Date(), !!owner.isSubscribed)
+    });
+  } catch (error) {
+    logError('Failed to record profile view', error, {
+      ownerId: owner._id?.toString(),
+      viewerId: viewerId?.toString()
+    });
+  }
+};
+
+/**
+ * Unique recent viewers of a profile, newest first
+ */
+const getProfileViewers = async (ownerId, { page = 1, limit = 20, unlocked = false } = {}) => {
+  const since = new Date(Date.now() - VIEWERS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const likerIds = await User.getLikerIds(ownerId);
+  const viewerIncognito = Object.fromEntries(
+    Object.entries(User.incognitoFilter()).map(([field, condition]) => [`viewer.${field}`, condition])
+  );
+
+  const [result] = await ProfileView.aggregate([
+    { $match: { owner: ownerId, viewedAt: { $gte: since } } },
+    { $sort: { viewedAt: -1 } },
+    { $group: { _id: '$viewer', viewedAt: { $first: '$viewedAt' } } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'viewer',
+        pipeline: [{ $project: Object.fromEntries(VIEWER_FIELDS.split(' ').map(field => [field, 1])) }]
+      }
+    },
+    { $unwind: '$viewer' },
+    // Deleted accounts and anyone who has since gone incognito drop out, unless they liked the owner
+    {
+      $match: {
+        'viewer.deletion.requestedAt': null,
+        $nor: [{ ...viewerIncognito, 'viewer._id': { $nin: likerIds } }]
+      }
+    },
+    { $sort: { viewedAt: -1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        viewers: [{ $skip: (page - 1) * limit }, { $limit: limit }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    total,
+    windowDays: VIEWERS_WINDOW_DAYS,
+    viewers: result.viewers.map(entry => formatViewerCard(entry.viewer, entry.viewedAt, unlocked)),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    }
+  };
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  VIEWERS_WINDOW_DAYS,
+  recordProfileView,
+  getProfileViewers
+};
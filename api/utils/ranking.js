@@ -0,0 +1,181 @@
+// utils/ranking.js
+const { getRankingWeights } = require('../config/ranking');
+const { PERMISSIONS } = require('../config/permissions');
+
+// ======================
+// CONFIGURATION
+// ======================
+
+// Fields each candidate needs for the scorers below (on top of distanceMeters)
+const CANDIDATE_FIELDS = 'interests isOnline lastActive completeness.score replyStats createdAt';
+
+// Activity and freshness halve every this many hours
+const ACTIVITY_HALF_LIFE_HOURS = 24;
+const FRESHNESS_HALF_LIFE_HOURS = 72;
+
+// Used when a signal is missing for everyone alike, so it neither helps nor hurts
+const NEUTRAL_SCORE = 0.5;
+
+// Reply rates from fewer conversations than this are too noisy to use
+const MIN_REPLY_CONVERSATIONS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ======================
+// SCORERS
+// ======================
+// Each scorer returns { score: 0..1, detail } for one candidate. `detail` only
+// shows up in explanations. Weights live in config/ranking.
+
+const decay = (since, now, halfLifeHours) => {
+  if (!since) return 0;
+  const hours = Math.max(0, now - new Date(since)) / HOUR_MS;
+  return 0.5 ** (hours / halfLifeHours);
+};
+
+const SCORERS = new Map();
+
+/**
+ * Adds a scorer (or replaces one with the same id). It only counts once it has a weight.
+ */
+const registerScorer = (scorer) => {
+  SCORERS.set(scorer.id, scorer);
+};
+
+// Share of interests in common, out of the shorter list
+registerScorer({
+  id: 'interests',
+  score: (viewer, candidate) => {
+    const mine = viewer.interests || [];
+    const theirs = candidate.interests || [];
+    if (mine.length === 0) return { score: NEUTRAL_SCORE, detail: { shared: [] } };
+
+    const shared = theirs.filter(interest => mine.includes(interest));
+    return {
+      score: theirs.length === 0 ? 0 : shared.length / Math.min(mine.length, theirs.length),
+      detail: { shared }
+    };
+  }
+});
+
+// Nearer is better, relative to the viewer's max distance
+registerScorer({
+  id: 'distance',
+  score: (viewer, candidate, { maxDistanceKm }) => {
+    if (candidate.distanceMeters === null || candidate.distanceMeters === undefined) {
+      return { score: NEUTRAL_SCORE, detail: { km: null } };
+    }
+    const km = candidate.distanceMeters / 1000;
+    return {
+      score: 1 - Math.min(km / maxDistanceKm, 1),
+      detail: { km: Math.round(km * 10) / 10 }
+    };
+  }
+});
+
+// Online now, or how recently they were
+registerScorer({
+  id: 'activity',
+  score: (viewer, candidate, { now }) => ({
+    score: candidate.isOnline ? 1 : decay(candidate.lastActive, now, ACTIVITY_HALF_LIFE_HOURS),
+    detail: { isOnline: !!candidate.isOnline, lastActive: candidate.lastActive || null }
+  })
+});
+
+registerScorer({
+  id: 'completeness',
+  score: (viewer, candidate) => {
+    const completeness = candidate.completeness?.score || 0;
+    return { score: completeness / 100, detail: { completeness } };
+  }
+});
+
+// Share of people who messaged them that got a reply (see utils/replyRate)
+registerScorer({
+  id: 'replyRate',
+  score: (viewer, candidate) => {
+    const { rate, conversations = 0 } = candidate.replyStats || {};
+    if (conversations < MIN_REPLY_CONVERSATIONS) {
+      return { score: NEUTRAL_SCORE, detail: { rate: null, conversations } };
+    }
+    return { score: rate, detail: { rate, conversations } };
+  }
+});
+
+// New photos (or new accounts, when ranking people) go first
+registerScorer({
+  id: 'freshness',
+  score: (viewer, candidate, { now }) => {
+    const postedAt = candidate.postedAt || candidate.createdAt;
+    return {
+      score: decay(postedAt, now, FRESHNESS_HALF_LIFE_HOURS),
+      detail: { postedAt: postedAt || null }
+    };
+  }
+});
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Weighted average of every scorer with a weight, 0..1
+ */
+const scoreCandidate = (viewer, candidate, context) => {
+  let total = 0;
+  let weightSum = 0;
+  const scorers = [];
+
+  SCORERS.forEach((scorer, id) => {
+    const weight = context.weights[id] || 0;
+    if (weight === 0) return;
+
+    const { score, detail } = scorer.score(viewer, candidate, context);
+    total += weight * score;
+    weightSum += weight;
+    if (context.explain) scorers.push({ id, weight, score, detail });
+  });
+
+  const score = weightSum > 0 ? total / weightSum : 0;
+  if (!context.explain) return { score };
+
+  return {
+    score,
+    explanation: {
+      score,
+      scorers: scorers.map(entry => ({ ...entry, contribution: (entry.weight * entry.score) / weightSum }))
+    }
+  };
+};
+
+/**
+ * Candidates best first, as [{ candidate, score, explanation? }]. Ties keep their
+ * incoming order, so discovery's nearest-first order breaks them.
+ * @param {Object} options
+ * @param {number} options.maxDistanceKm - distance that scores 0
+ * @param {Object} [options.weights] - overrides for config/ranking
+ * @param {boolean} [options.explain] - include each scorer's part in the result
+ */
+const rankCandidates = (viewer, candidates, { maxDistanceKm, weights, explain = false, now = new Date() } = {}) => {
+  const context = { maxDistanceKm, weights: getRankingWeights(weights), explain, now };
+
+  return candidates
+    .map(candidate => ({ candidate, ...scoreCandidate(viewer, candidate, context) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Explanations show other users' activity and reply rates, so only staff get them
+ */
+const canExplainRanking = (user) => process.env.NODE_ENV === 'development' ||
+  (user?.permissions || []).includes(PERMISSIONS.USERS_VIEW);
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  CANDIDATE_FIELDS,
+  registerScorer,
+  rankCandidates,
+  canExplainRanking
+};
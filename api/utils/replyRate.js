@@ -0,0 +1,114 @@
+// utils/replyRate.js
+const User = require('../models/user');
+const Chat = require('../models/Chat');
+const { logError } = require('./errorLogger');
+
+// ======================
+// CONFIGURATION
+// ======================
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ======================
+// CORE FUNCTIONS
+// ======================
+
+/**
+ * Per user, over the last WINDOW_DAYS: how many people messaged them and how many
+ * of those they wrote back to. Feeds the replyRate ranking signal.
+ */
+const refreshReplyRates = async () => {
+  try {
+    const startedAt = new Date();
+    const since = new Date(startedAt.getTime() - WINDOW_DAYS * DAY_MS);
+
+    const stats = await Chat.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: { from: '$sender', to: '$recipient' } } },
+      // One row per pair of people, with who has written to whom
+      {
+        $group: {
+          _id: {
+            a: { $min: ['$_id.from', '$_id.to'] },
+            b: { $max: ['$_id.from', '$_id.to'] }
+          },
+          senders: { $addToSet: '$_id.from' }
+        }
+      },
+      {
+        $project: {
+          sides: [
+            {
+              user: '$_id.a',
+              received: { $in: ['$_id.b', '$senders'] },
+              replied: { $setIsSubset: [['$_id.a', '$_id.b'], '$senders'] }
+            },
+            {
+              user: '$_id.b',
+              received: { $in: ['$_id.a', '$senders'] },
+              replied: { $setIsSubset: [['$_id.a', '$_id.b'], '$senders'] }
+            }
+          ]
+        }
+      },
+      { $unwind: '$sides' },
+      { $match: { 'sides.received': true } },
+      {
+        $group: {
+          _id: '$sides.user',
+          conversations: { $sum: 1 },
+          replied: { $sum: { $cond: ['$sides.replied', 1, 0] } }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    if (stats.length > 0) {
+      await User.bulkWrite(stats.map(({ _id, conversations, replied }) => ({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: {
+              replyStats: { rate: replied / conversations, conversations, updatedAt: startedAt }
+            }
+          }
+        }
+      })), { ordered: false });
+    }
+
+    // Nobody has written to these users lately
+    const cleared = await User.updateMany(
+      { 'replyStats.updatedAt': { $lt: startedAt } },
+      { $unset: { replyStats: '' } }
+    );
+
+    return { checked: true, updatedCount: stats.length, clearedCount: cleared.modifiedCount };
+  } catch (error) {
+    logError('Reply rate refresh failed', error);
+    return { checked: false, error: error.message };
+  }
+};
+
+/**
+ * Start periodic reply rate refresh
+ */
+const startReplyRateRefresher = () => {
+  setInterval(async () => {
+    const result = await refreshReplyRates();
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[Reply Rates] Updated: ${result.updatedCount || 0}`);
+    }
+  }, REFRESH_INTERVAL);
+
+  refreshReplyRates().then(result => {
+    console.log(`Initial reply rate refresh completed. Updated: ${result.updatedCount || 0}`);
+  });
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  refreshReplyRates,
+  startReplyRateRefresher
+};
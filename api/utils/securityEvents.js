@@ -0,0 +1,107 @@
+// utils/securityEvents.js
+const crypto = require('crypto');
+const SecurityEvent = require('../models/SecurityEvent');
+const Notification = require('../models/notification');
+const { logError } = require('./errorLogger');
+
+// ======================
+// DEVICE DETAILS
+// ======================
+
+/**
+ * Stable per-device hash. IP is left out on purpose: mobile networks
+ * change it constantly and it would flag every login as a new device.
+ */
+const fingerprintDevice = (req) => crypto
+  .createHash('sha256')
+  .update([
+    req.headers['user-agent'] || '',
+    req.headers['x-device-name'] || '',
+    req.headers['x-platform'] || ''
+  ].join('|'))
+  .digest('hex');
+
+const describeRequest = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent'],
+  deviceName: req.headers['x-device-name'],
+  platform: req.headers['x-platform']
+});
+
+// ======================
+// RECORDING
+// ======================
+
+/**
+ * Appends an event to the user's audit trail. Never throws: a logging
+ * failure must not break the login or settings change that caused it.
+ */
+const recordSecurityEvent = async (userId, type, req, metadata = {}, extra = {}) => {
+  try {
+    return await SecurityEvent.create({
+      user: userId,
+      type,
+      ...(req && describeRequest(req)),
+      metadata,
+      ...extra
+    });
+  } catch (error) {
+    logError('Failed to record security event', error, { userId: userId?.toString(), type });
+    return null;
+  }
+};
+
+/**
+ * Records a successful sign-in and alerts the user when it came from a
+ * device they haven't used before (their very first sign-in never alerts)
+ */
+const recordLogin = async (user, req, metadata = {}) => {
+  const deviceFingerprint = fingerprintDevice(req);
+
+  let isNewDevice = false;
+  try {
+    const [seenDevice, hasPreviousLogins] = await Promise.all([
+      SecurityEvent.hasSeenDevice(user._id, deviceFingerprint),
+      SecurityEvent.exists({ user: user._id, type: 'login' })
+    ]);
+    isNewDevice = !seenDevice && !!hasPreviousLogins;
+  } catch (error) {
+    logError('Device lookup failed', error, { userId: user._id.toString() });
+  }
+
+  const event = await recordSecurityEvent(user._id, 'login', req, metadata, {
+    deviceFingerprint,
+    isNewDevice
+  });
+
+  if (isNewDevice) await sendNewDeviceAlert(user, req);
+  return event;
+};
+
+const sendNewDeviceAlert = async (user, req) => {
+  const { deviceName, platform, userAgent, ipAddress } = describeRequest(req);
+  const device = (deviceName || platform || userAgent || 'an unknown device').slice(0, 100);
+
+  try {
+    const notification = await Notification.createSecurityAlert(
+      user._id,
+      `New sign-in to your account from ${device}${ipAddress ? ` (${ipAddress})` : ''}. ` +
+      "If this wasn't you, change your password and sign out other devices."
+    );
+
+    if (global.io) {
+      global.io.to(`user-${user._id}`).emit('new-notification', notification);
+    }
+  } catch (error) {
+    logError('Failed to send new device alert', error, { userId: user._id.toString() });
+  }
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  fingerprintDevice,
+  recordSecurityEvent,
+  recordLogin
+};
@@ -0,0 +1,151 @@
+// utils/sms.js
+const { logError } = require('./errorLogger');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// ======================
+// PHONE HELPERS
+// ======================
+/** Normalise a Kenyan number to 2547XXXXXXXX (null when invalid) */
+const formatKenyanNumber = (phone) => {
+  const cleaned = String(phone || '').replace(/\D/g, '');
+  if (/^0[17]\d{8}$/.test(cleaned)) return `254${cleaned.substring(1)}`;
+  if (/^254[17]\d{8}$/.test(cleaned)) return cleaned;
+  if (/^[17]\d{8}$/.test(cleaned)) return `254${cleaned}`;
+  return null;
+};
+
+/** All stored spellings of the same number (users register with 07.., 254.. or +254..) */
+const phoneNumberVariants = (phone) => {
+  const international = formatKenyanNumber(phone);
+  if (!international) return [phone];
+  const local = `0${international.substring(3)}`;
+  return [international, `+${international}`, local];
+};
+
+// ======================
+// PROVIDERS
+// ======================
+// Every provider exposes `send(to, message)` where `to` is +2547XXXXXXXX.
+
+/** Africa's Talking bulk SMS API (AT_USERNAME=sandbox targets the sandbox) */
+const createAfricasTalkingProvider = () => {
+  const axios = require('axios');
+  const { AT_USERNAME, AT_API_KEY, AT_SENDER_ID } = process.env;
+
+  if (!AT_USERNAME || !AT_API_KEY) {
+    throw new Error("Africa's Talking credentials (AT_USERNAME, AT_API_KEY) are missing");
+  }
+
+  const baseUrl = AT_USERNAME === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com'
+    : 'https://api.africastalking.com';
+
+  return {
+    name: 'africastalking',
+    send: async (to, message) => {
+      const params = new URLSearchParams({ username: AT_USERNAME, to, message });
+      if (AT_SENDER_ID) params.append('from', AT_SENDER_ID);
+
+      const response = await axios.post(`${baseUrl}/version1/messaging`, params.toString(), {
+        headers: {
+          apiKey: AT_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      });
+
+      const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+      if (!recipient || recipient.statusCode > 102) {
+        throw new Error(`Africa's Talking rejected SMS: ${recipient?.status || 'no recipients'}`);
+      }
+      return { messageId: recipient.messageId, cost: recipient.cost };
+    }
+  };
+};
+
+/** Tests: keep messages in memory so they can be inspected */
+const sentMessages = [];
+const createMemoryProvider = () => ({
+  name: 'memory',
+  send: async (to, message) => {
+    const record = { to, message, sentAt: new Date(), messageId: `memory-${sentMessages.length + 1}` };
+    sentMessages.push(record);
+    return { messageId: record.messageId };
+  }
+});
+
+/** Local dev: print the message to the console */
+const createConsoleProvider = () => ({
+  name: 'console',
+  send: async (to, message) => {
+    console.log(`📱 [sms] To: ${to}\n${message}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const PROVIDERS = {
+  africastalking: createAfricasTalkingProvider,
+  memory: createMemoryProvider,
+  console: createConsoleProvider
+};
+
+const resolveProviderName = () => {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER;
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.AT_API_KEY) return 'africastalking';
+  // Never print codes to production logs: a missing key fails the send instead
+  return isProduction ? 'africastalking' : 'console';
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (provider) return provider;
+
+  const name = resolveProviderName();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  provider = factory();
+  return provider;
+};
+
+/** Swap the active provider (custom gateways, tests) */
+const setProvider = (customProvider) => {
+  if (!customProvider || typeof customProvider.send !== 'function') {
+    throw new Error('SMS provider must implement send(to, message)');
+  }
+  provider = customProvider;
+};
+
+// ======================
+// CORE SENDER
+// ======================
+const sendSms = async (phone, message) => {
+  const to = formatKenyanNumber(phone);
+  if (!to) throw new Error(`Invalid phone number: ${phone}`);
+
+  const activeProvider = getProvider();
+  try {
+    return await activeProvider.send(`+${to}`, message);
+  } catch (error) {
+    logError('SMS delivery failed', error, { provider: activeProvider.name });
+    throw error;
+  }
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  sendSms,
+  setProvider,
+  formatKenyanNumber,
+  phoneNumberVariants,
+  // In-memory provider inspection (tests)
+  getSentMessages: () => [...sentMessages],
+  clearSentMessages: () => { sentMessages.length = 0; }
+};
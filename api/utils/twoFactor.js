@@ -0,0 +1,103 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+// ======================
+// CONFIGURATION
+// ======================
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Ruda Dating';
+const BACKUP_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept the previous/next 30s window to absorb phone clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+// Secrets are encrypted at rest; the key falls back to JWT_SECRET for dev setups
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+// ======================
+// SECRET STORAGE
+// ======================
+/** AES-256-GCM encrypt, stored as iv:tag:ciphertext (hex) */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ======================
+// ENROLMENT
+// ======================
+/** New secret plus everything an authenticator app needs to import it */
+const createEnrolment = async (accountName) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUri = authenticator.keyuri(accountName, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+};
+
+// ======================
+// VERIFICATION
+// ======================
+/**
+ * Checks a TOTP code and returns the time step it matched (null when invalid).
+ * Callers store the step so the same code cannot be replayed.
+ */
+const verifyTotp = (code, secret, lastUsedStep = null) => {
+  const delta = authenticator.checkDelta(String(code), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  if (lastUsedStep !== null && step <= lastUsedStep) return null;
+  return step;
+};
+
+// ======================
+// BACKUP CODES
+// ======================
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[^a-z0-9]/gi, '').toLowerCase())
+  .digest('hex');
+
+/** Plain codes are shown to the user once; only the hashes are saved */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/** Returns the remaining hashes when the code matched, otherwise null */
+const consumeBackupCode = (code, hashes = []) => {
+  const hash = hashBackupCode(code);
+  if (!hashes.includes(hash)) return null;
+  return hashes.filter(h => h !== hash);
+};
+
+// ======================
+// EXPORTS
+// ======================
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  createEnrolment,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode
+};
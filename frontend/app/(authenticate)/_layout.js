@@ -22,6 +22,24 @@ export default function AuthLayout() {
         }}
       />
 
+      {/* Forgot / Reset Password Screen */}
+      <Stack.Screen
+        name="forgot-password"
+        options={{
+          title: 'Reset Password',
+          headerShown: false,
+        }}
+      />
+
+      {/* Email Verification Screen (opened from the emailed link) */}
+      <Stack.Screen
+        name="verify-email"
+        options={{
+          title: 'Verify Email',
+          headerShown: false,
+        }}
+      />
+
       {/* Select Screen */}
       <Stack.Screen
         name="select"
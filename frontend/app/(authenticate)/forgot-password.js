@@ -0,0 +1,423 @@
+import {
+  StyleSheet,
+  Text,
+  View,
+  SafeAreaView,
+  KeyboardAvoidingView,
+  TextInput,
+  Pressable,
+  ActivityIndicator,
+  Alert,
+  Platform,
+  ScrollView,
+  TouchableOpacity
+} from "react-native";
+import React, { useState, useEffect } from "react";
+import { MaterialIcons, AntDesign, Ionicons } from "@expo/vector-icons";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import axios from "axios";
+
+const ForgotPassword = () => {
+  const { token: linkToken } = useLocalSearchParams();
+  const router = useRouter();
+
+  // "request" asks for an email/phone, "reset" takes the token or SMS code
+  const [step, setStep] = useState(linkToken ? "reset" : "request");
+  const [channel, setChannel] = useState("email");
+  const [email, setEmail] = useState("");
+  const [phoneNumber, setPhoneNumber] = useState("");
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || "https://dating-app-3eba.onrender.com";
+
+  useEffect(() => {
+    if (linkToken) {
+      setChannel("email");
+      setStep("reset");
+    }
+  }, [linkToken]);
+
+  const getErrorMessage = (error, fallback) => {
+    if (error.response?.status === 429) {
+      return "Too many attempts. Please wait a while and try again.";
+    }
+    if (error.response?.data?.errors?.length) {
+      return error.response.data.errors[0].message;
+    }
+    if (error.response?.data?.message) {
+      return error.response.data.message;
+    }
+    if (error.request) {
+      return "Network error. Please check your connection and try again.";
+    }
+    return fallback;
+  };
+
+  const handleRequestReset = async () => {
+    const payload = channel === "email"
+      ? { email: email.trim() }
+      : { phoneNumber: phoneNumber.trim() };
+
+    if (!Object.values(payload)[0]) {
+      Alert.alert("Error", channel === "email"
+        ? "Please enter your email address"
+        : "Please enter your phone number");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/forgot-password`, payload, {
+        timeout: 10000,
+        headers: { "Content-Type": "application/json" },
+      });
+
+      Alert.alert("Check your inbox", response.data.message);
+      setStep("reset");
+    } catch (error) {
+      Alert.alert("Reset Failed", getErrorMessage(error, "Could not start password reset."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    const token = linkToken || code.trim();
+
+    if (!token) {
+      Alert.alert("Error", channel === "phone"
+        ? "Please enter the code we sent by SMS"
+        : "Please open the reset link from your email");
+      return;
+    }
+    if (password.length < 8) {
+      Alert.alert("Error", "Password must be at least 8 characters");
+      return;
+    }
+    if (password !== confirmPassword) {
+      Alert.alert("Error", "Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/reset-password`, {
+        token,
+        password,
+        ...(channel === "phone" && !linkToken && { phoneNumber: phoneNumber.trim() }),
+      }, {
+        timeout: 10000,
+        headers: { "Content-Type": "application/json" },
+      });
+
+      Alert.alert("Password updated", "You can now log in with your new password.", [
+        { text: "OK", onPress: () => router.replace("/login") },
+      ]);
+    } catch (error) {
+      Alert.alert("Reset Failed", getErrorMessage(error, "Could not reset your password."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.appTitle}>Ruda Dating</Text>
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.keyboardView}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContainer}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          <Text style={styles.title}>
+            {step === "request" ? "Forgot your password?" : "Choose a new password"}
+          </Text>
+
+          {step === "request" && (
+            <>
+              <Text style={styles.subtitle}>
+                We'll send you a reset link by email or a code by SMS.
+              </Text>
+
+              <View style={styles.channelToggle}>
+                {["email", "phone"].map((option) => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[styles.channelOption, channel === option && styles.channelOptionActive]}
+                    onPress={() => setChannel(option)}
+                    disabled={loading}
+                  >
+                    <Text style={[styles.channelText, channel === option && styles.channelTextActive]}>
+                      {option === "email" ? "Email" : "Phone"}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {channel === "email" ? (
+                <View style={styles.inputContainer}>
+                  <MaterialIcons name="email" size={24} color="white" style={styles.icon} />
+                  <TextInput
+                    value={email}
+                    onChangeText={setEmail}
+                    placeholder="Email Address"
+                    placeholderTextColor="#FFFFFFAA"
+                    style={styles.input}
+                    autoCapitalize="none"
+                    keyboardType="email-address"
+                    autoCorrect={false}
+                    editable={!loading}
+                  />
+                </View>
+              ) : (
+                <View style={styles.inputContainer}>
+                  <MaterialIcons name="phone" size={24} color="white" style={styles.icon} />
+                  <TextInput
+                    value={phoneNumber}
+                    onChangeText={setPhoneNumber}
+                    placeholder="Phone Number (07...)"
+                    placeholderTextColor="#FFFFFFAA"
+                    style={styles.input}
+                    keyboardType="phone-pad"
+                    editable={!loading}
+                  />
+                </View>
+              )}
+
+              <Pressable
+                onPress={handleRequestReset}
+                disabled={loading}
+                style={[styles.primaryButton, loading && styles.disabledButton]}
+              >
+                {loading ? (
+                  <ActivityIndicator color="white" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>
+                    {channel === "email" ? "Send Reset Link" : "Send Code"}
+                  </Text>
+                )}
+              </Pressable>
+            </>
+          )}
+
+          {step === "reset" && (
+            <>
+              {!linkToken && channel === "phone" && (
+                <View style={styles.inputContainer}>
+                  <AntDesign name="key" size={24} color="white" style={styles.icon} />
+                  <TextInput
+                    value={code}
+                    onChangeText={setCode}
+                    placeholder="6-digit code"
+                    placeholderTextColor="#FFFFFFAA"
+                    style={styles.input}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    editable={!loading}
+                  />
+                </View>
+              )}
+
+              {!linkToken && channel === "email" && (
+                <Text style={styles.subtitle}>
+                  Open the link in your email on this device to continue.
+                </Text>
+              )}
+
+              <View style={styles.inputContainer}>
+                <AntDesign name="lock1" size={24} color="white" style={styles.icon} />
+                <TextInput
+                  value={password}
+                  onChangeText={setPassword}
+                  secureTextEntry={!showPassword}
+                  placeholder="New Password"
+                  placeholderTextColor="#FFFFFFAA"
+                  style={styles.input}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!loading}
+                />
+                <TouchableOpacity onPress={() => setShowPassword(!showPassword)} disabled={loading}>
+                  <Ionicons name={showPassword ? "eye-off" : "eye"} size={24} color="white" />
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.inputContainer}>
+                <AntDesign name="lock1" size={24} color="white" style={styles.icon} />
+                <TextInput
+                  value={confirmPassword}
+                  onChangeText={setConfirmPassword}
+                  secureTextEntry={!showPassword}
+                  placeholder="Confirm New Password"
+                  placeholderTextColor="#FFFFFFAA"
+                  style={styles.input}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  onSubmitEditing={handleResetPassword}
+                  editable={!loading}
+                />
+              </View>
+
+              <Text style={styles.hint}>
+                At least 8 characters with a number, a lowercase and an uppercase letter.
+              </Text>
+
+              <Pressable
+                onPress={handleResetPassword}
+                disabled={loading}
+                style={[styles.primaryButton, loading && styles.disabledButton]}
+              >
+                {loading ? (
+                  <ActivityIndicator color="white" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Reset Password</Text>
+                )}
+              </Pressable>
+
+              {!linkToken && (
+                <Pressable onPress={() => setStep("request")} disabled={loading} style={styles.linkContainer}>
+                  <Text style={styles.link}>Didn't get it? Send again</Text>
+                </Pressable>
+              )}
+            </>
+          )}
+
+          <Pressable onPress={() => router.replace("/login")} disabled={loading} style={styles.linkContainer}>
+            <Text style={styles.link}>Back to Login</Text>
+          </Pressable>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+export default ForgotPassword;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "white",
+  },
+  header: {
+    height: 140,
+    backgroundColor: "#FF69B4",
+    width: "100%",
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  appTitle: {
+    marginTop: 20,
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "white",
+  },
+  keyboardView: {
+    flex: 1,
+    width: "100%",
+  },
+  scrollContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+    paddingTop: 30,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: "#FF1493",
+    textAlign: "center",
+  },
+  subtitle: {
+    marginTop: 10,
+    fontSize: 15,
+    color: "#666",
+    textAlign: "center",
+  },
+  channelToggle: {
+    flexDirection: "row",
+    marginTop: 25,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: "#FF69B4",
+    overflow: "hidden",
+  },
+  channelOption: {
+    flex: 1,
+    paddingVertical: 12,
+    alignItems: "center",
+    backgroundColor: "white",
+  },
+  channelOptionActive: {
+    backgroundColor: "#FF69B4",
+  },
+  channelText: {
+    color: "#FF69B4",
+    fontWeight: "600",
+    fontSize: 15,
+  },
+  channelTextActive: {
+    color: "white",
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFB6C1",
+    paddingVertical: 8,
+    borderRadius: 15,
+    marginTop: 20,
+    borderWidth: 1,
+    borderColor: "#FF69B4",
+    paddingHorizontal: 15,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    color: "white",
+    fontSize: 16,
+    fontWeight: "500",
+    paddingVertical: 8,
+  },
+  hint: {
+    marginTop: 10,
+    fontSize: 13,
+    color: "#888",
+  },
+  primaryButton: {
+    width: "100%",
+    backgroundColor: "#FF1493",
+    borderRadius: 15,
+    marginTop: 30,
+    padding: 16,
+    alignItems: "center",
+  },
+  disabledButton: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: "white",
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+  linkContainer: {
+    marginTop: 20,
+    alignItems: "center",
+  },
+  link: {
+    color: "#FF69B4",
+    fontWeight: "600",
+    fontSize: 15,
+  },
+});
@@ -26,6 +26,10 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState("");
+  // Two-factor step: set when the password was right but a code is required
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useBackupCode, setUseBackupCode] = useState(false);
 
   const { login, user } = useAuth();
   const router = useRouter();
@@ -62,34 +66,17 @@ const Login = () => {
         timeout: 10000, // 10 second timeout
         headers: {
           "Content-Type": "application/json",
+          "X-Platform": Platform.OS,
         },
       });
 
       const data = response.data;
 
-      if (data.success) {
-        // Store tokens and user data
-        await AsyncStorage.multiSet([
-          ['authToken', data.token],
-          ['refreshToken', data.refreshToken],
-          ['userId', data.user._id],
-          ['userData', JSON.stringify(data.user)],
-        ]);
-
-        // Update auth context
-        login({
-          token: data.token,
-          user: data.user,
-          isSubscribed: data.user.subscription?.isActive || false,
-          subscriptionExpiresAt: data.user.subscription?.expiresAt || null
-        });
-
-        setConnectionStatus("Login successful! Redirecting...");
-        
-        // Add slight delay for better UX
-        setTimeout(() => {
-          router.replace("/(tabs)/bio");
-        }, 500);
+      if (data.success && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setConnectionStatus("Enter your authentication code");
+      } else if (data.success) {
+        await completeLogin(data);
       } else {
         throw new Error(data.message || "Login failed");
       }
@@ -100,6 +87,87 @@ const Login = () => {
     }
   };
 
+  const completeLogin = async (data) => {
+    // Store tokens and user data
+    await AsyncStorage.multiSet([
+      ['authToken', data.token],
+      ['refreshToken', data.refreshToken],
+      ['userId', data.user._id],
+      ['userData', JSON.stringify(data.user)],
+    ]);
+
+    // Update auth context
+    login({
+      token: data.token,
+      user: data.user,
+      isSubscribed: data.user.subscription?.isActive || false,
+      subscriptionExpiresAt: data.user.subscription?.expiresAt || null
+    });
+
+    setConnectionStatus("Login successful! Redirecting...");
+
+    if (data.backupCodesRemaining !== undefined && data.backupCodesRemaining <= 2) {
+      Alert.alert(
+        "Backup codes running low",
+        `You have ${data.backupCodesRemaining} backup code(s) left. Generate new ones from your security settings.`
+      );
+    }
+
+    // Add slight delay for better UX
+    setTimeout(() => {
+      router.replace("/(tabs)/bio");
+    }, 500);
+  };
+
+  const handleVerifyTwoFactor = async () => {
+    const code = twoFactorCode.trim();
+    if (!code) {
+      Alert.alert("Error", useBackupCode
+        ? "Please enter one of your backup codes"
+        : "Please enter the 6-digit code from your authenticator app");
+      return;
+    }
+
+    setLoading(true);
+    setConnectionStatus("Verifying code...");
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/login/2fa`, {
+        challengeToken,
+        ...(useBackupCode ? { backupCode: code } : { code }),
+      }, {
+        timeout: 10000,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Platform": Platform.OS,
+        },
+      });
+
+      await completeLogin(response.data);
+    } catch (error) {
+      const errorCode = error.response?.data?.code;
+      if (errorCode === "CHALLENGE_EXPIRED" || errorCode === "INVALID_CHALLENGE") {
+        cancelTwoFactor();
+        Alert.alert("Login Expired", "Please log in again.");
+      } else if (errorCode === "INVALID_TWO_FACTOR_CODE") {
+        setConnectionStatus("Invalid code");
+        setTwoFactorCode("");
+        Alert.alert("Invalid Code", "That code didn't work. Please try again.");
+      } else {
+        handleLoginError(error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode("");
+    setUseBackupCode(false);
+    setConnectionStatus("");
+  };
+
   const handleLoginError = (error) => {
     let errorMessage = "An error occurred during login.";
     let statusMessage = "Error";
@@ -189,6 +257,71 @@ const Login = () => {
             />
           </View>
 
+          {challengeToken ? (
+          <View style={styles.formContainer}>
+            <Text style={styles.twoFactorText}>
+              {useBackupCode
+                ? "Enter one of the backup codes you saved when turning on two-factor authentication."
+                : "Open your authenticator app and enter the 6-digit code for Ruda Dating."}
+            </Text>
+
+            <View style={styles.inputContainer}>
+              <MaterialIcons
+                name="security"
+                size={24}
+                color="white"
+                style={styles.icon}
+              />
+              <TextInput
+                value={twoFactorCode}
+                onChangeText={setTwoFactorCode}
+                placeholder={useBackupCode ? "xxxxx-xxxxx" : "123456"}
+                placeholderTextColor="#FFFFFFAA"
+                style={styles.input}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType={useBackupCode ? "default" : "number-pad"}
+                maxLength={useBackupCode ? 11 : 6}
+                onSubmitEditing={handleVerifyTwoFactor}
+                editable={!loading}
+                autoFocus
+              />
+            </View>
+
+            <Pressable
+              onPress={() => {
+                setUseBackupCode(!useBackupCode);
+                setTwoFactorCode("");
+              }}
+              disabled={loading}
+              style={styles.forgotPasswordContainer}
+            >
+              <Text style={styles.forgotPassword}>
+                {useBackupCode ? "Use authenticator code" : "Use a backup code"}
+              </Text>
+            </Pressable>
+
+            <Pressable
+              onPress={handleVerifyTwoFactor}
+              disabled={loading}
+              style={[styles.loginButton, loading && styles.disabledButton]}
+            >
+              {loading ? (
+                <ActivityIndicator color="white" size="small" />
+              ) : (
+                <Text style={styles.loginButtonText}>Verify</Text>
+              )}
+            </Pressable>
+
+            <Pressable
+              onPress={cancelTwoFactor}
+              disabled={loading}
+              style={styles.signUpContainer}
+            >
+              <Text style={styles.signUpLink}>Back to login</Text>
+            </Pressable>
+          </View>
+          ) : (
           <View style={styles.formContainer}>
             <View style={styles.inputContainer}>
               <MaterialIcons
@@ -289,6 +422,7 @@ const Login = () => {
               </Text>
             </View>
           </View>
+          )}
         </ScrollView>
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -384,6 +518,12 @@ const styles = StyleSheet.create({
   formContainer: {
     marginTop: 10,
   },
+  twoFactorText: {
+    color: "#666",
+    fontSize: 15,
+    textAlign: "center",
+    lineHeight: 22,
+  },
   inputContainer: {
     flexDirection: "row",
     alignItems: "center",
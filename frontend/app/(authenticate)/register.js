@@ -20,12 +20,19 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import api from "../../src/_api/client";
 import { useAuth } from "../../src/_context/AuthContext";
 
+const GENDER_OPTIONS = [
+  { id: "male", label: "Male", pluralLabel: "Men" },
+  { id: "female", label: "Female", pluralLabel: "Women" },
+  { id: "non-binary", label: "Non-binary", pluralLabel: "Non-binary" },
+];
+
 const Register = () => {
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [phoneNumber, setPhoneNumber] = useState("");
   const [gender, setGender] = useState(null);
+  const [interestedIn, setInterestedIn] = useState([]);
   const [birthDate, setBirthDate] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
@@ -51,12 +58,23 @@ const Register = () => {
     return null; // Invalid format
   };
 
+  const toggleInterest = (id) => {
+    setInterestedIn(current =>
+      current.includes(id) ? current.filter(item => item !== id) : [...current, id]
+    );
+  };
+
   const handleRegister = async () => {
     if (!name || !email || !password || !gender || !phoneNumber || !birthDate) {
       Alert.alert("Error", "Please fill in all required fields");
       return;
     }
 
+    if (interestedIn.length === 0) {
+      Alert.alert("Error", "Please choose who you'd like to meet");
+      return;
+    }
+
     // ✅ Email validation
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       Alert.alert("Error", "Please enter a valid email address");
@@ -78,7 +96,7 @@ const Register = () => {
       phoneNumber: formattedPhone,
       gender,
       birthDate,
-      genderPreference: gender === "male" ? ["female"] : ["male"]
+      genderPreference: interestedIn
     };
 
     try {
@@ -245,18 +263,31 @@ const Register = () => {
             <View style={styles.genderContainer}>
               <Text style={styles.genderLabel}>Select Your Gender:</Text>
               <View style={styles.genderButtons}>
-                <Pressable
-                  style={[styles.genderButton, gender === "male" && styles.genderSelected]}
-                  onPress={() => setGender("male")}
-                >
-                  <Text style={styles.genderText}>Male</Text>
-                </Pressable>
-                <Pressable
-                  style={[styles.genderButton, gender === "female" && styles.genderSelected]}
-                  onPress={() => setGender("female")}
-                >
-                  <Text style={styles.genderText}>Female</Text>
-                </Pressable>
+                {GENDER_OPTIONS.map(option => (
+                  <Pressable
+                    key={option.id}
+                    style={[styles.genderButton, gender === option.id && styles.genderSelected]}
+                    onPress={() => setGender(option.id)}
+                  >
+                    <Text style={styles.genderText}>{option.label}</Text>
+                  </Pressable>
+                ))}
+              </View>
+            </View>
+
+            {/* Who they'd like to meet (any combination) */}
+            <View style={styles.genderContainer}>
+              <Text style={styles.genderLabel}>Interested In:</Text>
+              <View style={styles.genderButtons}>
+                {GENDER_OPTIONS.map(option => (
+                  <Pressable
+                    key={option.id}
+                    style={[styles.genderButton, interestedIn.includes(option.id) && styles.genderSelected]}
+                    onPress={() => toggleInterest(option.id)}
+                  >
+                    <Text style={styles.genderText}>{option.pluralLabel}</Text>
+                  </Pressable>
+                ))}
               </View>
             </View>
 
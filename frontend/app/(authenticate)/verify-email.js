@@ -0,0 +1,259 @@
+import {
+  StyleSheet,
+  Text,
+  View,
+  SafeAreaView,
+  KeyboardAvoidingView,
+  TextInput,
+  Pressable,
+  ActivityIndicator,
+  Alert,
+  Platform,
+  ScrollView
+} from "react-native";
+import React, { useState, useEffect } from "react";
+import { MaterialIcons } from "@expo/vector-icons";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import axios from "axios";
+
+const VerifyEmail = () => {
+  const { token } = useLocalSearchParams();
+  const router = useRouter();
+
+  // "verifying" while the link token is checked, then "verified" or "failed"
+  const [status, setStatus] = useState(token ? "verifying" : "failed");
+  const [errorMessage, setErrorMessage] = useState(
+    token ? "" : "This verification link is incomplete."
+  );
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || "https://dating-app-3eba.onrender.com";
+
+  const getErrorMessage = (error, fallback) => {
+    if (error.response?.status === 429) {
+      return "Too many attempts. Please wait a while and try again.";
+    }
+    if (error.response?.data?.errors?.length) {
+      return error.response.data.errors[0].message;
+    }
+    if (error.response?.data?.message) {
+      return error.response.data.message;
+    }
+    if (error.request) {
+      return "Network error. Please check your connection and try again.";
+    }
+    return fallback;
+  };
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        await axios.post(`${API_BASE_URL}/api/auth/verify-email`, { token }, {
+          timeout: 10000,
+          headers: { "Content-Type": "application/json" },
+        });
+        setStatus("verified");
+      } catch (error) {
+        setErrorMessage(getErrorMessage(error, "We couldn't verify your email."));
+        setStatus("failed");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async () => {
+    if (!email.trim()) {
+      Alert.alert("Error", "Please enter your email address");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/resend-verification`, {
+        email: email.trim(),
+      }, {
+        timeout: 10000,
+        headers: { "Content-Type": "application/json" },
+      });
+
+      Alert.alert("Check your inbox", response.data.message);
+    } catch (error) {
+      Alert.alert("Resend Failed", getErrorMessage(error, "Could not send a new link."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.appTitle}>Ruda Dating</Text>
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.keyboardView}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContainer}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          {status === "verifying" && (
+            <>
+              <ActivityIndicator color="#FF1493" size="large" />
+              <Text style={styles.subtitle}>Verifying your email...</Text>
+            </>
+          )}
+
+          {status === "verified" && (
+            <>
+              <MaterialIcons name="verified" size={64} color="#FF1493" style={styles.statusIcon} />
+              <Text style={styles.title}>Email verified</Text>
+              <Text style={styles.subtitle}>Thanks! You can now log in.</Text>
+            </>
+          )}
+
+          {status === "failed" && (
+            <>
+              <Text style={styles.title}>Verification failed</Text>
+              <Text style={styles.subtitle}>{errorMessage}</Text>
+              <Text style={styles.subtitle}>Enter your email and we'll send you a new link.</Text>
+
+              <View style={styles.inputContainer}>
+                <MaterialIcons name="email" size={24} color="white" style={styles.icon} />
+                <TextInput
+                  value={email}
+                  onChangeText={setEmail}
+                  placeholder="Email Address"
+                  placeholderTextColor="#FFFFFFAA"
+                  style={styles.input}
+                  autoCapitalize="none"
+                  keyboardType="email-address"
+                  autoCorrect={false}
+                  onSubmitEditing={handleResend}
+                  editable={!loading}
+                />
+              </View>
+
+              <Pressable
+                onPress={handleResend}
+                disabled={loading}
+                style={[styles.primaryButton, loading && styles.disabledButton]}
+              >
+                {loading ? (
+                  <ActivityIndicator color="white" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Send New Link</Text>
+                )}
+              </Pressable>
+            </>
+          )}
+
+          <Pressable onPress={() => router.replace("/login")} disabled={loading} style={styles.linkContainer}>
+            <Text style={styles.link}>{status === "verified" ? "Go to Login" : "Back to Login"}</Text>
+          </Pressable>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+export default VerifyEmail;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "white",
+  },
+  header: {
+    height: 140,
+    backgroundColor: "#FF69B4",
+    width: "100%",
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  appTitle: {
+    marginTop: 20,
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "white",
+  },
+  keyboardView: {
+    flex: 1,
+    width: "100%",
+  },
+  scrollContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+    paddingTop: 30,
+  },
+  statusIcon: {
+    alignSelf: "center",
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: "#FF1493",
+    textAlign: "center",
+  },
+  subtitle: {
+    marginTop: 10,
+    fontSize: 15,
+    color: "#666",
+    textAlign: "center",
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFB6C1",
+    paddingVertical: 8,
+    borderRadius: 15,
+    marginTop: 20,
+    borderWidth: 1,
+    borderColor: "#FF69B4",
+    paddingHorizontal: 15,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    color: "white",
+    fontSize: 16,
+    fontWeight: "500",
+    paddingVertical: 8,
+  },
+  primaryButton: {
+    width: "100%",
+    backgroundColor: "#FF1493",
+    borderRadius: 15,
+    marginTop: 30,
+    padding: 16,
+    alignItems: "center",
+  },
+  disabledButton: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: "white",
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+  linkContainer: {
+    marginTop: 20,
+    alignItems: "center",
+  },
+  link: {
+    color: "#FF69B4",
+    fontWeight: "600",
+    fontSize: 15,
+  },
+});
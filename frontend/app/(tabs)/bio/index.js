@@ -17,7 +17,8 @@ import { Entypo, AntDesign, MaterialIcons } from "@expo/vector-icons";
 import { useAuth } from "../../../src/_context/AuthContext";
 import { useRouter } from "expo-router";
 import { useSocket } from "../../../src/_context/SocketContext";
-import { likePhoto, getFeedPhotos } from "../../../src/_api/photos";
+import { likePhoto, likePromptAnswer, getFeedPhotos } from "../../../src/_api/photos";
+import VerifiedBadge from "../../../components/VerifiedBadge";
 
 const BioScreen = () => {
   const router = useRouter();
@@ -27,34 +28,46 @@ const BioScreen = () => {
   const [photos, setPhotos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [page, setPage] = useState(1);
-  const [hasMore, setHasMore] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [verifiedOnly, setVerifiedOnly] = useState(false);
 
-  // Fetch photos based on gender preference
-  const fetchPhotos = useCallback(async (pageNum = 1) => {
+  // Fetch a page of the feed (the server filters by gender preference).
+  // No cursor starts from the top; otherwise append the page after it.
+  const fetchPhotos = useCallback(async (cursor = null) => {
     try {
       if (!user?.gender) return;
       
-      setLoading(true);
-      const oppositeGender = user.gender === "male" ? "female" : "male";
-      const response = await getFeedPhotos(oppositeGender);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const response = await getFeedPhotos({ verifiedOnly, cursor });
+      const { photos: page, pagination } = response.data;
       
-      if (pageNum === 1) {
-        setPhotos(response.data);
+      if (cursor) {
+        setPhotos(prev => [...prev, ...page]);
       } else {
-        setPhotos(prev => [...prev, ...response.data]);
+        setPhotos(page);
       }
       
-      setHasMore(response.data.length > 0);
-      setPage(pageNum);
+      setNextCursor(pagination?.nextCursor || null);
     } catch (error) {
+      // The scroll was open too long: start the feed again from the top
+      if (cursor && error.response?.data?.code === "CURSOR_EXPIRED") {
+        setNextCursor(null);
+        await fetchPhotos(null);
+        return;
+      }
       console.error("Error fetching photos:", error);
       Alert.alert("Error", "Failed to load photos. Please try again.");
     } finally {
       setLoading(false);
+      setLoadingMore(false);
       setRefreshing(false);
     }
-  }, [user?.gender]);
+  }, [user?.gender, verifiedOnly]);
 
   // Initial load
   useEffect(() => {
@@ -64,13 +77,13 @@ const BioScreen = () => {
   // Refresh control
   const onRefresh = useCallback(() => {
     setRefreshing(true);
-    fetchPhotos(1);
+    fetchPhotos(null);
   }, [fetchPhotos]);
 
   // Load more photos
   const loadMorePhotos = () => {
-    if (!loading && hasMore) {
-      fetchPhotos(page + 1);
+    if (!loading && !loadingMore && nextCursor) {
+      fetchPhotos(nextCursor);
     }
   };
 
@@ -116,6 +129,31 @@ const BioScreen = () => {
     }
   };
 
+  // Like a single prompt answer; likes can't be undone, so only the like is optimistic
+  const handlePromptLike = async (ownerId, promptAnswerId) => {
+    const setPromptLiked = (isLiked, delta) => setPhotos(prev => prev.map(photo => {
+      const owner = photo.owner || photo.user;
+      if (!owner?.prompts?.some(prompt => prompt.id === promptAnswerId)) return photo;
+      const prompts = owner.prompts.map(prompt =>
+        prompt.id === promptAnswerId
+          ? { ...prompt, isLiked, likes: (prompt.likes || 0) + delta }
+          : prompt
+      );
+      return photo.owner
+        ? { ...photo, owner: { ...owner, prompts } }
+        : { ...photo, user: { ...owner, prompts } };
+    }));
+
+    try {
+      setPromptLiked(true, 1);
+      await likePromptAnswer(ownerId, promptAnswerId);
+    } catch (error) {
+      if (error.response?.data?.code === 'ALREADY_LIKED') return;
+      setPromptLiked(false, -1);
+      Alert.alert("Error", error.response?.data?.message || "Failed to like this answer. Please try again.");
+    }
+  };
+
   // Handle chat initiation
   const handleChat = async (userId) => {
     if (!isSubscribed) {
@@ -144,6 +182,8 @@ const BioScreen = () => {
   const renderPhotoCard = ({ item }) => {
     const isOnline = onlineUsers.includes(item.userId);
     const isCurrentUser = user?._id === item.userId;
+    const owner = item.owner || item.user;
+    const ownerId = owner?._id || item.userId;
 
     return (
       <View style={styles.photoCard} key={item._id}>
@@ -158,8 +198,17 @@ const BioScreen = () => {
               {isOnline && !isCurrentUser && <View style={styles.onlineIndicator} />}
             </View>
             <View>
-              <Text style={styles.userName}>{item.user?.name || "User"}</Text>
-              <Text style={styles.userAge}>{item.user?.age || ''} years</Text>
+              <View style={styles.userNameRow}>
+                <Text style={styles.userName}>{item.user?.name || "User"}</Text>
+                {owner?.verifiedPhoto && <VerifiedBadge size={14} />}
+              </View>
+              <Text style={styles.userAge}>
+                {item.user?.age || ''} years
+                {owner?.distance?.label ? ` · ${owner.distance.label}` : ''}
+              </Text>
+              {owner?.travel && (
+                <Text style={styles.travelLabel}>✈ {owner.travel.label}</Text>
+              )}
             </View>
           </View>
           
@@ -192,6 +241,33 @@ const BioScreen = () => {
             </Text>
           </TouchableOpacity>
         </View>
+
+        {/* Prompt answers */}
+        {owner?.prompts?.length > 0 && (
+          <View style={styles.promptsContainer}>
+            {owner.prompts.map(prompt => (
+              <View key={prompt.id} style={styles.promptCard}>
+                <View style={styles.promptContent}>
+                  <Text style={styles.promptQuestion}>{prompt.question}</Text>
+                  <Text style={styles.promptAnswer}>{prompt.answer}</Text>
+                </View>
+                {!isCurrentUser && (
+                  <TouchableOpacity
+                    style={styles.promptLikeButton}
+                    onPress={() => handlePromptLike(ownerId, prompt.id)}
+                    disabled={prompt.isLiked}
+                  >
+                    <AntDesign
+                      name={prompt.isLiked ? "heart" : "hearto"}
+                      size={20}
+                      color={prompt.isLiked ? "#FF1493" : "#444"}
+                    />
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
       </View>
     );
   };
@@ -201,6 +277,15 @@ const BioScreen = () => {
       {/* Header */}
       <View style={styles.header}>
         <Text style={styles.headerTitle}>Discover</Text>
+        <TouchableOpacity
+          style={[styles.filterChip, verifiedOnly && styles.filterChipActive]}
+          onPress={() => setVerifiedOnly(prev => !prev)}
+        >
+          <MaterialIcons name="verified" size={16} color={verifiedOnly ? "white" : "#1DA1F2"} />
+          <Text style={[styles.filterChipText, verifiedOnly && styles.filterChipTextActive]}>
+            Verified only
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity onPress={() => router.push("/(tabs)/profile")}>
           <Image
             style={styles.profileImage}
@@ -234,11 +319,12 @@ const BioScreen = () => {
             />
           }
           ListFooterComponent={
-            hasMore ? (
+            loadingMore ? (
+              <ActivityIndicator style={styles.loadingMore} color="#FF1493" />
+            ) : nextCursor ? (
               <Pressable 
                 style={styles.loadMoreButton} 
                 onPress={loadMorePhotos}
-                disabled={loading}
               >
                 <Text style={styles.loadMoreText}>Load More Photos</Text>
               </Pressable>
@@ -295,6 +381,26 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#FF1493',
   },
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#1DA1F2',
+  },
+  filterChipActive: {
+    backgroundColor: '#1DA1F2',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#1DA1F2',
+    marginLeft: 4,
+  },
+  filterChipTextActive: {
+    color: 'white',
+  },
   profileImage: {
     width: 40,
     height: 40,
@@ -352,6 +458,10 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: 'white',
   },
+  userNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   userName: {
     fontSize: 16,
     fontWeight: '600',
@@ -360,6 +470,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#777',
   },
+  travelLabel: {
+    fontSize: 12,
+    color: '#1DA1F2',
+    marginTop: 2,
+  },
   photoImage: {
     width: '100%',
     aspectRatio: 0.75,
@@ -389,6 +504,39 @@ const styles = StyleSheet.create({
   likedCount: {
     color: '#FF1493',
   },
+  promptsContainer: {
+    paddingHorizontal: 15,
+    paddingBottom: 15,
+  },
+  promptCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF5F7',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 10,
+  },
+  promptContent: {
+    flex: 1,
+  },
+  promptQuestion: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#777',
+    marginBottom: 4,
+  },
+  promptAnswer: {
+    fontSize: 16,
+    color: '#333',
+  },
+  promptLikeButton: {
+    marginLeft: 10,
+    padding: 6,
+  },
+  loadingMore: {
+    marginTop: 10,
+    marginBottom: 20,
+  },
   loadMoreButton: {
     backgroundColor: '#FF1493',
     padding: 15,
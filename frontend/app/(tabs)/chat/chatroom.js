@@ -20,6 +20,7 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import Constants from "expo-constants";
 import { useAuth } from "../../../src/_context/AuthContext";
 import SubscribePrompt from "../../../components/SubscribePrompt";
+import VerifiedBadge from "../../../components/VerifiedBadge";
 
 const API_BASE_URL = Constants.expoConfig?.extra?.apiBaseUrl || "https://dating-app-3eba.onrender.com";
 
@@ -106,7 +107,10 @@ const ChatRoom = () => {
           <View style={styles.profileInfo}>
             <Image source={{ uri: params?.image }} style={styles.profileImage} />
             <View>
-              <Text style={styles.profileName}>{params?.name}</Text>
+              <View style={styles.profileNameRow}>
+                <Text style={styles.profileName}>{params?.name}</Text>
+                {params?.verifiedPhoto === "true" && <VerifiedBadge size={14} />}
+              </View>
               {params?.isOnline && <Text style={styles.onlineStatus}>Online</Text>}
             </View>
           </View>
@@ -236,6 +240,7 @@ const styles = StyleSheet.create({
   headerLeft: { flexDirection: "row", alignItems: "center", gap: 10 },
   profileInfo: { flexDirection: "row", alignItems: "center", gap: 8 },
   profileImage: { width: 36, height: 36, borderRadius: 18 },
+  profileNameRow: { flexDirection: "row", alignItems: "center" },
   profileName: { fontSize: 16, fontWeight: "bold" },
   onlineStatus: { fontSize: 12, color: "#4CAF50" },
   headerRight: { flexDirection: "row", alignItems: "center", gap: 15 },
@@ -13,17 +13,45 @@ import {
 } from 'react-native';
 import { useAuth } from '../../../src/_context/AuthContext';
 import { useSocket } from '../../../src/_context/SocketContext';
+import { useLocationSharing } from '../../../src/_context/LocationContext';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { useNavigation } from 'expo-router';
 import SubscribeOverlay from '../../../components/SubscribeOverlay';
-import { updateUserGender } from '../../../src/_api/users';
+import ProfileDetails from '../../../components/ProfileDetails';
+import ProfilePrompts from '../../../components/ProfilePrompts';
+import CompletenessRing from '../../../components/CompletenessRing';
+import PhotoVerification from '../../../components/PhotoVerification';
+import VerifiedBadge from '../../../components/VerifiedBadge';
+import ProfileViewers from '../../../components/ProfileViewers';
+import PassportCard from '../../../components/PassportCard';
+import IncognitoToggle from '../../../components/IncognitoToggle';
+import ProfileHandle from '../../../components/ProfileHandle';
+import {
+  updateUserGender,
+  pauseProfile,
+  resumeProfile,
+  fetchProfileOptions,
+  updateProfileDetails,
+  fetchPromptLibrary,
+  updatePrompts,
+  fetchCompleteness,
+} from '../../../src/_api/users';
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system';
 import { Ionicons } from '@expo/vector-icons';
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY_BASE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pause durations offered on the profile tab (days: null = until resumed)
+const PAUSE_OPTIONS = [
+  { label: '1 day', days: 1 },
+  { label: '1 week', days: 7 },
+  { label: '1 month', days: 30 },
+  { label: 'Until I resume', days: null },
+];
 
 // Photo upload API endpoint
 const uploadPhoto = async (token, imageUri) => {
@@ -91,6 +119,7 @@ export default function ProfileScreen({ route }) {
   } = useAuth();
   
   const { onlineUsers } = useSocket(); 
+  const { requestLocationSharing } = useLocationSharing();
   const profileUser = routeUser || currentUser;
   const isOwnProfile = profileUser._id === currentUser._id;
   const isOnline = onlineUsers.includes(profileUser?._id);
@@ -106,6 +135,11 @@ export default function ProfileScreen({ route }) {
   const [lastError, setLastError] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [showPauseModal, setShowPauseModal] = useState(false);
+  const [updatingPause, setUpdatingPause] = useState(false);
+  const [profileOptions, setProfileOptions] = useState(null);
+  const [promptLibrary, setPromptLibrary] = useState(null);
+  const [completeness, setCompleteness] = useState(null);
 
   const isExpired = subscriptionExpiresAt && new Date(subscriptionExpiresAt) < new Date();
 
@@ -132,7 +166,7 @@ export default function ProfileScreen({ route }) {
       if (response.status === 404) throw new Error('User profile not found');
       if (!response.data) throw new Error('Invalid profile data received');
 
-      const data = response.data;
+      const data = response.data?.data || response.data;
       setProfileData(data);
       setSelectedGender(data.gender || '');
 
@@ -173,9 +207,42 @@ export default function ProfileScreen({ route }) {
     }
   };
 
+  // Picker option lists only change with server releases, so load them once
+  useEffect(() => {
+    const loadProfileOptions = async () => {
+      try {
+        const token = await AsyncStorage.getItem('authToken');
+        if (!token) return;
+        const [options, prompts] = await Promise.all([
+          fetchProfileOptions(token),
+          fetchPromptLibrary(token),
+        ]);
+        setProfileOptions(options.data);
+        setPromptLibrary(prompts.data);
+      } catch (error) {
+        console.error('Profile options error:', error);
+      }
+    };
+    loadProfileOptions();
+  }, []);
+
+  // Only the owner sees their score; refreshed after anything that can change it
+  const loadCompleteness = async () => {
+    if (!isOwnProfile) return;
+    try {
+      const token = await AsyncStorage.getItem('authToken');
+      if (!token) return;
+      const result = await fetchCompleteness(currentUser._id, token);
+      setCompleteness(result.data);
+    } catch (error) {
+      console.error('Profile completeness error:', error);
+    }
+  };
+
   useEffect(() => {
     const unsubscribe = navigation.addListener('focus', () => {
       fetchUserProfile();
+      loadCompleteness();
     });
     return unsubscribe;
   }, [navigation, profileUser?._id, isSubscribed, isExpired]);
@@ -216,6 +283,7 @@ export default function ProfileScreen({ route }) {
       const newVisiblePhotos = [result.data.photo.url, ...visiblePhotos];
       setVisiblePhotos(newVisiblePhotos);
       
+      loadCompleteness();
       Alert.alert('Success', 'Photo uploaded successfully!');
     } catch (error) {
       Alert.alert('Upload Failed', error.message);
@@ -249,6 +317,96 @@ export default function ProfileScreen({ route }) {
     }
   };
 
+  // Returns true so the editor can close only after a successful save
+  const handleDetailsSave = async (updates) => {
+    try {
+      const token = await AsyncStorage.getItem('authToken');
+      if (!token) throw new Error('Authentication token missing');
+
+      const result = await updateProfileDetails(currentUser._id, updates, token);
+      setProfileData(prev => ({ ...prev, ...result.data }));
+      loadCompleteness();
+      return true;
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return false;
+    }
+  };
+
+  const handlePromptsSave = async (prompts) => {
+    try {
+      const token = await AsyncStorage.getItem('authToken');
+      if (!token) throw new Error('Authentication token missing');
+
+      const result = await updatePrompts(currentUser._id, prompts, token);
+      setProfileData(prev => ({ ...prev, prompts: result.data.prompts }));
+      loadCompleteness();
+      return true;
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return false;
+    }
+  };
+
+  // Tips that map to an action on this screen run it; the rest say where to go
+  const handleTipPress = (tip) => {
+    switch (tip.action) {
+      case 'add_photo':
+        handleSelectPhoto();
+        break;
+      case 'add_interests':
+      case 'add_prompt':
+        Alert.alert(tip.tip, 'Scroll down to the About and Prompts sections to add them.');
+        break;
+      case 'verify_photo':
+        Alert.alert(tip.tip, 'Tap Verify on the "Get the verified badge" card just below.');
+        break;
+      case 'verify_email':
+        Alert.alert(tip.tip, 'Open the verification link we sent to your inbox.');
+        break;
+      case 'update_location':
+        requestLocationSharing().then(shared => shared && loadCompleteness());
+        break;
+      default:
+        Alert.alert('Tip', tip.tip);
+    }
+  };
+
+  const handlePause = async (days) => {
+    try {
+      setUpdatingPause(true);
+      const token = await AsyncStorage.getItem('authToken');
+      if (!token) throw new Error('Authentication token missing');
+
+      const resumeAt = days ? new Date(Date.now() + days * DAY_MS).toISOString() : null;
+      const result = await pauseProfile(currentUser._id, resumeAt, token);
+
+      setProfileData(prev => ({ ...prev, pause: result.data.pause }));
+      setShowPauseModal(false);
+      Alert.alert('Profile paused', result.message);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setUpdatingPause(false);
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      setUpdatingPause(true);
+      const token = await AsyncStorage.getItem('authToken');
+      if (!token) throw new Error('Authentication token missing');
+
+      const result = await resumeProfile(currentUser._id, token);
+      setProfileData(prev => ({ ...prev, pause: result.data.pause }));
+      Alert.alert('Welcome back', result.message);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setUpdatingPause(false);
+    }
+  };
+
   const handleRetry = () => {
     setRetryCount(0);
     fetchUserProfile();
@@ -308,9 +466,16 @@ export default function ProfileScreen({ route }) {
       <View style={styles.header}>
         <View style={styles.nameContainer}>
           <Text style={styles.name}>{profileData?.name || 'User'}</Text>
+          {profileData?.verifiedPhoto && <VerifiedBadge size={20} />}
           {isOnline && <View style={styles.greenDot} />}
         </View>
         <Text style={styles.age}>{profileData?.age ? `${profileData.age} years` : ''}</Text>
+        <ProfileHandle
+          userId={currentUser._id}
+          username={profileData?.username}
+          editable={isOwnProfile}
+          onChange={(username) => setProfileData(prev => ({ ...prev, username }))}
+        />
       </View>
 
       <View style={styles.section}>
@@ -329,6 +494,93 @@ export default function ProfileScreen({ route }) {
 
       <Text style={styles.description}>{profileData?.description || 'No description yet'}</Text>
 
+      {isOwnProfile && (
+        <CompletenessRing completeness={completeness} onTipPress={handleTipPress} />
+      )}
+
+      {isOwnProfile && (
+        <PhotoVerification
+          onStatusChange={(status) => {
+            setProfileData(prev => ({ ...prev, verifiedPhoto: status.verifiedPhoto }));
+            loadCompleteness();
+          }}
+        />
+      )}
+
+      <ProfileDetails
+        profile={profileData}
+        options={profileOptions}
+        editable={isOwnProfile}
+        onSave={handleDetailsSave}
+      />
+
+      <ProfilePrompts
+        prompts={profileData?.prompts || []}
+        library={promptLibrary}
+        editable={isOwnProfile}
+        onSave={handlePromptsSave}
+      />
+
+      {isOwnProfile && (
+        <ProfileViewers
+          userId={currentUser._id}
+          onUpgrade={() => navigation.navigate('subscribe')}
+        />
+      )}
+
+      {isOwnProfile && (
+        <PassportCard
+          userId={currentUser._id}
+          passport={profileData?.passport}
+          isSubscribed={isSubscribed}
+          onUpgrade={() => navigation.navigate('subscribe')}
+          onChange={(passport) => setProfileData(prev => ({ ...prev, passport }))}
+        />
+      )}
+
+      {isOwnProfile && (
+        <IncognitoToggle
+          userId={currentUser._id}
+          incognito={profileData?.incognito}
+          isSubscribed={isSubscribed}
+          onUpgrade={() => navigation.navigate('subscribe')}
+          onChange={(incognito) => setProfileData(prev => ({ ...prev, incognito }))}
+        />
+      )}
+
+      {/* Pause state - paused profiles are hidden from the feed but chats still work */}
+      {isOwnProfile && (
+        profileData?.pause?.isPaused ? (
+          <View style={styles.pauseCard}>
+            <Ionicons name="pause-circle" size={28} color="#FF9800" style={styles.pauseCardIcon} />
+            <View style={styles.pauseCardContent}>
+              <Text style={styles.pauseCardTitle}>Your profile is paused</Text>
+              <Text style={styles.pauseCardText}>
+                {profileData.pause.resumeAt
+                  ? `Hidden from discovery until ${new Date(profileData.pause.resumeAt).toLocaleDateString()}`
+                  : 'Hidden from discovery until you resume'}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.resumeButton}
+              onPress={handleResume}
+              disabled={updatingPause}
+            >
+              {updatingPause ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Resume</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity style={styles.pauseButton} onPress={() => setShowPauseModal(true)}>
+            <Ionicons name="pause" size={16} color="#FF9800" />
+            <Text style={styles.pauseButtonText}>Pause my profile</Text>
+          </TouchableOpacity>
+        )
+      )}
+
       {/* "Get Premium" Card - Only shown for current user without active subscription */}
       {isOwnProfile && !isSubscribed && (
         <TouchableOpacity 
@@ -455,6 +707,46 @@ export default function ProfileScreen({ route }) {
         </View>
       </Modal>
 
+      <Modal
+        visible={showPauseModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowPauseModal(false)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Pause your profile</Text>
+            <Text style={styles.modalSubtitle}>
+              You won't appear in the feed or receive new likes. Your chats stay available.
+            </Text>
+
+            <View style={styles.genderOptions}>
+              {PAUSE_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={styles.genderOption}
+                  onPress={() => handlePause(option.days)}
+                  disabled={updatingPause}
+                >
+                  <Text style={styles.genderOptionText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => setShowPauseModal(false)}
+            >
+              {updatingPause ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Cancel</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       <SubscribeOverlay
         visible={showSubscribeModal}
         message="Subscribe to unlock unlimited messaging"
@@ -685,6 +977,61 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontSize: 14,
   },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  // Pause mode
+  pauseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    padding: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#FF9800',
+    marginBottom: 16,
+  },
+  pauseButtonText: {
+    color: '#FF9800',
+    fontWeight: 'bold',
+  },
+  pauseCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#FF9800',
+  },
+  pauseCardIcon: {
+    marginRight: 12,
+  },
+  pauseCardContent: {
+    flex: 1,
+  },
+  pauseCardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#E65100',
+    marginBottom: 4,
+  },
+  pauseCardText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  resumeButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: '#FF9800',
+    marginLeft: 8,
+  },
   // New styles for subscription card
   subscribeCard: {
     flexDirection: 'row',
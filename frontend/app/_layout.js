@@ -3,6 +3,7 @@ import { Slot } from 'expo-router';
 import { AuthProvider } from '../src/_context/AuthContext';
 import { SocketProvider } from '../src/_context/SocketContext';
 import { SubscriptionProvider } from '../src/_context/SubscriptionContext';
+import { LocationProvider } from '../src/_context/LocationContext';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
@@ -28,18 +29,20 @@ export default function RootLayout() {
           <QueryClientProvider client={queryClient}>
             <SocketProvider>
               <SubscriptionProvider>
-                {/* Status bar configuration */}
-                <StatusBar 
-                  barStyle="dark-content"
-                  backgroundColor="transparent"
-                  translucent
-                />
+                <LocationProvider>
+                  {/* Status bar configuration */}
+                  <StatusBar 
+                    barStyle="dark-content"
+                    backgroundColor="transparent"
+                    translucent
+                  />
                 
-                {/* Main app content */}
-                <Slot />
+                  {/* Main app content */}
+                  <Slot />
                 
-                {/* Toast notifications */}
-                <Toast />
+                  {/* Toast notifications */}
+                  <Toast />
+                </LocationProvider>
               </SubscriptionProvider>
             </SocketProvider>
           </QueryClientProvider>
@@ -0,0 +1,91 @@
+// app/u/[handle].js
+// Shared profile links: ruda://u/<username> opens that user's profile
+import React, { useEffect, useState } from 'react';
+import { View, Text, ActivityIndicator, StyleSheet, TouchableOpacity } from 'react-native';
+import { Redirect, useLocalSearchParams, useRouter } from 'expo-router';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from '../../src/_context/AuthContext';
+import { fetchProfileByHandle } from '../../src/_api/users';
+import ProfileScreen from '../(tabs)/profile/index';
+
+export default function HandleLinkScreen() {
+  const { handle } = useLocalSearchParams();
+  const router = useRouter();
+  const { user, isLoading } = useAuth();
+  const [profileUser, setProfileUser] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user?._id || !handle) return;
+
+    const resolve = async () => {
+      try {
+        setError(null);
+        const token = await AsyncStorage.getItem('authToken');
+        const result = await fetchProfileByHandle(String(handle), token);
+        setProfileUser(result.data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    resolve();
+  }, [user?._id, handle]);
+
+  if (!isLoading && !user) {
+    return <Redirect href="/(authenticate)/login" />;
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.title}>Profile not available</Text>
+        <Text style={styles.message}>@{handle} may have changed their username or hidden their profile.</Text>
+        <TouchableOpacity style={styles.button} onPress={() => router.replace('/(tabs)/bio')}>
+          <Text style={styles.buttonText}>Back to Discover</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!profileUser) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#FF6B6B" />
+      </View>
+    );
+  }
+
+  return <ProfileScreen route={{ params: { user: profileUser } }} />;
+}
+
+const styles = StyleSheet.create({
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: '#FF6B6B',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
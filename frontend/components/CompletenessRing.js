@@ -0,0 +1,149 @@
+// frontend/components/CompletenessRing.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const RING_SIZE = 72;
+const DOT_SIZE = 8;
+const SEGMENTS = 24;
+
+const ACTION_ICONS = {
+  add_photo: 'camera-outline',
+  set_primary_photo: 'star-outline',
+  edit_bio: 'create-outline',
+  add_prompt: 'chatbubble-ellipses-outline',
+  add_interests: 'pricetags-outline',
+  update_location: 'location-outline',
+  verify_email: 'mail-outline',
+  verify_phone: 'call-outline',
+  verify_photo: 'shield-checkmark-outline',
+};
+
+// Dots laid out on a circle, filled clockwise from the top
+const Ring = ({ score }) => {
+  const filled = Math.round((score / 100) * SEGMENTS);
+  const radius = (RING_SIZE - DOT_SIZE) / 2;
+
+  return (
+    <View style={styles.ring}>
+      {Array.from({ length: SEGMENTS }, (_, index) => {
+        const angle = (index / SEGMENTS) * 2 * Math.PI - Math.PI / 2;
+        return (
+          <View
+            key={index}
+            style={[
+              styles.dot,
+              index < filled && styles.dotFilled,
+              {
+                left: radius + radius * Math.cos(angle),
+                top: radius + radius * Math.sin(angle),
+              },
+            ]}
+          />
+        );
+      })}
+      <Text style={styles.score}>{score}%</Text>
+    </View>
+  );
+};
+
+export default function CompletenessRing({ completeness, onTipPress, maxTips = 3 }) {
+  if (!completeness) return null;
+
+  const { score, missing = [] } = completeness;
+  const tips = missing.slice(0, maxTips);
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ring score={score} />
+        <View style={styles.headerText}>
+          <Text style={styles.title}>
+            {score === 100 ? 'Your profile is complete' : 'Complete your profile'}
+          </Text>
+          <Text style={styles.subtitle}>
+            {score === 100
+              ? 'Complete profiles get shown more often in Discover'
+              : 'Finish these to get seen by more people'}
+          </Text>
+        </View>
+      </View>
+
+      {tips.map(tip => (
+        <TouchableOpacity key={tip.id} style={styles.tip} onPress={() => onTipPress?.(tip)}>
+          <Ionicons name={ACTION_ICONS[tip.action] || 'add-circle-outline'} size={18} color="#FF6B6B" />
+          <Text style={styles.tipText}>{tip.tip}</Text>
+          <Text style={styles.tipPoints}>+{tip.points}%</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#FFF5F7',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  ring: {
+    width: RING_SIZE,
+    height: RING_SIZE,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    backgroundColor: '#eee',
+  },
+  dotFilled: {
+    backgroundColor: '#FF6B6B',
+  },
+  score: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  tip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#f0d0d6',
+    marginTop: 8,
+  },
+  tipText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  tipPoints: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FF6B6B',
+    marginLeft: 8,
+  },
+});
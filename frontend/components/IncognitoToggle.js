@@ -0,0 +1,87 @@
+// frontend/components/IncognitoToggle.js
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Switch, Alert, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setIncognito } from '../src/_api/users';
+
+export default function IncognitoToggle({ userId, incognito, isSubscribed, onUpgrade, onChange }) {
+  const [saving, setSaving] = useState(false);
+
+  // Incognito only takes effect while subscribed, so a lapsed one shows as off
+  const enabled = !!incognito?.enabled && isSubscribed;
+
+  const handleToggle = async (value) => {
+    if (value && !isSubscribed) {
+      onUpgrade?.();
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const token = await AsyncStorage.getItem('authToken');
+      const result = await setIncognito(userId, value, token);
+      onChange?.(result.data.incognito);
+    } catch (error) {
+      Alert.alert('Incognito', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.row}>
+      <Ionicons name="glasses-outline" size={24} color="#333" style={styles.icon} />
+      <View style={styles.content}>
+        <Text style={styles.title}>Incognito</Text>
+        <Text style={styles.text}>
+          {enabled
+            ? 'Only people you like can see you in Discover'
+            : 'Browse without showing up in Discover or profile views'}
+        </Text>
+      </View>
+      {isSubscribed ? (
+        <Switch
+          value={enabled}
+          onValueChange={handleToggle}
+          disabled={saving}
+          trackColor={{ true: '#FF6B6B' }}
+        />
+      ) : (
+        <TouchableOpacity onPress={onUpgrade} style={styles.lockButton}>
+          <Ionicons name="lock-closed" size={16} color="#FF6B6B" />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F7F7F7',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 16,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  text: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  lockButton: {
+    padding: 8,
+  },
+});
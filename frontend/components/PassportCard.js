@@ -0,0 +1,269 @@
+// frontend/components/PassportCard.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useSocket } from '../src/_context/SocketContext';
+import { fetchPassportCities, setPassport, clearPassport } from '../src/_api/users';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trip lengths offered in the picker (capped by the server's maxDays)
+const DURATION_OPTIONS = [
+  { label: '3 days', days: 3 },
+  { label: '1 week', days: 7 },
+  { label: '2 weeks', days: 14 },
+  { label: '1 month', days: 30 },
+];
+
+export default function PassportCard({ userId, passport, isSubscribed, onUpgrade, onChange }) {
+  const { socket } = useSocket();
+  const [options, setOptions] = useState(null);
+  const [showPicker, setShowPicker] = useState(false);
+  const [selectedCity, setSelectedCity] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const isActive = passport?.enabled && new Date(passport.expiresAt) > new Date();
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const token = await AsyncStorage.getItem('authToken');
+        if (!token) return;
+        const result = await fetchPassportCities(token);
+        setOptions(result.data);
+      } catch (error) {
+        console.error('Passport cities error:', error);
+      }
+    };
+    load();
+  }, []);
+
+  // The server ends passports when they expire or the subscription runs out
+  useEffect(() => {
+    if (!socket) return;
+    const handleEnded = () => onChange?.({ enabled: false });
+    socket.on('passport-ended', handleEnded);
+    return () => socket.off('passport-ended', handleEnded);
+  }, [socket, onChange]);
+
+  const cityName = (cityId) => options?.cities.find(city => city.id === cityId)?.name || cityId;
+
+  const handleStart = async (days) => {
+    try {
+      setWorking(true);
+      const token = await AsyncStorage.getItem('authToken');
+      const expiresAt = new Date(Date.now() + days * DAY_MS).toISOString();
+      const result = await setPassport(userId, selectedCity, expiresAt, token);
+      onChange?.(result.data.passport);
+      setShowPicker(false);
+      setSelectedCity(null);
+      Alert.alert('Passport on', result.message);
+    } catch (error) {
+      Alert.alert('Passport', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnd = async () => {
+    try {
+      setWorking(true);
+      const token = await AsyncStorage.getItem('authToken');
+      const result = await clearPassport(userId, token);
+      onChange?.(result.data.passport);
+    } catch (error) {
+      Alert.alert('Passport', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!options) return null;
+
+  return (
+    <View style={styles.card}>
+      <Ionicons name="airplane" size={26} color="#1DA1F2" style={styles.icon} />
+      <View style={styles.content}>
+        <Text style={styles.title}>
+          {isActive ? `Browsing from ${cityName(passport.city)}` : 'Passport'}
+        </Text>
+        <Text style={styles.text}>
+          {isActive
+            ? `Until ${new Date(passport.expiresAt).toLocaleDateString()}. People there see you as visiting.`
+            : 'Travelling soon? Line up matches in another city before you arrive.'}
+        </Text>
+      </View>
+
+      {isActive ? (
+        <TouchableOpacity style={styles.secondaryButton} onPress={handleEnd} disabled={working}>
+          {working ? (
+            <ActivityIndicator size="small" color="#1DA1F2" />
+          ) : (
+            <Text style={styles.secondaryButtonText}>Turn off</Text>
+          )}
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          style={styles.button}
+          onPress={isSubscribed ? () => setShowPicker(true) : onUpgrade}
+        >
+          {!isSubscribed && <Ionicons name="lock-closed" size={12} color="#fff" style={styles.lockIcon} />}
+          <Text style={styles.buttonText}>Set city</Text>
+        </TouchableOpacity>
+      )}
+
+      <Modal
+        visible={showPicker}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowPicker(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {selectedCity ? `How long in ${cityName(selectedCity)}?` : 'Where are you going?'}
+            </Text>
+
+            {!selectedCity
+              ? options.cities.map(city => (
+                <TouchableOpacity
+                  key={city.id}
+                  style={styles.option}
+                  onPress={() => setSelectedCity(city.id)}
+                >
+                  <Ionicons name="location-outline" size={18} color="#333" />
+                  <Text style={styles.optionText}>{city.name}</Text>
+                </TouchableOpacity>
+              ))
+              : DURATION_OPTIONS
+                .filter(option => option.days <= options.maxDays)
+                .map(option => (
+                  <TouchableOpacity
+                    key={option.days}
+                    style={styles.option}
+                    onPress={() => handleStart(option.days)}
+                    disabled={working}
+                  >
+                    <Ionicons name="calendar-outline" size={18} color="#333" />
+                    <Text style={styles.optionText}>{option.label}</Text>
+                  </TouchableOpacity>
+                ))}
+
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => (selectedCity ? setSelectedCity(null) : setShowPicker(false))}
+              disabled={working}
+            >
+              {working ? (
+                <ActivityIndicator size="small" color="#666" />
+              ) : (
+                <Text style={styles.cancelText}>{selectedCity ? 'Back' : 'Cancel'}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EEF7FE',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 16,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  text: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1DA1F2',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 8,
+  },
+  lockIcon: {
+    marginRight: 4,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#1DA1F2',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 8,
+  },
+  secondaryButtonText: {
+    color: '#1DA1F2',
+    fontWeight: 'bold',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  optionText: {
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  cancelButton: {
+    alignItems: 'center',
+    paddingVertical: 14,
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+});
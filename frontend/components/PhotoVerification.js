@@ -0,0 +1,254 @@
+// frontend/components/PhotoVerification.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useSocket } from '../src/_context/SocketContext';
+import VerifiedBadge from './VerifiedBadge';
+import {
+  getVerificationStatus,
+  requestVerificationPose,
+  submitVerificationSelfie,
+} from '../src/_api/photos';
+
+export default function PhotoVerification({ onStatusChange }) {
+  const { socket } = useSocket();
+  const [status, setStatus] = useState(null);
+  const [pose, setPose] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const updateStatus = (next) => {
+    setStatus(next);
+    onStatusChange?.(next);
+  };
+
+  useEffect(() => {
+    getVerificationStatus()
+      .then(result => setStatus(result.data))
+      .catch(() => {});
+  }, []);
+
+  // Moderator decisions arrive over the socket
+  useEffect(() => {
+    if (!socket) return;
+    const handleUpdate = (update) => {
+      getVerificationStatus()
+        .then(result => updateStatus(result.data))
+        .catch(() => updateStatus({ ...status, ...update }));
+    };
+    socket.on('verification-updated', handleUpdate);
+    return () => socket.off('verification-updated', handleUpdate);
+  }, [socket, status]);
+
+  const handleStart = async () => {
+    try {
+      setWorking(true);
+      const result = await requestVerificationPose();
+      setPose(result.data.pose);
+    } catch (error) {
+      Alert.alert('Verification', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleTakeSelfie = async () => {
+    try {
+      const permission = await ImagePicker.requestCameraPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Permission required', 'We need camera access to take your verification selfie');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        cameraType: ImagePicker.CameraType.front,
+        allowsEditing: false,
+        quality: 0.8,
+      });
+      if (result.canceled) return;
+
+      setWorking(true);
+      const submitted = await submitVerificationSelfie(result.assets[0].uri);
+      setPose(null);
+      updateStatus({ ...status, status: 'pending', rejectionMessage: null });
+      Alert.alert('Selfie submitted', submitted.message);
+    } catch (error) {
+      Alert.alert('Verification', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!status) return null;
+
+  if (status.verifiedPhoto) {
+    return (
+      <View style={[styles.card, styles.verifiedCard]}>
+        <VerifiedBadge size={22} style={styles.noMargin} />
+        <Text style={styles.title}>Your photos are verified</Text>
+      </View>
+    );
+  }
+
+  if (status.status === 'pending') {
+    return (
+      <View style={styles.card}>
+        <Ionicons name="time-outline" size={22} color="#FF9800" />
+        <Text style={styles.title}>Your verification selfie is being reviewed</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.content}>
+        <Text style={styles.title}>Get the verified badge</Text>
+        <Text style={styles.text}>
+          {status.status === 'rejected' && status.rejectionMessage
+            ? status.rejectionMessage
+            : 'Take a selfie copying a pose so people know your photos are really you.'}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.button} onPress={handleStart} disabled={working}>
+        {working && !pose ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>
+            {status.status === 'rejected' ? 'Try again' : 'Verify'}
+          </Text>
+        )}
+      </TouchableOpacity>
+
+      <Modal
+        visible={!!pose}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setPose(null)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Copy this pose</Text>
+            <Text style={styles.poseText}>{pose?.instruction}</Text>
+            <Text style={styles.modalHint}>
+              Only our moderators see this selfie. It won't appear on your profile.
+            </Text>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setPose(null)} disabled={working}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.saveButton} onPress={handleTakeSelfie} disabled={working}>
+                {working ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.buttonText}>Take selfie</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F0F8FF',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 16,
+  },
+  verifiedCard: {
+    backgroundColor: '#E8F5FE',
+  },
+  noMargin: {
+    marginLeft: 0,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 8,
+    flexShrink: 1,
+  },
+  text: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+    marginLeft: 8,
+  },
+  button: {
+    backgroundColor: '#1DA1F2',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 10,
+    width: '85%',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  poseText: {
+    fontSize: 18,
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  modalHint: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#999',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#1DA1F2',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+});
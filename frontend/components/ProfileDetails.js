@@ -0,0 +1,396 @@
+// frontend/components/ProfileDetails.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// Display order and picker type for each attribute; option lists come from the server
+const FIELDS = [
+  { key: 'relationshipGoal', label: 'Looking for', type: 'single' },
+  { key: 'interests', label: 'Interests', type: 'multi' },
+  { key: 'occupation', label: 'Occupation', type: 'text' },
+  { key: 'education', label: 'Education', type: 'single' },
+  { key: 'height', label: 'Height', type: 'height' },
+  { key: 'languages', label: 'Languages', type: 'multi' },
+  { key: 'religion', label: 'Religion', type: 'single' },
+  { key: 'drinking', label: 'Drinking', type: 'single' },
+  { key: 'smoking', label: 'Smoking', type: 'single' },
+  { key: 'children', label: 'Children', type: 'single' },
+];
+
+const VISIBILITY_LABELS = {
+  everyone: 'Everyone',
+  matches: 'Matches only',
+  only_me: 'Only me',
+};
+
+const VISIBILITY_ICONS = {
+  everyone: 'globe-outline',
+  matches: 'heart-outline',
+  only_me: 'lock-closed-outline',
+};
+
+// Flat { id, label } list for a field, whatever shape the server sent
+const optionsFor = (options, key) => {
+  const entry = options?.[key];
+  if (!entry) return [];
+  if (Array.isArray(entry)) return entry;
+  if (entry.categories) return entry.categories.flatMap(category => category.tags);
+  return entry.options || [];
+};
+
+const formatValue = (options, key, value) => {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  if (key === 'height') return `${value} cm`;
+  if (key === 'occupation') return value;
+
+  const labels = optionsFor(options, key);
+  const labelFor = (id) => labels.find(option => option.id === id)?.label || id;
+  return Array.isArray(value) ? value.map(labelFor).join(', ') : labelFor(value);
+};
+
+export default function ProfileDetails({ profile, options, editable, onSave }) {
+  const [editingField, setEditingField] = useState(null);
+  const [draftValue, setDraftValue] = useState(null);
+  const [draftVisibility, setDraftVisibility] = useState('everyone');
+  const [saving, setSaving] = useState(false);
+
+  const openEditor = (field) => {
+    const current = profile?.[field.key];
+    setDraftValue(field.type === 'multi' ? [...(current || [])] : current ?? null);
+    setDraftVisibility(profile?.fieldVisibility?.[field.key] || 'everyone');
+    setEditingField(field);
+  };
+
+  const closeEditor = () => {
+    setEditingField(null);
+    setDraftValue(null);
+  };
+
+  const toggleMulti = (id) => {
+    const max = options?.[editingField.key]?.max;
+    setDraftValue(prev => {
+      if (prev.includes(id)) return prev.filter(item => item !== id);
+      if (max && prev.length >= max) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const adjustHeight = (delta) => {
+    const { min = 120, max = 230 } = options?.height || {};
+    setDraftValue(prev => Math.min(max, Math.max(min, (prev || 165) + delta)));
+  };
+
+  const handleSave = async () => {
+    const { key } = editingField;
+    const isEmpty = draftValue === '' || (Array.isArray(draftValue) && draftValue.length === 0);
+
+    try {
+      setSaving(true);
+      const saved = await onSave({
+        [key]: isEmpty ? null : draftValue,
+        fieldVisibility: { [key]: draftVisibility },
+      });
+      if (saved) closeEditor();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rows = FIELDS
+    .map(field => ({ ...field, display: formatValue(options, field.key, profile?.[field.key]) }))
+    .filter(field => editable || field.display);
+
+  if (rows.length === 0) return null;
+
+  const renderEditor = () => {
+    if (!editingField) return null;
+    const { key, type } = editingField;
+
+    if (type === 'text') {
+      return (
+        <TextInput
+          style={styles.textInput}
+          value={draftValue || ''}
+          onChangeText={setDraftValue}
+          maxLength={options?.occupation?.maxLength || 60}
+          placeholder="e.g. Software developer"
+        />
+      );
+    }
+
+    if (type === 'height') {
+      return (
+        <View style={styles.heightRow}>
+          <TouchableOpacity style={styles.stepButton} onPress={() => adjustHeight(-1)}>
+            <Ionicons name="remove" size={20} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.heightValue}>{draftValue ? `${draftValue} cm` : 'Not set'}</Text>
+          <TouchableOpacity style={styles.stepButton} onPress={() => adjustHeight(1)}>
+            <Ionicons name="add" size={20} color="#333" />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    const choices = optionsFor(options, key);
+    const isSelected = (id) => (type === 'multi' ? draftValue?.includes(id) : draftValue === id);
+
+    return (
+      <ScrollView style={styles.choiceList} contentContainerStyle={styles.choiceWrap}>
+        {choices.map(choice => (
+          <TouchableOpacity
+            key={choice.id}
+            style={[styles.chip, isSelected(choice.id) && styles.chipSelected]}
+            onPress={() => (type === 'multi'
+              ? toggleMulti(choice.id)
+              : setDraftValue(isSelected(choice.id) ? null : choice.id))}
+          >
+            <Text style={[styles.chipText, isSelected(choice.id) && styles.chipTextSelected]}>
+              {choice.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>About</Text>
+
+      {rows.map(field => (
+        <TouchableOpacity
+          key={field.key}
+          style={styles.row}
+          onPress={() => openEditor(field)}
+          disabled={!editable || !options}
+        >
+          <Text style={styles.rowLabel}>{field.label}</Text>
+          <View style={styles.rowValueContainer}>
+            <Text style={[styles.rowValue, !field.display && styles.rowPlaceholder]} numberOfLines={2}>
+              {field.display || 'Add'}
+            </Text>
+            {editable && (
+              <Ionicons
+                name={VISIBILITY_ICONS[profile?.fieldVisibility?.[field.key] || 'everyone']}
+                size={14}
+                color="#999"
+                style={styles.visibilityIcon}
+              />
+            )}
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <Modal
+        visible={!!editingField}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeEditor}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{editingField?.label}</Text>
+            {editingField?.type === 'multi' && options?.[editingField.key]?.max && (
+              <Text style={styles.modalSubtitle}>
+                Pick up to {options[editingField.key].max}
+              </Text>
+            )}
+
+            {renderEditor()}
+
+            <Text style={styles.visibilityTitle}>Who can see this</Text>
+            <View style={styles.choiceWrap}>
+              {(options?.visibility || Object.keys(VISIBILITY_LABELS)).map(visibility => (
+                <TouchableOpacity
+                  key={visibility}
+                  style={[styles.chip, draftVisibility === visibility && styles.chipSelected]}
+                  onPress={() => setDraftVisibility(visibility)}
+                >
+                  <Text style={[styles.chipText, draftVisibility === visibility && styles.chipTextSelected]}>
+                    {VISIBILITY_LABELS[visibility] || visibility}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.cancelButton} onPress={closeEditor} disabled={saving}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+                {saving ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.buttonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd',
+  },
+  rowLabel: {
+    fontSize: 15,
+    color: '#666',
+  },
+  rowValueContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexShrink: 1,
+    marginLeft: 16,
+  },
+  rowValue: {
+    fontSize: 15,
+    color: '#333',
+    textAlign: 'right',
+    flexShrink: 1,
+  },
+  rowPlaceholder: {
+    color: '#FF6B6B',
+  },
+  visibilityIcon: {
+    marginLeft: 6,
+  },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 10,
+    width: '85%',
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 4,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  choiceList: {
+    maxHeight: 260,
+    marginVertical: 8,
+  },
+  choiceWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#FF6B6B',
+    borderColor: '#FF6B6B',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    marginVertical: 8,
+  },
+  heightRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 12,
+  },
+  stepButton: {
+    padding: 10,
+    borderRadius: 20,
+    backgroundColor: '#f0f0f0',
+  },
+  heightValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginHorizontal: 20,
+    minWidth: 80,
+    textAlign: 'center',
+  },
+  visibilityTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#999',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#FF6B6B',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
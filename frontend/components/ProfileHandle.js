@@ -0,0 +1,201 @@
+// frontend/components/ProfileHandle.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Share,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { updateUsername } from '../src/_api/users';
+
+const profileLink = (username) => `ruda://u/${username}`;
+
+export default function ProfileHandle({ userId, username, editable, onChange }) {
+  const [showEditor, setShowEditor] = useState(false);
+  const [draft, setDraft] = useState(username || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleShare = async () => {
+    try {
+      await Share.share({ message: `Find me on Ruda: ${profileLink(username)}` });
+    } catch (error) {
+      console.error('Share profile error:', error);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const token = await AsyncStorage.getItem('authToken');
+      const result = await updateUsername(userId, draft, token);
+      onChange?.(result.data.username);
+      setShowEditor(false);
+    } catch (error) {
+      Alert.alert('Username', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!username && !editable) return null;
+
+  return (
+    <View style={styles.row}>
+      {username ? (
+        <Text style={styles.handle}>@{username}</Text>
+      ) : (
+        <Text style={styles.placeholder}>Pick a username to share your profile</Text>
+      )}
+
+      {editable && (
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => {
+            setDraft(username || '');
+            setShowEditor(true);
+          }}
+        >
+          <Ionicons name="create-outline" size={18} color="#666" />
+        </TouchableOpacity>
+      )}
+      {username && (
+        <TouchableOpacity style={styles.iconButton} onPress={handleShare}>
+          <Ionicons name="share-social-outline" size={18} color="#FF6B6B" />
+        </TouchableOpacity>
+      )}
+
+      <Modal
+        visible={showEditor}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowEditor(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{username ? 'Change username' : 'Choose a username'}</Text>
+            <Text style={styles.modalHint}>
+              3-30 letters, numbers, underscores or dots. You can change it once a month.
+            </Text>
+            <View style={styles.inputRow}>
+              <Text style={styles.at}>@</Text>
+              <TextInput
+                style={styles.input}
+                value={draft}
+                onChangeText={setDraft}
+                autoCapitalize="none"
+                autoCorrect={false}
+                maxLength={30}
+                placeholder="username"
+              />
+            </View>
+
+            <TouchableOpacity
+              style={[styles.saveButton, !draft && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={!draft || saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.saveText}>Save</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.cancelButton} onPress={() => setShowEditor(false)}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  handle: {
+    fontSize: 14,
+    color: '#666',
+  },
+  placeholder: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  iconButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  modalHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+  },
+  at: {
+    fontSize: 16,
+    color: '#999',
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 10,
+    marginLeft: 2,
+  },
+  saveButton: {
+    backgroundColor: '#FF6B6B',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  cancelButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+});
@@ -0,0 +1,293 @@
+// frontend/components/ProfilePrompts.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+export default function ProfilePrompts({ prompts = [], library, editable, onSave }) {
+  const [showEditor, setShowEditor] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [selectedPromptId, setSelectedPromptId] = useState(null);
+  const [answer, setAnswer] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const maxPrompts = library?.maxPrompts || 3;
+  const maxAnswerLength = library?.maxAnswerLength || 150;
+  const questionFor = (promptId) =>
+    library?.prompts.find(prompt => prompt.id === promptId)?.text || promptId;
+
+  // Prompts already answered elsewhere can't be picked twice
+  const availablePrompts = (library?.prompts || []).filter(prompt =>
+    !prompts.some((existing, index) => existing.promptId === prompt.id && index !== editingIndex)
+  );
+
+  const openEditor = (index = null) => {
+    const existing = index !== null ? prompts[index] : null;
+    setEditingIndex(index);
+    setSelectedPromptId(existing?.promptId || null);
+    setAnswer(existing?.answer || '');
+    setShowEditor(true);
+  };
+
+  const closeEditor = () => {
+    setShowEditor(false);
+    setEditingIndex(null);
+    setSelectedPromptId(null);
+    setAnswer('');
+  };
+
+  const save = async (nextPrompts) => {
+    try {
+      setSaving(true);
+      const saved = await onSave(nextPrompts.map(({ promptId, answer: text }) => ({ promptId, answer: text })));
+      if (saved) closeEditor();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveAnswer = () => {
+    const entry = { promptId: selectedPromptId, answer: answer.trim() };
+    const nextPrompts = editingIndex !== null
+      ? prompts.map((prompt, index) => (index === editingIndex ? entry : prompt))
+      : [...prompts, entry];
+    save(nextPrompts);
+  };
+
+  const handleRemove = (index) => save(prompts.filter((_, i) => i !== index));
+
+  if (!editable && prompts.length === 0) return null;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Prompts</Text>
+
+      {prompts.map((prompt, index) => (
+        <View key={prompt._id || prompt.promptId} style={styles.promptCard}>
+          <Text style={styles.question}>{prompt.question || questionFor(prompt.promptId)}</Text>
+          <Text style={styles.answer}>{prompt.answer}</Text>
+          {editable && (
+            <View style={styles.cardActions}>
+              <TouchableOpacity onPress={() => openEditor(index)} disabled={saving}>
+                <Ionicons name="create-outline" size={18} color="#666" />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleRemove(index)} disabled={saving} style={styles.cardAction}>
+                <Ionicons name="trash-outline" size={18} color="#ff4444" />
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+
+      {editable && prompts.length < maxPrompts && (
+        <TouchableOpacity style={styles.addButton} onPress={() => openEditor()} disabled={!library}>
+          <Ionicons name="add" size={18} color="#FF6B6B" />
+          <Text style={styles.addButtonText}>Add a prompt ({prompts.length}/{maxPrompts})</Text>
+        </TouchableOpacity>
+      )}
+
+      <Modal
+        visible={showEditor}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeEditor}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            {selectedPromptId ? (
+              <>
+                <TouchableOpacity onPress={() => setSelectedPromptId(null)}>
+                  <Text style={styles.modalQuestion}>{questionFor(selectedPromptId)}</Text>
+                  <Text style={styles.changePrompt}>Change prompt</Text>
+                </TouchableOpacity>
+                <TextInput
+                  style={styles.answerInput}
+                  value={answer}
+                  onChangeText={setAnswer}
+                  maxLength={maxAnswerLength}
+                  multiline
+                  autoFocus
+                  placeholder="Your answer"
+                />
+                <Text style={styles.counter}>{answer.length}/{maxAnswerLength}</Text>
+              </>
+            ) : (
+              <>
+                <Text style={styles.modalTitle}>Pick a prompt</Text>
+                <FlatList
+                  style={styles.promptList}
+                  data={availablePrompts}
+                  keyExtractor={item => item.id}
+                  renderItem={({ item }) => (
+                    <TouchableOpacity style={styles.promptOption} onPress={() => setSelectedPromptId(item.id)}>
+                      <Text style={styles.promptOptionText}>{item.text}</Text>
+                    </TouchableOpacity>
+                  )}
+                />
+              </>
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.cancelButton} onPress={closeEditor} disabled={saving}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.saveButton, (!selectedPromptId || !answer.trim()) && styles.disabledButton]}
+                onPress={handleSaveAnswer}
+                disabled={saving || !selectedPromptId || !answer.trim()}
+              >
+                {saving ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.buttonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  promptCard: {
+    backgroundColor: '#FFF5F7',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  question: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 4,
+  },
+  answer: {
+    fontSize: 17,
+    color: '#333',
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 6,
+  },
+  cardAction: {
+    marginLeft: 16,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#FF6B6B',
+    borderRadius: 10,
+    padding: 12,
+  },
+  addButtonText: {
+    color: '#FF6B6B',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    padding: 20,
+    borderRadius: 10,
+    width: '85%',
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  modalQuestion: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#333',
+  },
+  changePrompt: {
+    fontSize: 13,
+    color: '#FF6B6B',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  promptList: {
+    maxHeight: 320,
+  },
+  promptOption: {
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd',
+  },
+  promptOptionText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  answerInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#999',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#FF6B6B',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
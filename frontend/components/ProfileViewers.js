@@ -0,0 +1,163 @@
+// frontend/components/ProfileViewers.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useSocket } from '../src/_context/SocketContext';
+import { fetchProfileViewers } from '../src/_api/users';
+import VerifiedBadge from './VerifiedBadge';
+
+export default function ProfileViewers({ userId, onUpgrade }) {
+  const { socket } = useSocket();
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const token = await AsyncStorage.getItem('authToken');
+        if (!token) return;
+        const result = await fetchProfileViewers(userId, token);
+        setData(result.data);
+      } catch (error) {
+        console.error('Profile viewers error:', error);
+      }
+    };
+    load();
+  }, [userId]);
+
+  // The server only emits the first view of the day per viewer
+  useEffect(() => {
+    if (!socket) return;
+    const handleViewed = ({ viewer }) => {
+      setData(prev => {
+        if (!prev) return prev;
+        const seenBefore = viewer.id && prev.viewers.some(existing => existing.id === viewer.id);
+        return {
+          ...prev,
+          total: seenBefore ? prev.total : prev.total + 1,
+          viewers: [viewer, ...prev.viewers.filter(existing => !viewer.id || existing.id !== viewer.id)],
+        };
+      });
+    };
+    socket.on('profile-viewed', handleViewed);
+    return () => socket.off('profile-viewed', handleViewed);
+  }, [socket]);
+
+  if (!data) return null;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Who viewed you</Text>
+      <Text style={styles.summary}>
+        {data.total === 0
+          ? `No profile views in the last ${data.windowDays} days`
+          : `${data.total} ${data.total === 1 ? 'person' : 'people'} viewed your profile in the last ${data.windowDays} days`}
+      </Text>
+
+      {data.viewers.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.list}>
+          {data.viewers.map((viewer, index) => (
+            <TouchableOpacity
+              key={viewer.id || `locked-${index}`}
+              style={styles.card}
+              onPress={viewer.locked ? onUpgrade : undefined}
+              disabled={!viewer.locked}
+            >
+              <View>
+                <Image
+                  source={{ uri: viewer.photo || 'https://via.placeholder.com/100' }}
+                  style={styles.avatar}
+                  blurRadius={viewer.locked ? 12 : 0}
+                />
+                {viewer.locked && (
+                  <View style={styles.lockOverlay}>
+                    <Ionicons name="lock-closed" size={18} color="#fff" />
+                  </View>
+                )}
+              </View>
+              {!viewer.locked && (
+                <View style={styles.nameRow}>
+                  <Text style={styles.name} numberOfLines={1}>{viewer.name}</Text>
+                  {viewer.verifiedPhoto && <VerifiedBadge size={12} />}
+                </View>
+              )}
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {!data.unlocked && data.total > 0 && (
+        <TouchableOpacity style={styles.upgradeButton} onPress={onUpgrade}>
+          <Ionicons name="eye" size={16} color="#fff" />
+          <Text style={styles.upgradeText}>See who viewed you</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  summary: {
+    fontSize: 14,
+    color: '#666',
+  },
+  list: {
+    marginTop: 10,
+  },
+  card: {
+    alignItems: 'center',
+    marginRight: 12,
+    width: 64,
+  },
+  avatar: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+  },
+  lockOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    borderRadius: 28,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  name: {
+    fontSize: 12,
+    color: '#333',
+    flexShrink: 1,
+  },
+  upgradeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#FF6B6B',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 10,
+  },
+  upgradeText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
@@ -13,6 +13,7 @@ import axios from "axios";
 import { MaterialIcons } from "@expo/vector-icons";
 import { useSocket } from "../src/_context/SocketContext";
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import VerifiedBadge from "./VerifiedBadge";
 
 // Use the environment variable for the backend URL
 const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || "https://dating-app-3eba.onrender.com";
@@ -25,6 +26,7 @@ const UserChat = ({ item, userId, isOnline, onError }) => {
 
   // Get online status (if not passed as prop)
   const userIsOnline = isOnline !== undefined ? isOnline : onlineUsers.includes(item?._id);
+  const isVerified = !!(item?.verifiedPhoto ?? item?.user?.verifiedPhoto);
 
   // Fetch messages between the current user and the selected user
   const fetchMessages = async () => {
@@ -98,7 +100,8 @@ const UserChat = ({ item, userId, isOnline, onError }) => {
           name: item?.name,
           receiverId: item?._id,
           senderId: userId,
-          isOnline: userIsOnline
+          isOnline: userIsOnline,
+          verifiedPhoto: String(isVerified)
         }
       });
     } catch (error) {
@@ -149,7 +152,10 @@ const UserChat = ({ item, userId, isOnline, onError }) => {
 
       <View style={styles.content}>
         <View style={styles.header}>
-          <Text style={styles.name}>{item?.name}</Text>
+          <View style={styles.nameRow}>
+            <Text style={styles.name}>{item?.name}</Text>
+            {isVerified && <VerifiedBadge size={14} />}
+          </View>
           {lastMessage && (
             <Text style={styles.time}>
               {formatTime(lastMessage?.timestamp)}
@@ -217,6 +223,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 4,
   },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   name: {
     fontWeight: "600",
     fontSize: 16,
@@ -0,0 +1,23 @@
+// frontend/components/VerifiedBadge.js
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+// Shown next to a name once a moderator has matched the user's selfie to their photos
+export default function VerifiedBadge({ size = 16, style }) {
+  return (
+    <MaterialIcons
+      name="verified"
+      size={size}
+      color="#1DA1F2"
+      style={[styles.badge, style]}
+      accessibilityLabel="Verified photos"
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    marginLeft: 4,
+  },
+});
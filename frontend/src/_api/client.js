@@ -112,7 +112,7 @@ client.interceptors.response.use(
 
         // Refresh token request
         const response = await axios.post(
-          `${PRODUCTION_URL}/auth/refresh-token`,
+          `${PRODUCTION_URL}/api/auth/refresh-token`,
           { refreshToken },
           {
             headers: await getHeaders(),
@@ -135,9 +135,9 @@ client.interceptors.response.use(
         processQueue(null, newToken);
         return client(originalRequest);
       } catch (refreshError) {
-        // Clear tokens on refresh failure
+        // Clear tokens on refresh failure (403 = session revoked or token reused)
         processQueue(refreshError);
-        if (refreshError.response?.status === 401) {
+        if ([401, 403].includes(refreshError.response?.status)) {
           await Promise.all([
             AsyncStorage.removeItem(AUTH_CONFIG.TOKEN_KEY),
             AsyncStorage.removeItem(AUTH_CONFIG.REFRESH_TOKEN_KEY),
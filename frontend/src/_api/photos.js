@@ -16,9 +16,27 @@ export const likePhoto = async (photoId, isLike) => {
   }
 };
 
-export const getFeedPhotos = async (gender) => {
+export const likePromptAnswer = async (userId, promptAnswerId) => {
   try {
-    const response = await client.get(`/api/photos/feed?gender=${gender}`);
+    const response = await client.post(
+      `/api/likes/profiles/${userId}/prompts/${promptAnswerId}`
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error liking prompt answer:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Pass the previous page's pagination.nextCursor as `cursor` to get the next page
+export const getFeedPhotos = async ({ verifiedOnly = false, cursor = null } = {}) => {
+  try {
+    const response = await client.get('/api/photos/feed', {
+      params: {
+        ...(verifiedOnly && { verifiedOnly: true }),
+        ...(cursor && { cursor }),
+      },
+    });
     return response.data;
   } catch (error) {
     console.error('Error fetching feed photos:', error.response?.data || error.message);
@@ -98,6 +116,52 @@ export const deletePhoto = async (photoId) => {
   }
 };
 
+export const getVerificationStatus = async () => {
+  try {
+    const response = await client.get('/api/photos/verification');
+    return response.data;
+  } catch (error) {
+    console.error('Verification status error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+export const requestVerificationPose = async () => {
+  try {
+    const response = await client.post('/api/photos/verification/pose');
+    return response.data;
+  } catch (error) {
+    console.error('Verification pose error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.message || 'Failed to start verification');
+  }
+};
+
+export const submitVerificationSelfie = async (imageUri) => {
+  try {
+    const filename = imageUri.split('/').pop();
+    const match = /\.(\w+)$/.exec(filename);
+    const ext = match ? match[1] : 'jpg';
+
+    const formData = new FormData();
+    formData.append('selfie', {
+      uri: imageUri,
+      name: `selfie_${Date.now()}.${ext}`,
+      type: `image/${ext === 'png' ? 'png' : 'jpeg'}`,
+    });
+
+    const response = await client.post('/api/photos/verification', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 30000,
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Verification selfie error:', error.response?.data || error.message);
+    throw new Error(error.response?.data?.message || 'Failed to submit your selfie');
+  }
+};
+
 // Add other photo-related functions as needed
 export const getPhotoDetails = async (photoId) => {
   try {
@@ -1,6 +1,6 @@
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_BASE_URL } from '../_config';
+import { API_BASE_URL, API_ENDPOINTS } from '../_config';
 
 /**
  * Fetches the current user's profile using token from AsyncStorage
@@ -291,6 +291,527 @@ export const getUserPhotos = async (userId, token) => {
   }
 };
 
+/**
+ * Pauses a profile so it is hidden from discovery
+ * @param {string} userId - User ID to pause
+ * @param {string|null} resumeAt - ISO date to resume automatically (null = until resumed)
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} Pause state
+ */
+export const pauseProfile = async (userId, resumeAt, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.post(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PAUSE(userId)}`,
+      { resumeAt },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Pause profile error:", {
+      endpoint: API_ENDPOINTS.USERS.PAUSE(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to pause your profile');
+  }
+};
+
+/**
+ * Resumes a paused profile
+ * @param {string} userId - User ID to resume
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} Pause state
+ */
+export const resumeProfile = async (userId, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.post(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.RESUME(userId)}`,
+      {},
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Resume profile error:", {
+      endpoint: API_ENDPOINTS.USERS.RESUME(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to resume your profile');
+  }
+};
+
+/**
+ * Fetches the server-defined option lists for the profile pickers
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} Options keyed by profile field
+ */
+export const fetchProfileOptions = async (token) => {
+  try {
+    if (!token) {
+      throw new Error('Authentication token required');
+    }
+
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PROFILE_OPTIONS}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Profile options error:", {
+      endpoint: API_ENDPOINTS.USERS.PROFILE_OPTIONS,
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load profile options');
+  }
+};
+
+/**
+ * Updates profile fields (rich attributes and their visibility included)
+ * @param {string} userId - User ID to update
+ * @param {Object} updates - Fields to change, e.g. { religion: 'christian', fieldVisibility: { religion: 'matches' } }
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} Updated user data
+ */
+export const updateProfileDetails = async (userId, updates, token) => {
+  try {
+    if (!userId || !updates || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.UPDATE_PROFILE(userId)}`,
+      updates,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Profile update error:", {
+      endpoint: API_ENDPOINTS.USERS.UPDATE_PROFILE(userId),
+      status: error.response?.status,
+      message: error.message,
+      validationErrors: error.response?.data?.errors
+    });
+
+    throw new Error(
+      error.response?.data?.errors?.[0]?.message ||
+      error.response?.data?.message ||
+      'Failed to update your profile'
+    );
+  }
+};
+
+/**
+ * Fetches the prompt library users can answer on their profile
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} { prompts, maxPrompts, maxAnswerLength }
+ */
+export const fetchPromptLibrary = async (token) => {
+  try {
+    if (!token) {
+      throw new Error('Authentication token required');
+    }
+
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PROMPT_LIBRARY}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Prompt library error:", {
+      endpoint: API_ENDPOINTS.USERS.PROMPT_LIBRARY,
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load prompts');
+  }
+};
+
+/**
+ * Replaces the user's prompt answers
+ * @param {string} userId - User ID to update
+ * @param {Array<{promptId: string, answer: string}>} prompts - Up to three answers
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} Saved prompt answers
+ */
+export const updatePrompts = async (userId, prompts, token) => {
+  try {
+    if (!userId || !prompts || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PROMPTS(userId)}`,
+      { prompts },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Prompts update error:", {
+      endpoint: API_ENDPOINTS.USERS.PROMPTS(userId),
+      status: error.response?.status,
+      message: error.message,
+      validationErrors: error.response?.data?.errors
+    });
+
+    throw new Error(
+      error.response?.data?.errors?.[0]?.message ||
+      error.response?.data?.message ||
+      'Failed to save your prompts'
+    );
+  }
+};
+
+/**
+ * Gets the user's profile completeness score and improvement tips
+ * @param {string} userId - User ID to score
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} { score, completed, missing: [{ id, action, tip, points }] }
+ */
+export const fetchCompleteness = async (userId, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.COMPLETENESS(userId)}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Profile completeness error:", {
+      endpoint: API_ENDPOINTS.USERS.COMPLETENESS(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load profile completeness');
+  }
+};
+
+/**
+ * Gets recent profile viewers (cards for subscribers, locked cards without a photo for everyone else)
+ * @param {string} userId - Profile owner's ID
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} { total, viewers, unlocked, windowDays, pagination }
+ */
+export const fetchProfileViewers = async (userId, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.VIEWERS(userId)}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Profile viewers error:", {
+      endpoint: API_ENDPOINTS.USERS.VIEWERS(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load profile viewers');
+  }
+};
+
+/**
+ * Sends the device's current position. The server throttles small or frequent moves.
+ * @param {Object} coords - { latitude, longitude }
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { updated, lastUpdated }
+ */
+export const updateMyLocation = async ({ latitude, longitude }, token) => {
+  try {
+    if (latitude == null || longitude == null || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.LOCATION}`,
+      { latitude, longitude },
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Location update error:", {
+      endpoint: API_ENDPOINTS.USERS.LOCATION,
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to update location');
+  }
+};
+
+/**
+ * Looks up a profile from a shared username link
+ * @param {string} handle - Username, with or without a leading @
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Profile data
+ */
+export const fetchProfileByHandle = async (handle, token) => {
+  try {
+    if (!handle || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.BY_HANDLE(handle)}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Profile by handle error:", {
+      endpoint: API_ENDPOINTS.USERS.BY_HANDLE(handle),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load profile');
+  }
+};
+
+/**
+ * Sets or changes the user's public username
+ * @param {string} userId - User ID
+ * @param {string} username - New username
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { username, usernameChangedAt }
+ */
+export const updateUsername = async (userId, username, token) => {
+  try {
+    if (!userId || !username || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.USERNAME(userId)}`,
+      { username },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Username update error:", {
+      endpoint: API_ENDPOINTS.USERS.USERNAME(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    // Validation errors come back per field
+    throw new Error(
+      error.response?.data?.errors?.[0]?.message ||
+      error.response?.data?.message ||
+      'Failed to update username'
+    );
+  }
+};
+
+/**
+ * Turn incognito mode on (subscribers only) or off
+ * @param {string} userId - User ID
+ * @param {boolean} enabled - Whether to hide from discovery
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Incognito state
+ */
+export const setIncognito = async (userId, enabled, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.INCOGNITO(userId)}`,
+      { enabled },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Incognito update error:", {
+      endpoint: API_ENDPOINTS.USERS.INCOGNITO(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to update incognito mode');
+  }
+};
+
+/**
+ * Cities available in passport mode
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { cities, maxDays }
+ */
+export const fetchPassportCities = async (token) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PASSPORT_CITIES}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 8000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Passport cities error:", {
+      endpoint: API_ENDPOINTS.USERS.PASSPORT_CITIES,
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to load passport cities');
+  }
+};
+
+/**
+ * Browse from another city until expiresAt (subscribers only)
+ * @param {string} userId - User ID
+ * @param {string} city - Passport city ID
+ * @param {string} expiresAt - ISO date the passport ends
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Passport state
+ */
+export const setPassport = async (userId, city, expiresAt, token) => {
+  try {
+    if (!userId || !city || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.put(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PASSPORT(userId)}`,
+      { city, expiresAt },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Set passport error:", {
+      endpoint: API_ENDPOINTS.USERS.PASSPORT(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to turn on passport mode');
+  }
+};
+
+/**
+ * Go back to browsing from your own location
+ * @param {string} userId - User ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Passport state
+ */
+export const clearPassport = async (userId, token) => {
+  try {
+    if (!userId || !token) {
+      throw new Error('Missing required parameters');
+    }
+
+    const response = await axios.delete(
+      `${API_BASE_URL}${API_ENDPOINTS.USERS.PASSPORT(userId)}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error("Clear passport error:", {
+      endpoint: API_ENDPOINTS.USERS.PASSPORT(userId),
+      status: error.response?.status,
+      message: error.message
+    });
+
+    throw new Error(error.response?.data?.message || 'Failed to turn off passport mode');
+  }
+};
+
 // Additional utility function to get auth data
 export const getAuthData = async () => {
   try {
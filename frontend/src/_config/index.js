@@ -26,11 +26,25 @@ export const API_ENDPOINTS = {
     UPDATE: (userId) => `/api/users/${userId}`,
     UPDATE_GENDER: (userId) => `/api/users/${userId}/gender`,
     UPDATE_DESCRIPTION: (userId) => `/api/users/${userId}/description`,
+    UPDATE_PROFILE: (userId) => `/api/users/${userId}/profile`,
+    PROFILE_OPTIONS: '/api/users/meta/profile-options',
+    PROMPT_LIBRARY: '/api/users/meta/prompts',
+    PROMPTS: (userId) => `/api/users/${userId}/prompts`,
+    COMPLETENESS: (userId) => `/api/users/${userId}/completeness`,
+    VIEWERS: (userId) => `/api/users/${userId}/viewers`,
+    LOCATION: '/api/users/me/location',
+    BY_HANDLE: (handle) => `/api/users/by-handle/${encodeURIComponent(handle)}`,
+    USERNAME: (userId) => `/api/users/${userId}/username`,
+    INCOGNITO: (userId) => `/api/users/${userId}/incognito`,
+    PASSPORT_CITIES: '/api/users/meta/passport-cities',
+    PASSPORT: (userId) => `/api/users/${userId}/passport`,
     PROFILE_IMAGES: (userId) => `/api/users/${userId}/profile-images`,
     SUBSCRIPTION: (userId) => `/api/users/${userId}/subscribe`,
     SUBSCRIPTION_STATUS: (userId) => `/api/users/${userId}/subscription-status`,
     PREFERENCES: '/api/users/preferences',
     SEARCH: '/api/users/search',
+    PAUSE: (userId) => `/api/users/${userId}/pause`,
+    RESUME: (userId) => `/api/users/${userId}/resume`,
     DELETE: (userId) => `/api/users/${userId}`
   },
   MATCHES: {
@@ -0,0 +1,119 @@
+// src/_context/LocationContext.js
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { Alert, AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import { useAuth } from './AuthContext';
+import { updateMyLocation } from '../_api/users';
+
+const CONSENT_KEY = 'locationConsent'; // 'granted' | 'declined'
+
+const LocationContext = createContext();
+
+export const LocationProvider = ({ children }) => {
+  const { user, token } = useAuth();
+  const [consent, setConsent] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const askedThisSession = useRef(false);
+
+  // Only ever reads the foreground position, and only after the user agreed
+  const sendCurrentLocation = useCallback(async () => {
+    if (!token) return;
+    try {
+      const { status } = await Location.getForegroundPermissionsAsync();
+      if (status !== 'granted') return;
+
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced,
+      });
+      const result = await updateMyLocation(position.coords, token);
+      if (result.data?.lastUpdated) setLastUpdated(result.data.lastUpdated);
+    } catch (error) {
+      console.error('Location sync error:', error);
+    }
+  }, [token]);
+
+  const askForConsent = useCallback(() => new Promise(resolve => {
+    Alert.alert(
+      'Show people nearby?',
+      'Ruda uses your location to show how far away people are. Others only ever see a rough distance like "~3 km away", never where you are.',
+      [
+        { text: 'Not now', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Continue', onPress: () => resolve(true) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  }), []);
+
+  /**
+   * Explains why, then asks the OS for permission. Safe to call again from settings or tips.
+   * @returns {Promise<boolean>} whether location sharing is now on
+   */
+  const requestLocationSharing = useCallback(async () => {
+    const agreed = await askForConsent();
+    if (!agreed) {
+      await AsyncStorage.setItem(CONSENT_KEY, 'declined');
+      setConsent('declined');
+      return false;
+    }
+
+    const { status, canAskAgain } = await Location.requestForegroundPermissionsAsync();
+    const granted = status === 'granted';
+    await AsyncStorage.setItem(CONSENT_KEY, granted ? 'granted' : 'declined');
+    setConsent(granted ? 'granted' : 'declined');
+
+    if (!granted && !canAskAgain) {
+      Alert.alert('Location is off', 'You can turn on location access for Ruda in your device settings.');
+    }
+    if (granted) await sendCurrentLocation();
+    return granted;
+  }, [askForConsent, sendCurrentLocation]);
+
+  // Ask once after sign-in, then refresh on every return to the foreground
+  useEffect(() => {
+    if (!user?._id || !token) return;
+
+    const syncIfAllowed = async () => {
+      const stored = await AsyncStorage.getItem(CONSENT_KEY);
+      setConsent(stored);
+
+      if (stored === 'granted') {
+        await sendCurrentLocation();
+      } else if (!stored && !askedThisSession.current) {
+        askedThisSession.current = true;
+        await requestLocationSharing();
+      }
+    };
+
+    syncIfAllowed();
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') syncIfAllowed();
+    });
+    return () => subscription.remove();
+  }, [user?._id, token, sendCurrentLocation, requestLocationSharing]);
+
+  const value = {
+    consent,
+    lastUpdated,
+    requestLocationSharing,
+  };
+
+  return (
+    <LocationContext.Provider value={value}>
+      {children}
+    </LocationContext.Provider>
+  );
+};
+
+export const useLocationSharing = () => {
+  const context = useContext(LocationContext);
+  if (!context) {
+    throw new Error('useLocationSharing must be used within a LocationProvider');
+  }
+  return context;
+};
+
+// Default export to satisfy Expo Router
+export default function LocationContextWrapper() {
+  return null;
+}